@@ -23,7 +23,7 @@ async function reingest() {
 
             if (res.Contents) {
                 for (const obj of res.Contents) {
-                    if (obj.Key.endsWith('.csv')) {
+                    if (/\.(csv|gz|bz2|zip)$/i.test(obj.Key)) {
                         console.log(`Processing: ${obj.Key}`);
 
                         // "Touch" the file by copying it to itself
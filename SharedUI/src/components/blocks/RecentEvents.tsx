@@ -159,6 +159,16 @@ const EventCard: React.FC<{ event: RecentEvent; showAgencyBadge: boolean }> = ({
             {[event.city, event.state].filter(Boolean).join(', ')}
           </span>
         )}
+        {event.linkedEvents !== undefined && event.linkedEvents > 0 && (
+          <span style={{
+            fontFamily: 'var(--font-sans)',
+            fontSize: '0.8rem',
+            color: 'var(--text-color)',
+            opacity: 0.6,
+          }}>
+            +{event.linkedEvents} linked {event.linkedEvents === 1 ? 'report' : 'reports'}
+          </span>
+        )}
         {event.companyName && (
           <a
             href={`/company/${event.companySlug}`}
@@ -52,8 +52,10 @@ export const StatGrid: React.FC<StatGridProps> = ({
 }) => {
   const statItems = [
     { label: 'Total Events', value: stats.totalEvents, icon: Icons.violations },
+    stats.consolidatedEvents !== undefined && { label: 'Incl. Subsidiaries', value: stats.consolidatedEvents, icon: Icons.violations },
     stats.totalCompanies !== undefined && { label: 'Companies', value: stats.totalCompanies, icon: Icons.avgFine },
     stats.totalCities !== undefined && { label: 'Cities', value: stats.totalCities, icon: Icons.avgFine },
+    stats.totalCounties !== undefined && { label: 'Counties', value: stats.totalCounties, icon: Icons.avgFine },
     stats.totalStates !== undefined && { label: 'States', value: stats.totalStates, icon: Icons.avgFine },
     stats.totalInjuries !== undefined && { label: 'Injuries', value: stats.totalInjuries, icon: Icons.injuries },
     stats.totalFatalities !== undefined && { label: 'Fatalities', value: stats.totalFatalities, icon: Icons.fatalities },
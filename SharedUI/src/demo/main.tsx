@@ -7,13 +7,16 @@ import '../styles/theme.css';
 // Import components
 import { StatePage } from '../templates/StatePage';
 import { CityPage } from '../templates/CityPage';
+import { CountyPage } from '../templates/CountyPage';
+import { MetroPage } from '../templates/MetroPage';
 import { CompanyPage } from '../templates/CompanyPage';
+import { SitePage } from '../templates/SitePage';
 import { Button, Card, Badge, Alert, Tabs, Modal } from '../components/core';
 
 // Import mock data
-import { oshaTrailBrand, tennesseeData, knoxvilleData, walmartData } from './mockData';
+import { oshaTrailBrand, tennesseeData, knoxvilleData, knoxCountyData, knoxvilleMetroData, walmartData, walmartSiteData } from './mockData';
 
-type DemoPage = 'state' | 'city' | 'company' | 'components';
+type DemoPage = 'state' | 'city' | 'county' | 'metro' | 'company' | 'site' | 'components';
 
 const App: React.FC = () => {
   const [currentPage, setCurrentPage] = useState<DemoPage>('state');
@@ -26,8 +29,14 @@ const App: React.FC = () => {
         return <StatePage brand={oshaTrailBrand} data={tennesseeData} />;
       case 'city':
         return <CityPage brand={oshaTrailBrand} data={knoxvilleData} />;
+      case 'county':
+        return <CountyPage brand={oshaTrailBrand} data={knoxCountyData} />;
+      case 'metro':
+        return <MetroPage brand={oshaTrailBrand} data={knoxvilleMetroData} />;
       case 'company':
         return <CompanyPage brand={oshaTrailBrand} data={walmartData} />;
+      case 'site':
+        return <SitePage brand={oshaTrailBrand} data={walmartSiteData} />;
       case 'components':
         return <ComponentShowcase 
           showModal={showModal} 
@@ -59,9 +68,18 @@ const App: React.FC = () => {
         <DemoButton active={currentPage === 'city'} onClick={() => setCurrentPage('city')}>
           City
         </DemoButton>
+        <DemoButton active={currentPage === 'county'} onClick={() => setCurrentPage('county')}>
+          County
+        </DemoButton>
+        <DemoButton active={currentPage === 'metro'} onClick={() => setCurrentPage('metro')}>
+          Metro
+        </DemoButton>
         <DemoButton active={currentPage === 'company'} onClick={() => setCurrentPage('company')}>
           Company
         </DemoButton>
+        <DemoButton active={currentPage === 'site'} onClick={() => setCurrentPage('site')}>
+          Site
+        </DemoButton>
         <DemoButton active={currentPage === 'components'} onClick={() => setCurrentPage('components')}>
           Components
         </DemoButton>
@@ -1,4 +1,4 @@
-import type { BrandConfig, StatePageData, CityPageData, CompanyPageData } from '../types';
+import type { BrandConfig, StatePageData, CityPageData, CountyPageData, MetroPageData, CompanyPageData, SitePageData } from '../types';
 
 export const oshaTrailBrand: BrandConfig = {
   slug: 'osha-trail',  // URL-friendly: osha-trail.com
@@ -77,6 +77,7 @@ export const tennesseeData: StatePageData = {
         city: 'Nashville',
         state: 'TN',
         agency: 'OSHA',
+        linkedEvents: 1,
       },
       {
         eventId: 'evt-002',
@@ -172,11 +173,52 @@ export const knoxvilleData: CityPageData = {
   },
 };
 
+export const knoxCountyData: CountyPageData = {
+  name: 'Knox County',
+  slug: '47093',
+  state: 'TN',
+  stateName: 'Tennessee',
+  metro: { slug: '28940', name: 'Knoxville, TN' },
+  stats: {
+    totalEvents: 604,
+    totalCities: 3,
+    totalCompanies: 261,
+  },
+  directory: knoxvilleData.directory,
+  cities: [
+    { slug: 'knoxville', name: 'Knoxville', count: 521 },
+    { slug: 'farragut', name: 'Farragut', count: 47 },
+    { slug: 'powell', name: 'Powell', count: 36 },
+  ],
+  recentByAgency: knoxvilleData.recentByAgency,
+};
+
+export const knoxvilleMetroData: MetroPageData = {
+  name: 'Knoxville, TN',
+  slug: '28940',
+  states: ['TN'],
+  stats: {
+    totalEvents: 958,
+    totalCounties: 5,
+    totalCompanies: 402,
+  },
+  directory: knoxvilleData.directory,
+  counties: [
+    { slug: '47093', name: 'Knox County', count: 604, subtitle: 'TN' },
+    { slug: '47009', name: 'Blount County', count: 171, subtitle: 'TN' },
+    { slug: '47001', name: 'Anderson County', count: 98, subtitle: 'TN' },
+    { slug: '47105', name: 'Loudon County', count: 55, subtitle: 'TN' },
+    { slug: '47145', name: 'Roane County', count: 30, subtitle: 'TN' },
+  ],
+  recentByAgency: knoxvilleData.recentByAgency,
+};
+
 export const walmartData: CompanyPageData = {
   name: 'Walmart Inc',
   slug: 'walmart-inc',
   stats: {
     totalEvents: 1847,
+    consolidatedEvents: 2213,
     totalInjuries: 1203,
     totalFatalities: 12,
     totalFines: 8500000,
@@ -184,10 +226,13 @@ export const walmartData: CompanyPageData = {
     score: 45,
   },
   sites: [
-    { slug: '1234', name: '1234', count: 8, subtitle: 'Nashville, TN' },
-    { slug: '5678', name: '5678', count: 6, subtitle: 'Memphis, TN' },
-    { slug: '9012', name: '9012', count: 5, subtitle: 'Knoxville, TN' },
-    { slug: '3456', name: '3456', count: 4, subtitle: 'Chattanooga, TN' },
+    { slug: 'walmart-inc_1234', name: '#1234', count: 8, subtitle: 'Nashville, TN' },
+    { slug: 'walmart-inc_5678', name: '#5678', count: 6, subtitle: 'Memphis, TN' },
+    { slug: 'walmart-inc_9012', name: '#9012', count: 5, subtitle: 'Knoxville, TN' },
+    { slug: 'walmart-inc_addr-dd79fed5cd', name: '1200 N Main St', count: 4, subtitle: 'Knoxville, TN' },
+  ],
+  subsidiaries: [
+    { slug: 'sams-club', name: "Sam's Club", count: 366, subtitle: 'Brand' },
   ],
   recentEvents: tennesseeData.recentByAgency.OSHA.filter(e => e.companySlug === 'walmart-inc'),
   meta: {
@@ -198,3 +243,18 @@ export const walmartData: CompanyPageData = {
   },
 };
 
+export const walmartSiteData: SitePageData = {
+  name: 'Walmart Inc #9012',
+  slug: 'walmart-inc_9012',
+  siteId: '9012',
+  storeNumber: '9012',
+  address: { street: '3050 N Broadway St', city: 'Knoxville', state: 'TN', zip: '37917' },
+  companySlug: 'walmart-inc',
+  companyName: 'Walmart Inc',
+  stats: {
+    totalEvents: 5,
+    lastActive: '2024-11-02',
+  },
+  siblings: walmartData.sites!.filter(s => s.slug !== 'walmart-inc_9012'),
+  recentEvents: walmartData.recentEvents.slice(0, 3),
+};
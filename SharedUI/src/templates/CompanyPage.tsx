@@ -20,6 +20,7 @@ export const CompanyPage: React.FC<CompanyPageProps> = ({
   const breadcrumbs = [
     { label: 'Home', path: '/' },
     { label: 'USA', path: '/usa' },
+    ...(data.parent ? [{ label: data.parent.name, path: `/company/${data.parent.slug}` }] : []),
     { label: data.name },
   ];
 
@@ -30,6 +31,7 @@ export const CompanyPage: React.FC<CompanyPageProps> = ({
   } : undefined;
 
   const hasSites = data.sites && data.sites.length > 0;
+  const hasSubsidiaries = data.subsidiaries && data.subsidiaries.length > 0;
 
   return (
     <Shell
@@ -58,6 +60,16 @@ export const CompanyPage: React.FC<CompanyPageProps> = ({
             />
           )}
 
+          {/* Subsidiaries & brands (counts include their own subsidiaries) */}
+          {hasSubsidiaries && (
+            <Directory
+              title="Subsidiaries & Brands"
+              items={data.subsidiaries!}
+              basePath="/company"
+              showSearch={data.subsidiaries!.length > 10}
+            />
+          )}
+
           {/* Recent Events - show more if no sites directory */}
           <RecentEvents
             title="Recent Incidents"
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Shell } from '../components/layout/Shell';
+import { Hero } from '../components/blocks/Hero';
+import { StatGrid } from '../components/blocks/StatGrid';
+import { Directory } from '../components/blocks/Directory';
+import { RecentEvents } from '../components/blocks/RecentEvents';
+import { InfoSidebar } from '../components/blocks/InfoSidebar';
+import { FilterSidebar } from '../components/blocks/FilterSidebar';
+import type { BrandConfig, CountyPageData } from '../types';
+
+interface CountyPageProps {
+  brand: BrandConfig;
+  data: CountyPageData;
+}
+
+export const CountyPage: React.FC<CountyPageProps> = ({
+  brand,
+  data,
+}) => {
+  const breadcrumbs = [
+    { label: 'Home', path: '/' },
+    { label: 'USA', path: '/usa' },
+    { label: data.stateName, path: `/state/${data.state.toLowerCase()}` },
+    ...(data.metro ? [{ label: data.metro.name, path: `/metro/${data.metro.slug}` }] : []),
+    { label: data.name },
+  ];
+
+  const scoreInfo = brand.scoreConfig && data.stats.score !== undefined ? {
+    value: data.stats.score,
+    label: brand.scoreConfig.name,
+    betaDisclaimer: brand.scoreConfig.betaDisclaimer,
+  } : undefined;
+
+  const agencies = Object.keys(data.recentByAgency);
+  const basePath = `/county/${data.slug}`;
+
+  return (
+    <Shell
+      brand={brand}
+    >
+      <Hero
+        title={`${data.name}, ${data.state}`}
+        subtitle={`Worker safety data for ${data.name}, ${data.stateName}`}
+        breadcrumbs={breadcrumbs}
+        score={scoreInfo}
+      />
+
+      {/* 3-Column Layout: Filters | Main | Info */}
+      <div className="page-layout">
+        <FilterSidebar />
+
+        <main className="page-main">
+          <StatGrid stats={data.stats} />
+
+          <Directory
+            title="Companies"
+            items={data.directory}
+            basePath="/company"
+          />
+
+          {data.cities && data.cities.length > 0 && (
+            <Directory
+              title="Cities"
+              items={data.cities}
+              basePath="/city"
+            />
+          )}
+
+          {/* Recent Events by Agency */}
+          {agencies.map((agency) => (
+            <RecentEvents
+              key={agency}
+              title={`Recent ${agency} Incidents`}
+              events={data.recentByAgency[agency]}
+              viewMorePath={`${basePath}/events/${agency.toLowerCase()}`}
+              showAgencyBadge={false}
+            />
+          ))}
+        </main>
+
+        <InfoSidebar meta={data.meta} />
+      </div>
+    </Shell>
+  );
+};
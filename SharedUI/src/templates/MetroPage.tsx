@@ -0,0 +1,83 @@
+import React from 'react';
+import { Shell } from '../components/layout/Shell';
+import { Hero } from '../components/blocks/Hero';
+import { StatGrid } from '../components/blocks/StatGrid';
+import { Directory } from '../components/blocks/Directory';
+import { RecentEvents } from '../components/blocks/RecentEvents';
+import { InfoSidebar } from '../components/blocks/InfoSidebar';
+import { FilterSidebar } from '../components/blocks/FilterSidebar';
+import type { BrandConfig, MetroPageData } from '../types';
+
+interface MetroPageProps {
+  brand: BrandConfig;
+  data: MetroPageData;
+}
+
+export const MetroPage: React.FC<MetroPageProps> = ({
+  brand,
+  data,
+}) => {
+  // Metros can span states (e.g., "Chattanooga, TN-GA"), so only link a single one
+  const breadcrumbs = [
+    { label: 'Home', path: '/' },
+    { label: 'USA', path: '/usa' },
+    ...(data.states.length === 1 ? [{ label: data.states[0], path: `/state/${data.states[0].toLowerCase()}` }] : []),
+    { label: data.name },
+  ];
+
+  const scoreInfo = brand.scoreConfig && data.stats.score !== undefined ? {
+    value: data.stats.score,
+    label: brand.scoreConfig.name,
+    betaDisclaimer: brand.scoreConfig.betaDisclaimer,
+  } : undefined;
+
+  const agencies = Object.keys(data.recentByAgency);
+  const basePath = `/metro/${data.slug}`;
+
+  return (
+    <Shell
+      brand={brand}
+    >
+      <Hero
+        title={data.name}
+        subtitle={`Worker safety data for the ${data.name} metro area`}
+        breadcrumbs={breadcrumbs}
+        score={scoreInfo}
+      />
+
+      {/* 3-Column Layout: Filters | Main | Info */}
+      <div className="page-layout">
+        <FilterSidebar />
+
+        <main className="page-main">
+          <StatGrid stats={data.stats} />
+
+          <Directory
+            title="Counties"
+            items={data.counties}
+            basePath="/county"
+          />
+
+          <Directory
+            title="Companies"
+            items={data.directory}
+            basePath="/company"
+          />
+
+          {/* Recent Events by Agency */}
+          {agencies.map((agency) => (
+            <RecentEvents
+              key={agency}
+              title={`Recent ${agency} Incidents`}
+              events={data.recentByAgency[agency]}
+              viewMorePath={`${basePath}/events/${agency.toLowerCase()}`}
+              showAgencyBadge={false}
+            />
+          ))}
+        </main>
+
+        <InfoSidebar meta={data.meta} />
+      </div>
+    </Shell>
+  );
+};
@@ -16,11 +16,18 @@ export const SitePage: React.FC<SitePageProps> = ({
   brand,
   data,
 }) => {
+  const address = data.address
+    ? [data.address.street, data.address.city, [data.address.state, data.address.zip].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ')
+    : undefined;
+  // Store-numbered sites go by their number; the rest by their street
+  const siteLabel = data.storeNumber ? `#${data.storeNumber}` : data.address?.street || data.siteId;
+
   const breadcrumbs = [
     { label: 'Home', path: '/' },
     { label: 'USA', path: '/usa' },
     { label: data.companyName, path: `/company/${data.companySlug}` },
-    { label: `#${data.siteId}` },
+    { label: siteLabel },
   ];
 
   const scoreInfo = brand.scoreConfig && data.stats.score !== undefined ? {
@@ -35,7 +42,9 @@ export const SitePage: React.FC<SitePageProps> = ({
     >
       <Hero
         title={data.name}
-        subtitle={`Location #${data.siteId} of ${data.companyName}`}
+        subtitle={data.storeNumber
+          ? `Location #${data.storeNumber} of ${data.companyName}${address ? ` · ${address}` : ''}`
+          : `${data.companyName} location at ${address || data.siteId}`}
         breadcrumbs={breadcrumbs}
         score={scoreInfo}
       />
@@ -72,7 +81,7 @@ export const SitePage: React.FC<SitePageProps> = ({
                 {data.siblings.slice(0, 10).map((sibling) => (
                   <a
                     key={sibling.slug}
-                    href={`/company/${data.companySlug}/site/${sibling.slug}`}
+                    href={`/site/${sibling.slug}`}
                     style={{
                       padding: 'var(--space-sm) var(--space-md)',
                       backgroundColor: 'var(--secondary-color)',
@@ -89,7 +98,7 @@ export const SitePage: React.FC<SitePageProps> = ({
                     onMouseEnter={(e) => e.currentTarget.style.backgroundColor = 'var(--accent-color)'}
                     onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'var(--secondary-color)'}
                   >
-                    <span>#{sibling.name}</span>
+                    <span>{sibling.name}</span>
                     <span style={{
                       backgroundColor: 'var(--primary-color)',
                       color: 'var(--text-dark)',
@@ -109,7 +118,7 @@ export const SitePage: React.FC<SitePageProps> = ({
           <RecentEvents
             title="Recent Incidents"
             events={data.recentEvents}
-            viewMorePath={`/company/${data.companySlug}/site/${data.siteId}/events`}
+            viewMorePath={`/site/${data.slug}/events`}
             showAgencyBadge={true}
           />
         </main>
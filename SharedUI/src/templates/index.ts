@@ -1,6 +1,8 @@
 export { NationPage } from './NationPage';
 export { StatePage } from './StatePage';
 export { CityPage } from './CityPage';
+export { CountyPage } from './CountyPage';
+export { MetroPage } from './MetroPage';
 export { CompanyPage } from './CompanyPage';
 export { SitePage } from './SitePage';
 
@@ -62,8 +62,10 @@ export interface NavItem {
 // === Page Data Types ===
 export interface EntityStats {
   totalEvents: number;
+  consolidatedEvents?: number;     // Companies: own events + subsidiaries' and brands'
   totalCompanies?: number;
   totalCities?: number;
+  totalCounties?: number;
   totalStates?: number;
   totalInjuries?: number;
   totalFatalities?: number;
@@ -96,6 +98,7 @@ export interface RecentEvent {
   city?: string;
   state?: string;
   agency: string;
+  linkedEvents?: number;           // Other reports of the same incident, collapsed into this one
 }
 
 export interface EntityMeta {
@@ -138,18 +141,54 @@ export interface CityPageData {
   meta?: EntityMeta;
 }
 
+export interface CountyPageData {
+  name: string;                    // "Knox County"
+  slug: string;                    // "47093" (FIPS)
+  state: string;                   // "TN"
+  stateName: string;               // "Tennessee"
+  metro?: { slug: string; name: string };  // Metro area (CBSA) the county belongs to
+  stats: EntityStats;
+  directory: DirectoryItem[];      // Companies
+  cities?: DirectoryItem[];        // Cities in the county
+  recentByAgency: Record<string, RecentEvent[]>;
+  meta?: EntityMeta;
+}
+
+export interface MetroPageData {
+  name: string;                    // "Knoxville, TN"
+  slug: string;                    // "28940" (CBSA code)
+  states: string[];                // ["TN"]
+  stats: EntityStats;
+  directory: DirectoryItem[];      // Companies
+  counties: DirectoryItem[];       // Member counties (subtitle: state)
+  recentByAgency: Record<string, RecentEvent[]>;
+  meta?: EntityMeta;
+}
+
 export interface CompanyPageData {
   name: string;                    // "Walmart Inc"
   slug: string;                    // "walmart-inc"
   stats: EntityStats;
   sites?: DirectoryItem[];         // Sites (if applicable)
+  subsidiaries?: DirectoryItem[];  // Subsidiaries & brands (subtitle: relationship)
+  parent?: { slug: string; name: string };  // Parent company, if this one belongs to another
   recentEvents: RecentEvent[];
   meta?: EntityMeta;
 }
 
+export interface SiteAddress {
+  street: string;                  // "1200 N Main St"
+  city?: string;
+  state?: string;
+  zip?: string;
+}
+
 export interface SitePageData {
-  name: string;                    // "Walmart #1234"
-  siteId: string;                  // "1234"
+  name: string;                    // "Walmart #1234" or "Walmart, 1200 N Main St"
+  slug: string;                    // "walmart-inc_1234" (URL: /site/{slug})
+  siteId: string;                  // "1234", or "addr-…" for sites known only by address
+  storeNumber?: string;            // "1234" when the source numbers its locations
+  address?: SiteAddress;
   companySlug: string;
   companyName: string;
   stats: EntityStats;
@@ -0,0 +1,247 @@
+/**
+ * Build the city fallback indexes (see Sluice/lib/geo.js)
+ *
+ * Usage:
+ *   node build-geo-index.js                                   (GEO# grid from the city items)
+ *   node build-geo-index.js --zcta tab20_zcta520_place20_natl.txt --zcta-county tab20_zcta520_county20_natl.txt
+ *
+ * Reads every CITY# and COUNTY# item already in the Anchor (`node ../import.js cities ...` and
+ * `node ../import.js counties ...`), so run those first.
+ *   - GEO#{latCell}#{lonCell} / CITY#...: each city's Gazetteer internal point, for nearest-place lookups
+ *   - ZIP#{zip5} / CITY#...: with --zcta, the Census 2020 ZCTA-to-place relationship file
+ *     (pipe-delimited, https://www2.census.gov/geo/docs/maps-data/data/rel2020/zcta520/),
+ *     joined to cities on their census GEOID
+ *   - ZIP#{zip5} / COUNTY#{fips}: with --zcta-county, the ZCTA-to-county relationship file
+ *   - county_fips on each CITY# item: with both files, the county holding most of the city's
+ *     land, going through the ZIPs they share
+ * Re-running overwrites the same keys.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { DynamoDBClient, ScanCommand, BatchWriteItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { geoCell, parseCoordinates } from '../../Sluice/lib/geo.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+const BATCH_SIZE = 25;
+const MIN_SHARE_KEPT = 0.05; // Slivers of a ZIP in a neighbouring place aren't worth an item
+
+async function loadEntities(prefix) {
+    const entities = [];
+    let lastKey;
+    do {
+        const res = await client.send(new ScanCommand({
+            TableName: TABLE_NAME,
+            FilterExpression: 'begins_with(PK, :prefix) AND SK = :meta',
+            ExpressionAttributeValues: marshall({ ':prefix': prefix, ':meta': 'METADATA' }),
+            ProjectionExpression: 'PK, #n, #s, #l, census, fips, county_fips',
+            ExpressionAttributeNames: { '#n': 'name', '#s': 'state', '#l': 'location' },
+            ExclusiveStartKey: lastKey
+        }));
+        entities.push(...(res.Items || []).map(i => unmarshall(i)));
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+    return entities;
+}
+
+/**
+ * Reads a pipe-delimited Census relationship file, calling onRow for each data row.
+ */
+async function readRelationship(filePath, onRow) {
+    const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let headers = null;
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        const cols = line.replace(/^\uFEFF/, '').split('|').map(c => c.trim());
+        if (!headers) {
+            headers = cols;
+            continue;
+        }
+        onRow(Object.fromEntries(headers.map((h, i) => [h, cols[i]])));
+    }
+}
+
+function geoItems(cities) {
+    const items = [];
+    for (const city of cities) {
+        const point = city.location ? parseCoordinates(city.location.lat, city.location.lon) : null;
+        if (!point) continue;
+        items.push({
+            PK: `GEO#${geoCell(point.lat, point.lon)}`,
+            SK: city.PK,
+            name: city.name,
+            state: city.state,
+            county_fips: city.county_fips,
+            lat: point.lat,
+            lon: point.lon
+        });
+    }
+    return items;
+}
+
+/**
+ * ZIP# -> CITY# items from the ZCTA-to-place file. Also returns the land each ZIP shares
+ * with each city, for assignCounties.
+ */
+async function zipPlaceItems(filePath, cities) {
+    const byGeoid = new Map(cities.filter(c => c.census && c.census.geoid).map(c => [c.census.geoid, c]));
+    const items = [];
+    const overlaps = []; // { zip, city, land }
+    let unmatched = 0;
+
+    await readRelationship(filePath, (row) => {
+        const zip = row['GEOID_ZCTA5_20'];
+        const zctaLand = Number(row['AREALAND_ZCTA5_20']);
+        if (!zip || !row['GEOID_PLACE_20'] || !zctaLand) return;
+
+        const city = byGeoid.get(row['GEOID_PLACE_20']);
+        if (!city) {
+            unmatched++;
+            return;
+        }
+
+        const land = Number(row['AREALAND_PART']);
+        overlaps.push({ zip, city, land });
+        const share = land / zctaLand;
+        if (share < MIN_SHARE_KEPT) return;
+        items.push({
+            PK: `ZIP#${zip}`,
+            SK: city.PK,
+            name: city.name,
+            state: city.state,
+            share: Math.round(share * 1000) / 1000,
+            source: 'census-zcta520-place20'
+        });
+    });
+    if (unmatched > 0) console.log(`   ${unmatched} crosswalk rows name places missing from the Anchor`);
+    return { items, overlaps };
+}
+
+/**
+ * ZIP# -> COUNTY# items from the ZCTA-to-county file. Also returns each ZIP's county shares.
+ */
+async function zipCountyItems(filePath, counties) {
+    const byFips = new Map(counties.map(c => [c.fips, c]));
+    const items = [];
+    const sharesByZip = new Map(); // zip -> [{ fips, share }]
+
+    await readRelationship(filePath, (row) => {
+        const zip = row['GEOID_ZCTA5_20'];
+        const zctaLand = Number(row['AREALAND_ZCTA5_20']);
+        const county = byFips.get(row['GEOID_COUNTY_20']);
+        if (!zip || !county || !zctaLand) return;
+
+        const share = Number(row['AREALAND_PART']) / zctaLand;
+        if (!sharesByZip.has(zip)) sharesByZip.set(zip, []);
+        sharesByZip.get(zip).push({ fips: county.fips, share });
+        if (share < MIN_SHARE_KEPT) return;
+        items.push({
+            PK: `ZIP#${zip}`,
+            SK: county.PK,
+            name: county.name,
+            state: county.state,
+            share: Math.round(share * 1000) / 1000,
+            source: 'census-zcta520-county20'
+        });
+    });
+    return { items, sharesByZip };
+}
+
+/**
+ * A city's county is the one holding most of its land: each city/ZIP overlap is split
+ * across that ZIP's counties by their share of it. Sets county_fips on the city objects
+ * and returns the cities whose county changed.
+ */
+function assignCounties(overlaps, sharesByZip) {
+    const scores = new Map(); // city PK -> { city, byCounty: Map(fips -> land) }
+    for (const { zip, city, land } of overlaps) {
+        if (!scores.has(city.PK)) scores.set(city.PK, { city, byCounty: new Map() });
+        const byCounty = scores.get(city.PK).byCounty;
+        for (const { fips, share } of sharesByZip.get(zip) || []) {
+            byCounty.set(fips, (byCounty.get(fips) || 0) + land * share);
+        }
+    }
+
+    const changed = [];
+    for (const { city, byCounty } of scores.values()) {
+        const [best] = [...byCounty.entries()].sort((a, b) => b[1] - a[1]);
+        if (!best || best[0] === city.county_fips) continue;
+        city.county_fips = best[0];
+        changed.push(city);
+    }
+    return changed;
+}
+
+async function updateCityCounties(cities) {
+    let done = 0;
+    for (const city of cities) {
+        await client.send(new UpdateItemCommand({
+            TableName: TABLE_NAME,
+            Key: marshall({ PK: city.PK, SK: 'METADATA' }),
+            UpdateExpression: 'SET county_fips = :fips',
+            ExpressionAttributeValues: marshall({ ':fips': city.county_fips })
+        }));
+        if (++done % 500 === 0) process.stdout.write(`\r✅ City counties: ${done}/${cities.length}...`);
+    }
+    console.log(`\r✅ City counties: ${cities.length}/${cities.length}`);
+}
+
+async function writeItems(items, label) {
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        const batch = items.slice(i, i + BATCH_SIZE).map(item => ({
+            PutRequest: { Item: marshall(item, { removeUndefinedValues: true }) }
+        }));
+        try {
+            await client.send(new BatchWriteItemCommand({ RequestItems: { [TABLE_NAME]: batch } }));
+        } catch (e) {
+            console.error(`\n❌ Batch Write Failed:`, e.message);
+        }
+        process.stdout.write(`\r✅ ${label}: ${Math.min(i + BATCH_SIZE, items.length)}/${items.length}...`);
+    }
+    console.log('');
+}
+
+async function buildGeoIndex() {
+    const args = process.argv.slice(2);
+    const option = (flag) => {
+        const i = args.indexOf(flag);
+        return i >= 0 ? args[i + 1] : null;
+    };
+    const zctaPath = option('--zcta');
+    const zctaCountyPath = option('--zcta-county');
+    for (const file of [zctaPath, zctaCountyPath].filter(Boolean)) {
+        if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+    }
+
+    console.log('🌍 Loading Anchor cities and counties...');
+    const cities = await loadEntities('CITY#');
+    const counties = zctaCountyPath ? await loadEntities('COUNTY#') : [];
+    console.log(`   ${cities.length} cities, ${counties.length} counties`);
+
+    let places = null;
+    if (zctaPath) {
+        console.log(`📮 Reading ZCTA-to-place crosswalk ${zctaPath}...`);
+        places = await zipPlaceItems(zctaPath, cities);
+        await writeItems(places.items, 'ZIP# city items');
+    }
+
+    if (zctaCountyPath) {
+        if (counties.length === 0) throw new Error('No COUNTY# items in the Anchor; run import.js counties first');
+        console.log(`📮 Reading ZCTA-to-county crosswalk ${zctaCountyPath}...`);
+        const zipCounties = await zipCountyItems(zctaCountyPath, counties);
+        await writeItems(zipCounties.items, 'ZIP# county items');
+        if (places) await updateCityCounties(assignCounties(places.overlaps, zipCounties.sharesByZip));
+    }
+
+    // Last, so grid items carry the cities' counties
+    await writeItems(geoItems(cities), 'GEO# items');
+
+    console.log('🎉 Geo index complete.');
+}
+
+buildGeoIndex().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
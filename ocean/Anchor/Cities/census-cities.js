@@ -0,0 +1,154 @@
+/**
+ * Census places -> CITY# items
+ *
+ * Source for `node import.js cities <2024_Gaz_place_national.txt>` (see ../import.js).
+ * Reads the Census Gazetteer place file (tab-delimited) into
+ *   CITY#{STATE}-{slug} / METADATA   { name, state, place_type, location, area, census }
+ * plus an ALIAS#{STATE}-{simple} / POINTER item for compound names ("Nashville-Davidson..." -> "Nashville").
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+// Fields the import owns on CITY# items; anything else on them (county_fips, ...) is curated
+export const CITY_FIELDS = ['place_type', 'name', 'state', 'location', 'area', 'census', 'GSI1PK', 'GSI1SK'];
+
+const clean = (val) => {
+    if (val === undefined || val === null) return undefined;
+    if (typeof val === 'string' && val.trim() === '') return undefined;
+    return val;
+};
+
+// Helper: Extract type and clean name
+const parseName = (rawName) => {
+    // 1. Remove " (balance)" and other census artifacts
+    let clean = rawName.replace(/ \(balance\)$/i, '');
+
+    // 2. Normalize "St." -> "Saint" (Matches Processor Logic)
+    clean = clean.replace(/^St\. /i, 'Saint ');
+    clean = clean.replace(/^Ste\. /i, 'Sainte ');
+
+    // 3. Extract Suffix Type
+    // Matches common city types for basic splitting
+    const match = clean.match(/^(.*?) (city|town|village|CDP|borough|municipality|urban county|comunidad|zona urbana|metropolitan government|unified government|consolidated government|unified.*government)$/i);
+
+    if (match) {
+        return {
+            name: match[1],
+            type: match[2].charAt(0).toUpperCase() + match[2].slice(1).toLowerCase()
+        };
+    }
+
+    return {
+        name: clean,
+        type: 'Place'
+    };
+};
+
+// Simple Alias (The "Colloquial" Name)
+// e.g. "Nashville-Davidson..." -> "nashville"
+// e.g. "Athens-Clarke County..." -> "athens"
+const simpleAlias = (cleanName) => {
+    if (!(cleanName.includes('-') || cleanName.includes(' government') || cleanName.match(/metropolitan|unified|consolidated/i))) {
+        return null;
+    }
+    // Aggressive Strip
+    const simple = cleanName.split('-')[0]
+        .replace(/ (metropolitan|unified|consolidated) government.*/i, '')
+        .trim();
+
+    if (simple && simple.length > 2 && simple !== cleanName) {
+        return simple.toLowerCase().replace(/ /g, '_');
+    }
+    return null;
+};
+
+/**
+ * Returns Map(PK -> CITY# item). Duplicate names within a state keep the first place.
+ */
+export async function readCities(filePath) {
+    const rl = readline.createInterface({
+        input: fs.createReadStream(filePath),
+        crlfDelay: Infinity
+    });
+
+    const cities = new Map();
+    let headers = [];
+    let collisions = 0;
+
+    for await (const line of rl) {
+        let cleanLine = line.trim();
+        if (!cleanLine) continue;
+
+        const cols = cleanLine.split('\t').map(c => c.trim());
+
+        if (headers.length === 0) {
+            if (cols.includes('USPS') && cols.includes('NAME')) headers = cols;
+            continue;
+        }
+
+        const row = {};
+        headers.forEach((h, i) => row[h] = cols[i]);
+
+        const state = row['USPS'];
+        const rawName = row['NAME'];
+
+        if (!state || !rawName) continue;
+
+        const { name: cleanName, type: placeType } = parseName(rawName);
+
+        // Primary Slug (The "Correct" Full Name)
+        const slug = cleanName.toLowerCase().replace(/ /g, '_');
+        const pk = `CITY#${state.toUpperCase()}-${slug}`;
+
+        if (cities.has(pk)) {
+            collisions++;
+            continue;
+        }
+
+        cities.set(pk, {
+            PK: pk,
+            SK: 'METADATA',
+            place_type: placeType,
+            name: clean(cleanName),
+            state: clean(state),
+            location: {
+                lat: clean(row['INTPTLAT']),
+                lon: clean(row['INTPTLONG'])
+            },
+            area: {
+                land_sqm: clean(row['ALAND']),
+                water_sqm: clean(row['AWATER']),
+                land_sqmi: clean(row['ALAND_SQMI']),
+                water_sqmi: clean(row['AWATER_SQMI'])
+            },
+            census: {
+                geoid: clean(row['GEOID']),
+                ansi: clean(row['ANSICODE'])
+            },
+            GSI1PK: `ALIAS#${slug}-${state.toLowerCase()}`,
+            GSI1SK: pk
+        });
+    }
+
+    if (headers.length === 0) throw new Error(`No Gazetteer header (USPS, NAME) in ${filePath}`);
+    console.log(`   ${cities.size} cities (skipped ${collisions} duplicate names)`);
+    return cities;
+}
+
+/**
+ * Items the import generates from a city: its colloquial-name alias, if it has one.
+ */
+export function cityAliasItems(city) {
+    const alias = city.name && simpleAlias(city.name);
+    if (!alias) return [];
+    // Format "TN-nashville" (CAPS STATE - lower city)
+    const aliasSlug = `${city.state.toUpperCase()}-${alias}`;
+    return [{
+        PK: `ALIAS#${aliasSlug}`, // Global unique alias
+        SK: 'POINTER',
+        GSI1PK: `ALIAS#${aliasSlug}`,
+        GSI1SK: city.PK, // Points to the REAL key
+        target: city.PK
+    }];
+}
@@ -0,0 +1,67 @@
+/**
+ * Build Company Match Keys
+ *
+ * Writes MATCHKEY# items for every company already in the Anchor (listed companies from
+ * `import.js companies` and hand-added ones from add-company.js), so fuzzy resolution works
+ * without re-importing. Safe to re-run: items are keyed by match key + company.
+ *
+ * Usage: node VentureOS/ocean/Anchor/Companies/build-matchkeys.js
+ */
+
+import { DynamoDBClient, ScanCommand, BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { matchKeyItems } from '../../Sluice/lib/matchkeys.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+
+async function buildMatchKeys() {
+    console.log('🧲 Scanning Anchor for companies...');
+    const requests = [];
+    let companies = 0;
+    let lastKey;
+    do {
+        const res = await client.send(new ScanCommand({
+            TableName: TABLE_NAME,
+            FilterExpression: '(begins_with(PK, :slug) AND SK = :meta) OR (begins_with(PK, :company) AND SK = :canonical)',
+            ExpressionAttributeValues: marshall({
+                ':slug': 'SLUG#', ':meta': 'METADATA',
+                ':company': 'COMPANY#', ':canonical': 'CANONICAL'
+            }),
+            ProjectionExpression: 'PK, #n',
+            ExpressionAttributeNames: { '#n': 'name' },
+            ExclusiveStartKey: lastKey
+        }));
+        for (const item of (res.Items || []).map(i => unmarshall(i))) {
+            if (!item.name) continue;
+            companies++;
+            for (const key of matchKeyItems(item.name, item.PK)) {
+                requests.push({ PutRequest: { Item: marshall(key) } });
+            }
+        }
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+
+    console.log(`📦 ${companies} companies -> ${requests.length} match keys. Writing...`);
+
+    let written = 0;
+    while (requests.length > 0) {
+        let batch = requests.splice(0, 25);
+        for (let attempt = 0; batch.length > 0 && attempt < 5; attempt++) {
+            const res = await client.send(new BatchWriteItemCommand({ RequestItems: { [TABLE_NAME]: batch } }));
+            const unprocessed = res.UnprocessedItems?.[TABLE_NAME] || [];
+            written += batch.length - unprocessed.length;
+            batch = unprocessed;
+            if (batch.length > 0) await new Promise(r => setTimeout(r, 200 * 2 ** attempt));
+        }
+        if (batch.length > 0) console.error(`\n❌ Gave up on ${batch.length} match keys after retries`);
+        if (written % 1000 < 25) process.stdout.write(`\r${written} match keys written...`);
+    }
+
+    console.log(`\n✅ Match keys complete: ${written} written.`);
+}
+
+buildMatchKeys().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
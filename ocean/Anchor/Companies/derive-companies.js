@@ -0,0 +1,269 @@
+/**
+ * Derive private companies from the ingested data
+ *
+ * The Anchor only knows listed companies (`import.js companies`) and hand-added ones, so most
+ * OSHA employers never get a company_slug. This mints COMPANY# entities for employer names
+ * that recur in silver.events without resolving and carry identifying evidence (EIN, street
+ * address or NAICS code), then backfills their events.
+ *
+ * Usage:
+ *   node derive-companies.js --dry-run                 (list what would be minted)
+ *   node derive-companies.js [--min-events 3] [--limit 500] [--no-backfill]
+ *   node derive-companies.js --promote <slug> [--name "Acme Roofing LLC"] [--reviewer name]
+ *
+ * Minted companies are COMPANY#{slug}/CANONICAL items with status "derived" and an `evidence`
+ * map; their observed spellings become aliases (derived: true) and their EINs identifiers
+ * (link-identifier.js). Names sharing an EIN become one company, and names filed under an EIN
+ * the Anchor already links to a company become aliases of it. Names close to an existing
+ * company are left to the review queue. --promote marks a derived company verified
+ * (optionally renaming it) once someone has checked it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { addCompany, addAlias, addIdentifier, findCompany, findIdentifier, verifyCompany, DERIVED } from '../add-company.js';
+import { candidateKeys, scoreNames } from '../../Sluice/lib/matchkeys.js';
+import { normalizeIdentifier } from '../../Sluice/lib/identifiers.js';
+import { runQuery, fetchRows, PATH_ROOT } from '../../Sluice/orchestrate_pipeline.js';
+import { backfillCompanies } from '../../Sluice/backfill_companies.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+const CANDIDATES_FILE = path.join(PATH_ROOT, 'derive_private_companies.sql');
+
+const DEFAULT_MIN_EVENTS = 3;
+const REVIEW_SCORE = 0.75;      // This close to an existing company: a human decides, not us
+const MAX_ESTABLISHMENTS = 25;  // Evidence is a sample; DynamoDB items cap at 400 KB
+
+const slugify = (text) => {
+    return text.toString().toLowerCase()
+        .replace(/\./g, '-')
+        .replace(/\s+/g, '-')
+        .replace(/[^\w\-]+/g, '')
+        .replace(/\-\-+/g, '-')
+        .replace(/^-+/, '')
+        .replace(/-+$/, '');
+};
+
+async function loadCandidates(minEvents) {
+    const sql = fs.readFileSync(CANDIDATES_FILE, 'utf-8')
+        .replace(/--.*$/gm, '')
+        .trim()
+        .replace('{{MIN_EVENTS}}', String(minEvents));
+    const rows = await fetchRows(await runQuery('DERIVE CANDIDATES', sql));
+
+    return rows.map(r => ({
+        name: r.display_name,
+        variants: JSON.parse(r.variants),
+        eventCount: Number(r.event_count),
+        firstSeen: r.first_seen,
+        lastSeen: r.last_seen,
+        eins: JSON.parse(r.eins).map(ein => normalizeIdentifier('EIN', ein)).filter(Boolean), // Drops placeholders like 000000000
+        naicsCodes: JSON.parse(r.naics_codes),
+        states: JSON.parse(r.states),
+        establishments: JSON.parse(r.establishments).map(e => {
+            const [street, city, state, zip] = e.split('|');
+            return { street, city: city || undefined, state: state || undefined, zip: zip || undefined };
+        })
+    }));
+}
+
+/**
+ * Different spellings filed under the same EIN are one employer: merge them, keeping the
+ * most frequent name.
+ */
+function mergeByEin(candidates) {
+    const byEin = new Map();   // ein -> group
+    const groups = [];
+    for (const candidate of candidates) {
+        const group = candidate.eins.map(ein => byEin.get(ein)).find(Boolean);
+        if (!group) {
+            const created = { ...candidate };
+            groups.push(created);
+            for (const ein of candidate.eins) byEin.set(ein, created);
+            continue;
+        }
+        if (candidate.eventCount > group.eventCount) group.name = candidate.name;
+        group.variants = [...new Set([...group.variants, ...candidate.variants])];
+        group.eventCount += candidate.eventCount;
+        group.firstSeen = [group.firstSeen, candidate.firstSeen].sort()[0];
+        group.lastSeen = [group.lastSeen, candidate.lastSeen].sort().pop();
+        group.eins = [...new Set([...group.eins, ...candidate.eins])];
+        group.naicsCodes = [...new Set([...group.naicsCodes, ...candidate.naicsCodes])];
+        group.states = [...new Set([...group.states, ...candidate.states])];
+        group.establishments = [...group.establishments, ...candidate.establishments];
+        for (const ein of group.eins) byEin.set(ein, group);
+    }
+    return groups.sort((a, b) => b.eventCount - a.eventCount);
+}
+
+async function aliasExists(name) {
+    const res = await client.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :alias',
+        ExpressionAttributeValues: marshall({ ':alias': `ALIAS#${name.toLowerCase().trim()}` }),
+        Limit: 1
+    }));
+    return res.Items && res.Items.length > 0;
+}
+
+async function closestCompany(name) {
+    let best = null;
+    for (const { kind, key } of candidateKeys(name)) {
+        const res = await client.send(new QueryCommand({
+            TableName: TABLE_NAME,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({ ':pk': `MATCHKEY#${kind}#${key}` }),
+            Limit: 25
+        }));
+        for (const hit of (res.Items || []).map(i => unmarshall(i))) {
+            const score = scoreNames(name, hit.name);
+            if (!best || score > best.score) best = { slug: hit.SK.replace(/^(COMPANY|SLUG)#/, ''), score };
+        }
+    }
+    return best;
+}
+
+/**
+ * The company one of the candidate's EINs is already linked to, if exactly one is.
+ */
+async function companyByEin(candidate) {
+    for (const ein of candidate.eins) {
+        const holders = await findIdentifier('EIN', ein);
+        if (holders.length === 1) return { target: holders[0], ein };
+    }
+    return null;
+}
+
+async function pickSlug(candidate) {
+    const base = slugify(candidate.name);
+    if (!base) return null;
+    if (!(await findCompany(base))) return base;
+    // Same name, different employer (e.g. a local "ABC Construction" in each state)
+    if (candidate.states.length === 1) {
+        const scoped = `${base}-${candidate.states[0].toLowerCase()}`;
+        if (!(await findCompany(scoped))) return scoped;
+    }
+    return null;
+}
+
+async function deriveCompanies({ minEvents = DEFAULT_MIN_EVENTS, limit, dryRun = false, backfill = true } = {}) {
+    console.log(`⚓ Deriving private companies (${minEvents}+ events)${dryRun ? ' (dry run)' : ''}...`);
+
+    const candidates = mergeByEin(await loadCandidates(minEvents)).slice(0, limit || undefined);
+    console.log(`   ${candidates.length} candidate employer(s) with evidence`);
+
+    const minted = [];
+    const linked = [];
+    const skipped = { decided: 0, review: 0, slug: 0 };
+    const changes = [];
+
+    for (const candidate of candidates) {
+        // Reviewed or aliased since these events were processed
+        let decided = false;
+        for (const variant of candidate.variants) {
+            if (await aliasExists(variant)) { decided = true; break; }
+        }
+        if (decided) {
+            skipped.decided++;
+            continue;
+        }
+
+        // Same EIN as a company we know: these are its names, not a new company
+        const known = await companyByEin(candidate);
+        if (known) {
+            const slug = known.target.replace(/^(COMPANY|SLUG)#/, '');
+            console.log(`   🔗 "${candidate.name}" files under EIN ${known.ein} of ${slug}; adding ${candidate.variants.length} alias(es)`);
+            linked.push({ slug, name: candidate.name, ein: known.ein });
+            if (dryRun) continue;
+            for (const alias of candidate.variants) {
+                await addAlias(alias, known.target, { type: 'Alias', derived: true, via_ein: known.ein });
+                changes.push({ alias, slug });
+            }
+            continue;
+        }
+
+        const closest = await closestCompany(candidate.name);
+        if (closest && closest.score >= REVIEW_SCORE) {
+            console.log(`   ⏭️ "${candidate.name}" is close to ${closest.slug} (${closest.score.toFixed(2)}); leaving it to the review queue`);
+            skipped.review++;
+            continue;
+        }
+
+        const slug = await pickSlug(candidate);
+        if (!slug) {
+            console.warn(`   ⚠️ No free slug for "${candidate.name}"; skipping`);
+            skipped.slug++;
+            continue;
+        }
+
+        const evidence = {
+            event_count: candidate.eventCount,
+            first_seen: candidate.firstSeen,
+            last_seen: candidate.lastSeen,
+            eins: candidate.eins,
+            naics_codes: candidate.naicsCodes,
+            states: candidate.states,
+            establishments: candidate.establishments.slice(0, MAX_ESTABLISHMENTS)
+        };
+        console.log(`   🏭 ${candidate.name} → ${slug} (${candidate.eventCount} events, ${candidate.eins.length} EIN, ${candidate.establishments.length} addresses)`);
+        minted.push({ slug, name: candidate.name, evidence });
+        if (dryRun) continue;
+
+        const primary = candidate.name.toLowerCase().trim();
+        await addCompany(
+            candidate.name,
+            slug,
+            candidate.variants.filter(v => v !== primary),
+            { type: 'Alias', derived: true },
+            { status: DERIVED, derived_at: new Date().toISOString(), evidence }
+        );
+        for (const ein of candidate.eins) {
+            try {
+                await addIdentifier(`COMPANY#${slug}`, 'EIN', ein, { source: 'derived' });
+            } catch (e) {
+                console.warn(`   ⚠️ ${e.message}`);
+            }
+        }
+        for (const alias of candidate.variants) changes.push({ alias, slug });
+    }
+
+    console.log(`   Minted ${minted.length}, linked ${linked.length} to existing companies by EIN; skipped ${skipped.decided} already decided, ${skipped.review} for review, ${skipped.slug} without a slug`);
+    const summary = { minted, linked, skipped };
+    if (dryRun || changes.length === 0) return summary;
+
+    // Their events are already in Silver
+    if (backfill) summary.backfill = await backfillCompanies({ changes });
+    else console.log('   Skipped backfill; run Sluice/backfill_companies.js --since <today> to apply.');
+    return summary;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (flag) => {
+        const i = args.indexOf(flag);
+        return i >= 0 ? args[i + 1] : undefined;
+    };
+
+    const promote = option('--promote');
+    if (promote) {
+        const company = await findCompany(promote);
+        if (!company) throw new Error(`No company ${promote} in the Anchor`);
+        return verifyCompany(promote, { name: option('--name'), reviewer: option('--reviewer') });
+    }
+
+    await deriveCompanies({
+        minEvents: Number(option('--min-events')) || DEFAULT_MIN_EVENTS,
+        limit: Number(option('--limit')) || undefined,
+        dryRun: args.includes('--dry-run'),
+        backfill: !args.includes('--no-backfill')
+    });
+}
+
+main().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
@@ -0,0 +1,133 @@
+/**
+ * Link a company into the corporate hierarchy
+ *
+ * Usage:
+ *   node link-company.js <child-slug> <parent-slug> [--type subsidiary|brand] [--replace]
+ *   node link-company.js <child-slug> --unlink
+ *   node link-company.js <slug> --show
+ *
+ * Example: node link-company.js sams-club walmart-inc --type brand
+ *
+ * Both companies must already be in the Anchor (`import.js companies` / add-company.js).
+ * A company has at most one parent; --replace moves it. Edges are stored as
+ *   PK=HIERARCHY#{parent}, SK=CHILD#{child}, GSI1PK=HIERARCHY_PARENT#{child}
+ * and reach Athena through the closure the orchestrator exports each run (Sluice/lib/hierarchy.js).
+ */
+
+import { DynamoDBClient, PutItemCommand, DeleteItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { findCompany } from '../add-company.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+const RELATIONSHIPS = ['subsidiary', 'brand'];
+
+async function getParentEdge(slug) {
+    const res = await client.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :p',
+        ExpressionAttributeValues: marshall({ ':p': `HIERARCHY_PARENT#${slug}` }),
+        Limit: 1
+    }));
+    return res.Items && res.Items.length > 0 ? unmarshall(res.Items[0]) : null;
+}
+
+async function getChildEdges(slug) {
+    const res = await client.send(new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :child)',
+        ExpressionAttributeValues: marshall({ ':pk': `HIERARCHY#${slug}`, ':child': 'CHILD#' })
+    }));
+    return (res.Items || []).map(i => unmarshall(i));
+}
+
+async function deleteEdge(edge) {
+    await client.send(new DeleteItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall({ PK: edge.PK, SK: edge.SK })
+    }));
+    console.log(`✂️ Unlinked ${edge.child_slug} from ${edge.parent_slug}`);
+}
+
+async function link(childSlug, parentSlug, relationship, replace) {
+    if (!RELATIONSHIPS.includes(relationship)) throw new Error(`--type must be one of ${RELATIONSHIPS.join(', ')}`);
+    if (childSlug === parentSlug) throw new Error('A company cannot be its own parent');
+
+    const child = await findCompany(childSlug);
+    const parent = await findCompany(parentSlug);
+    if (!child) throw new Error(`No company ${childSlug} in the Anchor (add it with add-company.js first)`);
+    if (!parent) throw new Error(`No company ${parentSlug} in the Anchor`);
+
+    // The parent chain must not run back through the child
+    for (let slug = parentSlug, edge; (edge = await getParentEdge(slug)); slug = edge.parent_slug) {
+        if (edge.parent_slug === childSlug) throw new Error(`${parentSlug} is already below ${childSlug}; that would make a cycle`);
+    }
+
+    const existing = await getParentEdge(childSlug);
+    if (existing && existing.parent_slug !== parentSlug) {
+        if (!replace) throw new Error(`${childSlug} already belongs to ${existing.parent_slug}; pass --replace to move it`);
+        await deleteEdge(existing);
+    }
+
+    await client.send(new PutItemCommand({
+        TableName: TABLE_NAME,
+        Item: marshall({
+            PK: `HIERARCHY#${parentSlug}`,
+            SK: `CHILD#${childSlug}`,
+            GSI1PK: `HIERARCHY_PARENT#${childSlug}`,
+            GSI1SK: `PARENT#${parentSlug}`,
+            type: 'Hierarchy',
+            parent_slug: parentSlug,
+            parent_name: parent.name,
+            child_slug: childSlug,
+            child_name: child.name,
+            relationship,
+            createdAt: new Date().toISOString()
+        }, { removeUndefinedValues: true })
+    }));
+    console.log(`✅ ${child.name || childSlug} (${childSlug}) is now a ${relationship} of ${parent.name || parentSlug} (${parentSlug})`);
+    console.log('   Company pages pick this up on the next pipeline run.');
+}
+
+async function show(slug) {
+    const parent = await getParentEdge(slug);
+    const children = await getChildEdges(slug);
+    console.log(`🏢 ${slug}`);
+    console.log(`   Parent: ${parent ? `${parent.parent_slug} (${parent.relationship})` : '(none)'}`);
+    console.log(`   Children: ${children.length === 0 ? '(none)' : ''}`);
+    for (const edge of children) console.log(`     - ${edge.child_slug} (${edge.relationship})`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = new Set(args.filter(a => a.startsWith('--')));
+    let relationship = 'subsidiary';
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--type') relationship = args[++i];
+        else if (!args[i].startsWith('--')) positional.push(args[i]);
+    }
+    const [childSlug, parentSlug] = positional;
+
+    if (!childSlug) {
+        console.log('Usage: node link-company.js <child-slug> <parent-slug> [--type subsidiary|brand] [--replace]');
+        console.log('       node link-company.js <child-slug> --unlink');
+        console.log('       node link-company.js <slug> --show');
+        process.exit(1);
+    }
+
+    if (flags.has('--show')) return show(childSlug);
+    if (flags.has('--unlink')) {
+        const edge = await getParentEdge(childSlug);
+        if (!edge) return console.log(`${childSlug} has no parent.`);
+        return deleteEdge(edge);
+    }
+    if (!parentSlug) throw new Error('Missing parent slug');
+    return link(childSlug, parentSlug, relationship, flags.has('--replace'));
+}
+
+main().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
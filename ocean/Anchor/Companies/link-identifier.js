@@ -0,0 +1,130 @@
+/**
+ * Link registry identifiers (EIN, CIK, LEI) to companies
+ *
+ * Usage:
+ *   node link-identifier.js <slug> <ein|cik|lei> <value> [--replace]
+ *   node link-identifier.js <slug> <ein|cik|lei> <value> --unlink
+ *   node link-identifier.js <slug> --show
+ *   node link-identifier.js --sec-tickers company_tickers.json [--dry-run]
+ *
+ * Example: node link-identifier.js walmart-inc cik 104169
+ *
+ * The processor resolves a record carrying a linked identifier (e.g. an OSHA ITA `ein`)
+ * straight to its company, before any name matching (see Sluice/lib/identifiers.js).
+ * --sec-tickers links the CIK of every listed company whose ticker is in the SEC's
+ * https://www.sec.gov/files/company_tickers.json. An identifier belongs to one company;
+ * --replace moves it.
+ */
+
+import fs from 'fs';
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { findCompany, addIdentifier, removeIdentifier, companyIdentifiers, findIdentifier } from '../add-company.js';
+import { SCHEMES, normalizeIdentifier } from '../../Sluice/lib/identifiers.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+
+async function show(slug) {
+    const company = await findCompany(slug);
+    if (!company) throw new Error(`No company ${slug} in the Anchor`);
+    const identifiers = await companyIdentifiers(company.target);
+    console.log(`🏢 ${company.name || slug} (${company.target})`);
+    if (identifiers.length === 0) console.log('   (no identifiers)');
+    for (const { scheme, value, source } of identifiers) console.log(`   ${scheme} ${value}${source ? ` (${source})` : ''}`);
+}
+
+/**
+ * ticker -> SLUG# target, from the tickers map on listed companies
+ */
+async function loadTickers() {
+    const byTicker = new Map();
+    let lastKey;
+    do {
+        const res = await client.send(new ScanCommand({
+            TableName: TABLE_NAME,
+            FilterExpression: 'begins_with(PK, :slug) AND SK = :meta',
+            ExpressionAttributeValues: marshall({ ':slug': 'SLUG#', ':meta': 'METADATA' }),
+            ProjectionExpression: 'PK, tickers',
+            ExclusiveStartKey: lastKey
+        }));
+        for (const item of (res.Items || []).map(i => unmarshall(i))) {
+            for (const ticker of Object.keys(item.tickers || {})) byTicker.set(ticker.toUpperCase(), item.PK);
+        }
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+    return byTicker;
+}
+
+async function linkSecTickers(filePath, dryRun) {
+    // { "0": { "cik_str": 320193, "ticker": "AAPL", "title": "Apple Inc." }, ... }
+    const entries = Object.values(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+    console.log(`🔗 Linking CIKs from ${entries.length} SEC tickers${dryRun ? ' (dry run)' : ''}...`);
+    const byTicker = await loadTickers();
+
+    const cikByTarget = new Map();
+    for (const { cik_str, ticker } of entries) {
+        const symbol = String(ticker || '').toUpperCase();
+        // The SEC writes share classes as BRK-B, the screener as BRK/B
+        const target = byTicker.get(symbol) || byTicker.get(symbol.replace(/-/g, '/'));
+        const cik = normalizeIdentifier('CIK', cik_str);
+        if (target && cik) cikByTarget.set(target, cik); // Share classes of one company share a CIK
+    }
+    console.log(`   ${cikByTarget.size} listed companies matched by ticker`);
+
+    const counts = { linked: 0, existing: 0, conflicts: 0 };
+    for (const [target, cik] of cikByTarget) {
+        if (dryRun) {
+            console.log(`   ${target} → CIK ${cik}`);
+            continue;
+        }
+        try {
+            if (await addIdentifier(target, 'CIK', cik, { source: 'sec-tickers' })) counts.linked++;
+            else counts.existing++;
+        } catch (e) {
+            console.warn(`   ⚠️ ${e.message}`);
+            counts.conflicts++;
+        }
+    }
+    if (!dryRun) console.log(`🎉 Linked ${counts.linked}, already linked ${counts.existing}, conflicts ${counts.conflicts}`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = new Set(args.filter(a => a.startsWith('--')));
+    const secIndex = args.indexOf('--sec-tickers');
+    if (secIndex >= 0) return linkSecTickers(args[secIndex + 1], flags.has('--dry-run'));
+
+    const [slug, rawScheme, value] = args.filter(a => !a.startsWith('--'));
+    if (!slug) {
+        console.log('Usage: node link-identifier.js <slug> <ein|cik|lei> <value> [--replace]');
+        console.log('       node link-identifier.js <slug> <ein|cik|lei> <value> --unlink');
+        console.log('       node link-identifier.js <slug> --show');
+        console.log('       node link-identifier.js --sec-tickers company_tickers.json [--dry-run]');
+        process.exit(1);
+    }
+
+    if (flags.has('--show')) return show(slug);
+
+    const scheme = (rawScheme || '').toUpperCase();
+    if (!SCHEMES.includes(scheme)) throw new Error(`Scheme must be one of ${SCHEMES.join(', ').toLowerCase()}`);
+    if (!value) throw new Error('Missing identifier value');
+
+    const company = await findCompany(slug);
+    if (!company) throw new Error(`No company ${slug} in the Anchor (add it with add-company.js first)`);
+
+    if (flags.has('--unlink')) {
+        const holders = await findIdentifier(scheme, value);
+        if (!holders.includes(company.target)) return console.log(`${slug} has no ${scheme} ${value}.`);
+        return removeIdentifier(company.target, scheme, value);
+    }
+
+    const added = await addIdentifier(company.target, scheme, value, { source: 'manual', replace: flags.has('--replace') });
+    if (!added) console.log(`${slug} already has ${scheme} ${normalizeIdentifier(scheme, value)}.`);
+    else console.log('   New events resolve through it from the next processor run.');
+}
+
+main().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
@@ -1,12 +1,19 @@
+/**
+ * Listed companies -> SLUG# items
+ *
+ * Source for `node import.js companies <nasdaq_screener.csv>` (see ../import.js).
+ * Reads a NASDAQ stock screener export (all exchanges) into
+ *   SLUG#{slug} / METADATA   { name, sector, industry, country, market_cap, ipo_year, tickers }
+ * with one entry per company (share classes become tickers), plus ticker and cleaned-name
+ * aliases and fuzzy match keys for each.
+ */
+
 import fs from 'fs';
 import readline from 'readline';
-import { DynamoDBClient, BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
-import { marshall } from '@aws-sdk/util-dynamodb';
-
-const client = new DynamoDBClient({ region: 'us-east-1' });
-const TABLE_NAME = 'VentureOS-Anchor';
+import { matchKeyItems } from '../../Sluice/lib/matchkeys.js';
 
-const FILE_PATH = 'VentureOS/ocean/Anchor/Companies/nasdaq_screener.csv';
+// Fields the import owns on SLUG# items
+export const COMPANY_FIELDS = ['type', 'name', 'sector', 'industry', 'country', 'market_cap', 'ipo_year', 'tickers', 'primary_ticker'];
 
 const clean = (val) => {
     if (val === undefined || val === null) return undefined;
@@ -72,17 +79,12 @@ const parseCSVLine = (line) => {
     return result.map(c => c.trim().replace(/^"|"$/g, '').replace(/""/g, '"'));
 };
 
-async function importCompanies() {
-    console.log(`⚓ Starting Company Import from ${FILE_PATH}...`);
-
-    if (!fs.existsSync(FILE_PATH)) {
-        console.error(`❌ File not found: ${FILE_PATH}`);
-        return;
-    }
-
-    const fileStream = fs.createReadStream(FILE_PATH);
+/**
+ * Returns Map(PK -> SLUG# item).
+ */
+export async function readCompanies(filePath) {
     const rl = readline.createInterface({
-        input: fileStream,
+        input: fs.createReadStream(filePath),
         crlfDelay: Infinity
     });
 
@@ -102,7 +104,9 @@ async function importCompanies() {
 
         if (lineCount === 1) {
             headers = values.map(h => h.trim().toLowerCase().replace(/ /g, ''));
-            console.log("Headers detected:", headers);
+            if (!headers.includes('symbol') || !headers.includes('name')) {
+                throw new Error(`No screener header (Symbol, Name) in ${filePath}`);
+            }
             continue;
         }
 
@@ -138,7 +142,6 @@ async function importCompanies() {
         if (!companyMap.has(slug)) {
             companyMap.set(slug, {
                 name: cleanName,
-                slug: slug,
                 sector: clean(values[idxSector]),
                 industry: clean(values[idxIndustry]),
                 country: clean(values[idxCountry]),
@@ -164,15 +167,12 @@ async function importCompanies() {
         if (!company.market_cap && values[idxMarketCap]) company.market_cap = clean(values[idxMarketCap]);
     }
 
-    console.log(`📊 Aggregated ${companyMap.size} unique companies from ${lineCount} rows. (Skipped: ${skippedCount})`);
-
-    // 2. Build Request List
-    const allRequests = [];
+    console.log(`   ${companyMap.size} unique companies from ${lineCount} rows (skipped ${skippedCount})`);
 
+    const companies = new Map();
     for (const [slug, co] of companyMap) {
         const pk = `SLUG#${slug}`;
-
-        const mainItem = {
+        companies.set(pk, {
             PK: pk,
             SK: 'METADATA',
             type: 'Company',
@@ -184,67 +184,54 @@ async function importCompanies() {
             ipo_year: co.ipo_year,
             tickers: co.tickers,
             primary_ticker: Object.keys(co.tickers)[0]
-        };
-
-        allRequests.push({
-            PutRequest: { Item: marshall(mainItem, { removeUndefinedValues: true }) }
         });
+    }
+    return companies;
+}
 
-        // Create ticker aliases (e.g., ALIAS#amzn -> amazon-com-inc)
-        for (const [symbol, info] of Object.entries(co.tickers)) {
-            const aliasItem = {
-                PK: `ALIAS#${symbol.toLowerCase()}`,
-                SK: pk,
-                GSI1PK: `ALIAS#${symbol.toLowerCase()}`,
-                GSI1SK: pk,
-                type: 'Alias',
-                target: pk,
-                ticker: symbol
-            };
-            allRequests.push({ PutRequest: { Item: marshall(aliasItem) } });
-        }
-
-        // Create cleaned company name alias for matching (e.g., ALIAS#amazon -> amazon-com-inc)
-        // Strip common suffixes like inc, corp, llc, .com for better fuzzy matching
-        const cleanedForAlias = co.name.toLowerCase()
-            .replace(/\.com\b/gi, '')       // Remove .com
-            .replace(/\b(inc\.?|corp\.?|llc|co\.?|ltd\.?|corporation|incorporated|company)\b/gi, '')
-            .replace(/[^a-z0-9\s]/g, '')     // Remove special chars
-            .replace(/\s+/g, ' ')            // Normalize spaces
-            .trim();
-
-        if (cleanedForAlias && cleanedForAlias !== slug) {
-            const cleanedAlias = {
-                PK: `ALIAS#${cleanedForAlias.replace(/\s+/g, '')}`,  // No spaces: "amazon" not "amazon "
-                SK: pk,
-                GSI1PK: `ALIAS#${cleanedForAlias.replace(/\s+/g, '')}`,
-                GSI1SK: pk,
-                type: 'Alias',
-                target: pk
-            };
-            allRequests.push({ PutRequest: { Item: marshall(cleanedAlias) } });
-        }
+/**
+ * Items the import generates from a company: ticker aliases, its cleaned-name alias and
+ * match keys.
+ */
+export function companyAliasItems(company) {
+    const pk = company.PK;
+    const slug = pk.replace(/^SLUG#/, '');
+    const items = [];
+
+    // Ticker aliases (e.g., ALIAS#amzn -> amazon-com-inc)
+    for (const symbol of Object.keys(company.tickers || {})) {
+        items.push({
+            PK: `ALIAS#${symbol.toLowerCase()}`,
+            SK: pk,
+            GSI1PK: `ALIAS#${symbol.toLowerCase()}`,
+            GSI1SK: pk,
+            type: 'Alias',
+            target: pk,
+            ticker: symbol
+        });
     }
 
-    console.log(`📦 Generated ${allRequests.length} writes. Sending to DynamoDB...`);
-
-    // 3. Batch Write (Chunked)
-    let processed = 0;
-    while (allRequests.length > 0) {
-        const batch = allRequests.splice(0, 25); // Exactly 25 or less
-        try {
-            await client.send(new BatchWriteItemCommand({
-                RequestItems: { [TABLE_NAME]: batch }
-            }));
-            processed += batch.length;
-            if (processed % 1000 === 0) process.stdout.write(`\r${processed} items written...`);
-        } catch (err) {
-            console.error(`\n❌ Batch Failed: ${err.message}`);
-            // If failed, we lose these 25 items. In prod, we'd retry unprocessed items.
-        }
+    // Cleaned company name alias for matching (e.g., ALIAS#amazon -> amazon-com-inc)
+    // Strip common suffixes like inc, corp, llc, .com for better fuzzy matching
+    const cleanedForAlias = company.name.toLowerCase()
+        .replace(/\.com\b/gi, '')       // Remove .com
+        .replace(/\b(inc\.?|corp\.?|llc|co\.?|ltd\.?|corporation|incorporated|company)\b/gi, '')
+        .replace(/[^a-z0-9\s]/g, '')     // Remove special chars
+        .replace(/\s+/g, ' ')            // Normalize spaces
+        .trim();
+
+    if (cleanedForAlias && cleanedForAlias !== slug) {
+        items.push({
+            PK: `ALIAS#${cleanedForAlias.replace(/\s+/g, '')}`,  // No spaces: "amazon" not "amazon "
+            SK: pk,
+            GSI1PK: `ALIAS#${cleanedForAlias.replace(/\s+/g, '')}`,
+            GSI1SK: pk,
+            type: 'Alias',
+            target: pk
+        });
     }
 
-    console.log(`\n✅ Import Complete! Total Items Written: ${processed}`);
+    // Match keys for fuzzy resolution (e.g., MATCHKEY#core#walmart -> walmart-inc)
+    items.push(...matchKeyItems(company.name, pk));
+    return items;
 }
-
-importCompanies();
@@ -0,0 +1,148 @@
+/**
+ * Census counties and OMB metro areas -> COUNTY# / METRO# items
+ *
+ * Source for `node import.js counties <2024_Gaz_counties_national.txt> [--cbsa <list1_2023.csv>]`
+ * (see ../import.js).
+ * - Counties: Census Gazetteer county file (tab-delimited)
+ *     COUNTY#{fips} / METADATA   { name, state, fips, location, area, cbsa_code, cbsa_name }
+ * - Metros: with --cbsa, the OMB delineation file (Census "List 1", saved as CSV)
+ *     METRO#{cbsa} / METADATA    { name, cbsa_code, cbsa_type, states, counties }
+ *   and each member county gets its cbsa_code / cbsa_name.
+ *
+ * Events are tagged with these by the processor through ZIP#/COUNTY# crosswalk items and the
+ * county_fips on city items, both written by Cities/build-geo-index.js (run it after this).
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+// Fields the import owns; the CBSA ones only when it was given the delineation file
+export const COUNTY_FIELDS = ['type', 'name', 'state', 'fips', 'location', 'area', 'census'];
+export const COUNTY_CBSA_FIELDS = ['cbsa_code', 'cbsa_name'];
+export const METRO_FIELDS = ['type', 'name', 'cbsa_code', 'cbsa_type', 'states', 'counties'];
+
+const clean = (val) => {
+    if (val === undefined || val === null) return undefined;
+    if (typeof val === 'string' && val.trim() === '') return undefined;
+    return val.trim();
+};
+
+const parseCSVLine = (line) => {
+    const result = [];
+    let current = '';
+    let inQuote = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            inQuote = !inQuote;
+        } else if (char === ',' && !inQuote) {
+            result.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    result.push(current);
+    return result.map(c => c.trim());
+};
+
+async function readCountyFile(filePath) {
+    const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const counties = new Map(); // fips -> item
+    let headers = [];
+
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        const cols = line.split('\t').map(c => c.trim());
+        if (headers.length === 0) {
+            if (cols.includes('USPS') && cols.includes('GEOID')) headers = cols;
+            continue;
+        }
+        const row = Object.fromEntries(headers.map((h, i) => [h, cols[i]]));
+        if (!row['GEOID'] || !row['USPS']) continue;
+
+        counties.set(row['GEOID'], {
+            PK: `COUNTY#${row['GEOID']}`,
+            SK: 'METADATA',
+            type: 'County',
+            name: clean(row['NAME']),
+            state: row['USPS'].toUpperCase(),
+            fips: row['GEOID'],
+            location: { lat: clean(row['INTPTLAT']), lon: clean(row['INTPTLONG']) },
+            area: { land_sqmi: clean(row['ALAND_SQMI']), water_sqmi: clean(row['AWATER_SQMI']) },
+            census: { ansi: clean(row['ANSICODE']) }
+        });
+    }
+    return counties;
+}
+
+/**
+ * The delineation file has title rows above the header and footnotes below the data.
+ */
+async function readMetros(filePath, counties) {
+    const rl = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const metros = new Map(); // cbsa -> item
+    let headers = null;
+    let unmatched = 0;
+
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        const cols = parseCSVLine(line);
+        if (!headers) {
+            if (cols.includes('CBSA Code')) headers = cols;
+            continue;
+        }
+        const row = Object.fromEntries(headers.map((h, i) => [h, cols[i]]));
+        const cbsa = clean(row['CBSA Code']);
+        const stateFips = clean(row['FIPS State Code']);
+        const countyFips = clean(row['FIPS County Code']);
+        if (!cbsa || !stateFips || !countyFips) continue;
+
+        const fips = `${stateFips.padStart(2, '0')}${countyFips.padStart(3, '0')}`;
+        const county = counties.get(fips);
+        if (!county) {
+            unmatched++;
+            continue;
+        }
+
+        if (!metros.has(cbsa)) {
+            metros.set(cbsa, {
+                PK: `METRO#${cbsa}`,
+                SK: 'METADATA',
+                type: 'Metro',
+                name: clean(row['CBSA Title']),
+                cbsa_code: cbsa,
+                cbsa_type: /micropolitan/i.test(row['Metropolitan/Micropolitan Statistical Area'] || '') ? 'Micropolitan' : 'Metropolitan',
+                states: [],
+                counties: []
+            });
+        }
+        const metro = metros.get(cbsa);
+        metro.counties.push(fips);
+        if (!metro.states.includes(county.state)) metro.states.push(county.state);
+
+        county.cbsa_code = cbsa;
+        county.cbsa_name = metro.name;
+    }
+    if (unmatched > 0) console.log(`   ${unmatched} delineation rows name counties missing from the Gazetteer file`);
+    return metros;
+}
+
+/**
+ * Returns Map(PK -> COUNTY# / METRO# item).
+ */
+export async function readCounties(filePath, { cbsa } = {}) {
+    const counties = await readCountyFile(filePath);
+    if (counties.size === 0) throw new Error(`No Gazetteer header (USPS, GEOID) in ${filePath}`);
+    console.log(`   ${counties.size} counties`);
+
+    let metros = new Map();
+    if (cbsa) {
+        if (!fs.existsSync(cbsa)) throw new Error(`File not found: ${cbsa}`);
+        metros = await readMetros(cbsa, counties);
+        console.log(`   ${metros.size} metro/micro areas`);
+    }
+
+    return new Map([...counties.values(), ...metros.values()].map(item => [item.PK, item]));
+}
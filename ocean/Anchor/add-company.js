@@ -1,89 +1,259 @@
 /**
  * Add a company to the Anchor table
- * 
+ *
  * Usage: node add-company.js "Walmart Inc" "walmart-inc"
- * 
+ *
  * This creates:
  * - Canonical entry: PK=COMPANY#walmart-inc, SK=CANONICAL
  * - Alias entry for lookup: GSI1PK=ALIAS#walmart inc, GSI1SK=COMPANY#walmart-inc
+ * - Match keys for fuzzy resolution: PK=MATCHKEY#core#walmart, SK=COMPANY#walmart-inc
+ *
+ * The same writers back the company review workflow (review-queue-lambda.js), the
+ * derived private-company registry (Companies/derive-companies.js) and the identifier
+ * cross-reference (Companies/link-identifier.js).
  */
 
-import { DynamoDBClient, PutItemCommand, BatchWriteItemCommand } from "@aws-sdk/client-dynamodb";
-import { marshall } from "@aws-sdk/util-dynamodb";
+import { DynamoDBClient, BatchWriteItemCommand, GetItemCommand, UpdateItemCommand, QueryCommand, DeleteItemCommand, TransactWriteItemsCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { fileURLToPath } from "url";
+import { matchKeyItems } from "../Sluice/lib/matchkeys.js";
+import { normalizeIdentifier, identifierItem } from "../Sluice/lib/identifiers.js";
 
 const dynamo = new DynamoDBClient({});
 const ANCHOR_TABLE = "VentureOS-Anchor";
 
-async function addCompany(companyName, slug, additionalAliases = []) {
+// Alias target for names reviewed as "not a company" (e.g. "UNKNOWN", "PRIVATE RESIDENCE")
+export const NOT_COMPANY = "NOTCOMPANY";
+
+// COMPANY# items minted from ingested data carry status "derived" until someone verifies them.
+// Listed (SLUG#) and hand-added companies have no status and count as verified.
+export const DERIVED = "derived";
+export const VERIFIED = "verified";
+
+/**
+ * Alias item: found by the processor through GSI1PK=ALIAS#{alias}.
+ * attributes: extra fields to keep on the item (e.g. review decision metadata)
+ */
+export function aliasItem(alias, target, attributes = {}) {
+    const aliasKey = alias.toLowerCase().trim();
+    return {
+        PK: `ALIAS#${aliasKey}`,
+        SK: target,
+        GSI1PK: `ALIAS#${aliasKey}`,
+        GSI1SK: target,
+        createdAt: new Date().toISOString(),  // Lets the Silver backfill pick up recent aliases (--since)
+        ...attributes
+    };
+}
+
+/**
+ * canonicalFields: extra fields for the COMPANY# item itself (e.g. status and evidence)
+ */
+export async function addCompany(companyName, slug, additionalAliases = [], attributes = {}, canonicalFields = {}) {
     const canonicalSlug = slug.toLowerCase().trim();
     const primaryAlias = companyName.toLowerCase().trim();
-    
+    const target = `COMPANY#${canonicalSlug}`;
+
     const items = [];
-    
+
     // 1. Canonical entry
     items.push({
-        PutRequest: {
-            Item: marshall({
-                PK: `COMPANY#${canonicalSlug}`,
-                SK: "CANONICAL",
-                name: companyName,
-                slug: canonicalSlug,
-                createdAt: new Date().toISOString(),
-            })
-        }
+        PK: target,
+        SK: "CANONICAL",
+        name: companyName,
+        slug: canonicalSlug,
+        createdAt: new Date().toISOString(),
+        ...canonicalFields
     });
-    
+
     // 2. Primary alias (the company name itself)
-    items.push({
-        PutRequest: {
-            Item: marshall({
-                PK: `ALIAS#${primaryAlias}`,
-                SK: `COMPANY#${canonicalSlug}`,
-                GSI1PK: `ALIAS#${primaryAlias}`,
-                GSI1SK: `COMPANY#${canonicalSlug}`,
-            })
-        }
-    });
-    
+    items.push(aliasItem(primaryAlias, target, attributes));
+
     // 3. Additional aliases (variations, abbreviations, etc.)
     for (const alias of additionalAliases) {
-        const aliasKey = alias.toLowerCase().trim();
-        items.push({
-            PutRequest: {
-                Item: marshall({
-                    PK: `ALIAS#${aliasKey}`,
-                    SK: `COMPANY#${canonicalSlug}`,
-                    GSI1PK: `ALIAS#${aliasKey}`,
-                    GSI1SK: `COMPANY#${canonicalSlug}`,
-                })
-            }
-        });
+        items.push(aliasItem(alias, target, attributes));
+    }
+
+    // 4. Match keys, so near-miss spellings of the name and aliases resolve too
+    items.push(...uniqueMatchKeys([companyName, ...additionalAliases], target));
+
+    await writeItems(items);
+
+    console.log(`✅ Added company: "${companyName}" → ${canonicalSlug}`);
+    console.log(`   Aliases: ${[primaryAlias, ...additionalAliases].join(', ')}`);
+    return { slug: canonicalSlug, target };
+}
+
+/**
+ * Points one more name at an existing entity (SLUG#... / COMPANY#...), or at NOT_COMPANY.
+ * The name's earlier alias items are deleted in the same transaction: the processor reads one
+ * alias per name (GSI1, Limit 1), so a re-decided name must not keep its old target.
+ */
+export async function addAlias(alias, target, attributes = {}) {
+    const item = aliasItem(alias, target, attributes);
+    const res = await dynamo.send(new QueryCommand({
+        TableName: ANCHOR_TABLE,
+        KeyConditionExpression: "PK = :pk",
+        ExpressionAttributeValues: marshall({ ":pk": item.PK }),
+        ProjectionExpression: "PK, SK"
+    }));
+    const previous = (res.Items || []).map(i => unmarshall(i)).filter(i => i.SK !== target);
+
+    await dynamo.send(new TransactWriteItemsCommand({
+        TransactItems: [
+            { Put: { TableName: ANCHOR_TABLE, Item: marshall(item, { removeUndefinedValues: true }) } },
+            ...previous.map(({ PK, SK }) => ({ Delete: { TableName: ANCHOR_TABLE, Key: marshall({ PK, SK }) } }))
+        ]
+    }));
+    // "Not a company" names get no match keys: nothing should fuzzy-match *to* them
+    if (target !== NOT_COMPANY) await writeItems(uniqueMatchKeys([alias], target));
+    console.log(`✅ Alias: "${item.PK.replace(/^ALIAS#/, "")}" → ${target}${previous.length ? ` (was ${previous.map(p => p.SK).join(", ")})` : ""}`);
+}
+
+/**
+ * Listed companies live at SLUG#{slug}/METADATA, hand-added ones at COMPANY#{slug}/CANONICAL.
+ * Returns { target, name, status } or null.
+ */
+export async function findCompany(slug) {
+    for (const [pk, sk] of [[`SLUG#${slug}`, "METADATA"], [`COMPANY#${slug}`, "CANONICAL"]]) {
+        const res = await dynamo.send(new GetItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: pk, SK: sk }),
+            ProjectionExpression: "PK, #n, #s",
+            ExpressionAttributeNames: { "#n": "name", "#s": "status" }
+        }));
+        if (res.Item) {
+            const item = unmarshall(res.Item);
+            return { target: pk, name: item.name, status: item.status || VERIFIED };
+        }
+    }
+    return null;
+}
+
+/**
+ * Promotes a derived company to verified once someone has checked it (and fixed its
+ * name if needed). Its slug, aliases and events stay as they are.
+ */
+export async function verifyCompany(slug, { name, reviewer } = {}) {
+    const names = { "#s": "status" };
+    const values = { ":verified": VERIFIED, ":derived": DERIVED, ":at": new Date().toISOString(), ":by": reviewer || "admin" };
+    let update = "SET #s = :verified, verified_at = :at, verified_by = :by";
+    if (name) {
+        update += ", #n = :name";
+        names["#n"] = "name";
+        values[":name"] = name.trim();
+    }
+
+    try {
+        await dynamo.send(new UpdateItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: `COMPANY#${slug}`, SK: "CANONICAL" }),
+            UpdateExpression: update,
+            ConditionExpression: "#s = :derived",
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: marshall(values)
+        }));
+    } catch (e) {
+        if (e.name === "ConditionalCheckFailedException") throw new Error(`${slug} is not a derived company`);
+        throw e;
     }
-    
+
+    // The new name should resolve too
+    if (name) await writeItems([aliasItem(name, `COMPANY#${slug}`), ...uniqueMatchKeys([name], `COMPANY#${slug}`)]);
+    console.log(`✅ Verified company: ${slug}`);
+    return { slug, status: VERIFIED };
+}
+
+/**
+ * Companies holding an identifier: [target]. More than one means it's ambiguous.
+ */
+export async function findIdentifier(scheme, value) {
+    const normalized = normalizeIdentifier(scheme, value);
+    if (!normalized) throw new Error(`Not a valid ${scheme}: ${value}`);
+    const res = await dynamo.send(new QueryCommand({
+        TableName: ANCHOR_TABLE,
+        KeyConditionExpression: "PK = :pk",
+        ExpressionAttributeValues: marshall({ ":pk": `ID#${scheme}#${normalized}` })
+    }));
+    return (res.Items || []).map(i => unmarshall(i).SK);
+}
+
+/**
+ * Identifiers linked to a company (SLUG#... / COMPANY#...): [{ scheme, value, source }]
+ */
+export async function companyIdentifiers(target) {
+    const res = await dynamo.send(new QueryCommand({
+        TableName: ANCHOR_TABLE,
+        IndexName: "GSI1",
+        KeyConditionExpression: "GSI1PK = :ids",
+        ExpressionAttributeValues: marshall({ ":ids": `IDENTIFIERS#${target}` })
+    }));
+    return (res.Items || []).map(i => unmarshall(i)).map(({ scheme, value, source }) => ({ scheme, value, source }));
+}
+
+/**
+ * Links an identifier to a company. If another company already holds it, throws unless
+ * replace is set, which moves it. attributes: e.g. { source: "sec-tickers" }
+ * Returns false when the link already existed.
+ */
+export async function addIdentifier(target, scheme, value, { replace = false, ...attributes } = {}) {
+    const normalized = normalizeIdentifier(scheme, value);
+    if (!normalized) throw new Error(`Not a valid ${scheme}: ${value}`);
+
+    const holders = await findIdentifier(scheme, normalized);
+    if (holders.includes(target)) return false;
+    const others = holders.filter(h => h !== target);
+    if (others.length > 0) {
+        if (!replace) throw new Error(`${scheme} ${normalized} already belongs to ${others.join(", ")}`);
+        for (const other of others) await removeIdentifier(other, scheme, normalized);
+    }
+
+    await writeItems([identifierItem(scheme, normalized, target, attributes)]);
+    console.log(`✅ Identifier: ${scheme} ${normalized} → ${target}`);
+    return true;
+}
+
+export async function removeIdentifier(target, scheme, value) {
+    const normalized = normalizeIdentifier(scheme, value);
+    if (!normalized) throw new Error(`Not a valid ${scheme}: ${value}`);
+    await dynamo.send(new DeleteItemCommand({
+        TableName: ANCHOR_TABLE,
+        Key: marshall({ PK: `ID#${scheme}#${normalized}`, SK: target })
+    }));
+    console.log(`🗑️ Removed identifier: ${scheme} ${normalized} from ${target}`);
+}
+
+function uniqueMatchKeys(names, target) {
+    const matchKeys = new Map();
+    for (const name of names) {
+        for (const item of matchKeyItems(name, target)) matchKeys.set(item.PK, item);
+    }
+    return [...matchKeys.values()];
+}
+
+async function writeItems(items) {
     // Batch write (max 25 items per batch)
     for (let i = 0; i < items.length; i += 25) {
-        const batch = items.slice(i, i + 25);
+        const batch = items.slice(i, i + 25).map(item => ({
+            PutRequest: { Item: marshall(item, { removeUndefinedValues: true }) }
+        }));
         await dynamo.send(new BatchWriteItemCommand({
             RequestItems: {
                 [ANCHOR_TABLE]: batch
             }
         }));
     }
-    
-    console.log(`✅ Added company: "${companyName}" → ${canonicalSlug}`);
-    console.log(`   Aliases: ${[primaryAlias, ...additionalAliases].join(', ')}`);
-}
-
-// CLI usage
-const args = process.argv.slice(2);
-if (args.length < 2) {
-    console.log('Usage: node add-company.js "Company Name" "company-slug" ["alias1" "alias2" ...]');
-    console.log('Example: node add-company.js "Walmart Inc" "walmart-inc" "walmart" "wal-mart"');
-    process.exit(1);
 }
 
-const [companyName, slug, ...aliases] = args;
-addCompany(companyName, slug, aliases);
-
-
+// CLI usage (only when run directly, not when imported by the review Lambda)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    if (args.length < 2) {
+        console.log('Usage: node add-company.js "Company Name" "company-slug" ["alias1" "alias2" ...]');
+        console.log('Example: node add-company.js "Walmart Inc" "walmart-inc" "walmart" "wal-mart"');
+        process.exit(1);
+    }
 
+    const [companyName, slug, ...aliases] = args;
+    addCompany(companyName, slug, aliases);
+}
@@ -0,0 +1,267 @@
+/**
+ * Import a reference dataset into the Anchor
+ *
+ * Usage:
+ *   node import.js cities    <2024_Gaz_place_national.txt>      [--dry-run] [--prune]
+ *   node import.js companies <nasdaq_screener.csv>              [--dry-run] [--prune]
+ *   node import.js counties  <2024_Gaz_counties_national.txt>  [--cbsa <list1_2023.csv>] [--dry-run] [--prune]
+ *
+ * Reads the file (Cities/census-cities.js, Companies/listed-companies.js,
+ * Counties/census-counties.js), diffs it against the entities already in the table and
+ * writes only the difference, so re-running with the same file writes nothing:
+ *   - adds:     new entities, with the aliases and match keys the import generates for them
+ *   - changes:  only the fields the import owns are set or removed. Anything added to the
+ *               item since (county_fips, review metadata, ...) is kept
+ *   - removals: entities no longer in the file are listed. With --prune they are deleted,
+ *               with their generated aliases and match keys
+ * Hand-added aliases (add-company.js, the review queue) are never written or deleted:
+ * only items the import itself generates are.
+ */
+
+import fs from 'fs';
+import { DynamoDBClient, ScanCommand, BatchWriteItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { readCities, cityAliasItems, CITY_FIELDS } from './Cities/census-cities.js';
+import { readCompanies, companyAliasItems, COMPANY_FIELDS } from './Companies/listed-companies.js';
+import { readCounties, COUNTY_FIELDS, COUNTY_CBSA_FIELDS, METRO_FIELDS } from './Counties/census-counties.js';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Anchor';
+const BATCH_SIZE = 25;
+const SAMPLE_SIZE = 10; // Entities listed per section of the diff
+
+// entities: the item kinds the import owns (PK prefix + SK) and their owned fields
+const SOURCES = {
+    cities: {
+        read: (file) => readCities(file),
+        entities: () => [{ prefix: 'CITY#', sk: 'METADATA', fields: CITY_FIELDS }],
+        generated: cityAliasItems
+    },
+    companies: {
+        read: (file) => readCompanies(file),
+        entities: () => [{ prefix: 'SLUG#', sk: 'METADATA', fields: COMPANY_FIELDS }],
+        generated: companyAliasItems
+    },
+    counties: {
+        read: (file, options) => readCounties(file, options),
+        entities: ({ cbsa }) => cbsa
+            ? [
+                { prefix: 'COUNTY#', sk: 'METADATA', fields: [...COUNTY_FIELDS, ...COUNTY_CBSA_FIELDS] },
+                { prefix: 'METRO#', sk: 'METADATA', fields: METRO_FIELDS }
+            ]
+            : [{ prefix: 'COUNTY#', sk: 'METADATA', fields: COUNTY_FIELDS }],
+        generated: () => []
+    }
+};
+
+const itemKey = (item) => `${item.PK}|${item.SK}`;
+
+// DynamoDB maps come back in any order, and undefined fields are never stored
+const stableJson = (value) => JSON.stringify(value, (key, v) =>
+    v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+        : v
+);
+const isEmpty = (value) => stableJson(value) === undefined;
+
+async function loadCurrent({ prefix, sk }) {
+    const items = new Map();
+    let lastKey;
+    do {
+        const res = await client.send(new ScanCommand({
+            TableName: TABLE_NAME,
+            FilterExpression: 'begins_with(PK, :prefix) AND SK = :sk',
+            ExpressionAttributeValues: marshall({ ':prefix': prefix, ':sk': sk }),
+            ExclusiveStartKey: lastKey
+        }));
+        for (const item of (res.Items || []).map(i => unmarshall(i))) items.set(item.PK, item);
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+    return items;
+}
+
+/**
+ * Compares the owned fields of each incoming entity with the stored one.
+ */
+function diffEntities(incoming, current, entity) {
+    const adds = [];
+    const changes = [];
+    const removals = [];
+
+    for (const [pk, item] of incoming) {
+        if (!pk.startsWith(entity.prefix)) continue;
+        const existing = current.get(pk);
+        if (!existing) {
+            adds.push(item);
+            continue;
+        }
+        const set = {};
+        const remove = [];
+        for (const field of entity.fields) {
+            if (isEmpty(item[field])) {
+                if (!isEmpty(existing[field])) remove.push(field);
+            } else if (stableJson(item[field]) !== stableJson(existing[field])) {
+                set[field] = item[field];
+            }
+        }
+        if (Object.keys(set).length > 0 || remove.length > 0) changes.push({ item, existing, set, remove });
+    }
+
+    for (const [pk, existing] of current) {
+        if (!incoming.has(pk)) removals.push(existing);
+    }
+    return { adds, changes, removals };
+}
+
+function printDiff(label, { adds, changes, removals }) {
+    console.log(`\n📋 ${label}: ${adds.length} to add, ${changes.length} to change, ${removals.length} no longer in the file`);
+    for (const item of adds.slice(0, SAMPLE_SIZE)) console.log(`   + ${item.PK} ${item.name || ''}`);
+    for (const { item, set, remove } of changes.slice(0, SAMPLE_SIZE)) {
+        console.log(`   ~ ${item.PK} (${[...Object.keys(set), ...remove.map(f => `-${f}`)].join(', ')})`);
+    }
+    for (const item of removals.slice(0, SAMPLE_SIZE)) console.log(`   - ${item.PK} ${item.name || ''}`);
+
+    // Which fields move, e.g. "market_cap: 5120" after a fresh screener export
+    const byField = {};
+    for (const { set, remove } of changes) {
+        for (const field of [...Object.keys(set), ...remove]) byField[field] = (byField[field] || 0) + 1;
+    }
+    if (Object.keys(byField).length > 0) {
+        console.log(`   Changed fields: ${Object.entries(byField).map(([f, n]) => `${f}: ${n}`).join(', ')}`);
+    }
+}
+
+async function batchWrite(requests, label) {
+    let written = 0;
+    for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+        let batch = requests.slice(i, i + BATCH_SIZE);
+        for (let attempt = 0; batch.length > 0 && attempt < 5; attempt++) {
+            const res = await client.send(new BatchWriteItemCommand({ RequestItems: { [TABLE_NAME]: batch } }));
+            const unprocessed = res.UnprocessedItems?.[TABLE_NAME] || [];
+            written += batch.length - unprocessed.length;
+            batch = unprocessed;
+            if (batch.length > 0) await new Promise(r => setTimeout(r, 200 * 2 ** attempt));
+        }
+        if (batch.length > 0) console.error(`\n❌ Gave up on ${batch.length} ${label} after retries`);
+        process.stdout.write(`\r✅ ${label}: ${written}/${requests.length}...`);
+    }
+    if (requests.length > 0) console.log('');
+}
+
+async function updateOwnedFields({ item, set, remove }) {
+    const names = {};
+    const values = {};
+    const setParts = Object.keys(set).map((field, i) => {
+        names[`#s${i}`] = field;
+        values[`:s${i}`] = set[field];
+        return `#s${i} = :s${i}`;
+    });
+    const removeParts = remove.map((field, i) => {
+        names[`#r${i}`] = field;
+        return `#r${i}`;
+    });
+
+    await client.send(new UpdateItemCommand({
+        TableName: TABLE_NAME,
+        Key: marshall({ PK: item.PK, SK: item.SK }),
+        UpdateExpression: [
+            setParts.length > 0 ? `SET ${setParts.join(', ')}` : '',
+            removeParts.length > 0 ? `REMOVE ${removeParts.join(', ')}` : ''
+        ].join(' ').trim(),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: setParts.length > 0 ? marshall(values, { removeUndefinedValues: true }) : undefined
+    }));
+}
+
+async function importAnchor(type, filePath, { dryRun = false, prune = false, cbsa } = {}) {
+    const source = SOURCES[type];
+    console.log(`⚓ Importing ${type} from ${filePath}${dryRun ? ' (dry run)' : ''}...`);
+    const incoming = await source.read(filePath, { cbsa });
+
+    // Every item the file generates; an alias shared by two entities must survive either's removal
+    const generatedKeys = new Set();
+    for (const item of incoming.values()) {
+        for (const generated of source.generated(item)) generatedKeys.add(itemKey(generated));
+    }
+
+    const puts = [];
+    const deletes = new Map(); // key -> { PK, SK }
+    const updates = [];
+    const diffs = [];
+
+    for (const entity of source.entities({ cbsa })) {
+        const current = await loadCurrent(entity);
+        const diff = diffEntities(incoming, current, entity);
+        printDiff(`${entity.prefix} items (${current.size} in the Anchor)`, diff);
+        diffs.push(diff);
+
+        for (const item of diff.adds) {
+            puts.push(item, ...source.generated(item));
+        }
+        for (const change of diff.changes) {
+            updates.push(change);
+            // A renamed entity generates new aliases / match keys; stale ones go only with --prune
+            const before = new Set(source.generated(change.existing).map(itemKey));
+            for (const generated of source.generated(change.item)) {
+                if (!before.has(itemKey(generated))) puts.push(generated);
+            }
+            if (prune) {
+                for (const generated of source.generated(change.existing)) {
+                    if (!generatedKeys.has(itemKey(generated))) deletes.set(itemKey(generated), generated);
+                }
+            }
+        }
+        if (prune) {
+            for (const existing of diff.removals) {
+                for (const item of [existing, ...source.generated(existing)]) {
+                    if (!generatedKeys.has(itemKey(item))) deletes.set(itemKey(item), item);
+                }
+            }
+        }
+    }
+
+    const removals = diffs.reduce((n, d) => n + d.removals.length, 0);
+    console.log(`\n📦 ${puts.length} items to write, ${updates.length} entities to update, ${deletes.size} items to delete`);
+    if (removals > 0 && !prune) console.log(`   ${removals} entities no longer in the file are kept; pass --prune to delete them`);
+    if (dryRun) return;
+
+    await batchWrite(puts.map(item => ({ PutRequest: { Item: marshall(item, { removeUndefinedValues: true }) } })), 'Written');
+
+    let updated = 0;
+    for (const change of updates) {
+        await updateOwnedFields(change);
+        if (++updated % 500 === 0) process.stdout.write(`\r✅ Updated: ${updated}/${updates.length}...`);
+    }
+    if (updates.length > 0) console.log(`\r✅ Updated: ${updated}/${updates.length}`);
+
+    await batchWrite([...deletes.values()].map(({ PK, SK }) => ({ DeleteRequest: { Key: marshall({ PK, SK }) } })), 'Deleted');
+
+    console.log('🎉 Import complete.');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const cbsaIndex = args.indexOf('--cbsa');
+    const cbsa = cbsaIndex >= 0 ? args[cbsaIndex + 1] : undefined;
+    const [type, filePath] = args.filter((a, i) => !a.startsWith('--') && (cbsaIndex < 0 || i !== cbsaIndex + 1));
+
+    if (!SOURCES[type] || !filePath) {
+        console.log(`Usage: node import.js <${Object.keys(SOURCES).join('|')}> <file> [--cbsa <file>] [--dry-run] [--prune]`);
+        process.exit(1);
+    }
+    if (cbsa && type !== 'counties') throw new Error('--cbsa only applies to counties');
+    for (const file of [filePath, cbsa].filter(Boolean)) {
+        if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+    }
+
+    await importAnchor(type, filePath, {
+        dryRun: args.includes('--dry-run'),
+        prune: args.includes('--prune'),
+        cbsa
+    });
+}
+
+main().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
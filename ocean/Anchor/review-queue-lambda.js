@@ -1,70 +1,237 @@
 /**
  * Review Queue Lambda
- * 
- * Fetches unmatched companies from a pre-computed S3 file
- * The S3 file is generated by running company_review_queue.sql in Athena
- * 
- * To update the queue: Run the Athena query, output goes to S3
- * This Lambda reads that output and returns it to the frontend
+ *
+ * Company match review for names the processor couldn't resolve.
+ *
+ * The queue is rebuilt on every pipeline run by unload_company_review_queue.sql
+ * (s3://venture-os-ocean/admin/company-review-queue/): unresolved company_name values ranked
+ * by event volume, with the best fuzzy candidate the processor saw. This Lambda pages through
+ * it, hides names decided since that run, suggests companies from the Anchor match keys and
+ * applies decisions:
+ *
+ *   { action: "getQueue", limit, offset }
+ *   { action: "accept", companyName, slug }                          alias -> existing company
+ *   { action: "createCompany", companyName, name, slug, aliases }    new company + alias
+ *   { action: "notCompany", companyName }                            alias -> NOTCOMPANY
+ *   { action: "verifyCompany", slug, name }                          derived company -> verified
+ *
+ * Decisions go through add-company.js, so they are ordinary Anchor aliases (plus match keys).
+ * They apply to future ingests; events already in Silver keep their slug until re-resolved.
  */
 
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, ListObjectsV2Command, GetObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { addCompany, addAlias, findCompany, verifyCompany, NOT_COMPANY, DERIVED } from "./add-company.js";
+import { candidateKeys, scoreNames } from "../Sluice/lib/matchkeys.js";
 
 const s3 = new S3Client({});
-const BUCKET = "venture-os-confluence";
-const QUEUE_KEY = "admin/company-review-queue.json";
+const dynamo = new DynamoDBClient({});
+const BUCKET = "venture-os-ocean";
+const QUEUE_PREFIX = "admin/company-review-queue/";
+const ANCHOR_TABLE = "VentureOS-Anchor";
+const MAX_SUGGESTIONS = 5;
+
+class ReviewError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
 
 export const handler = async (event) => {
-    console.log("📋 Fetching company review queue...");
-    
+    // API Gateway (body / query string) or direct invoke
+    const request = event.body
+        ? JSON.parse(event.body)
+        : { ...(event.queryStringParameters || {}), ...event };
+    const action = request.action || "getQueue";
+    console.log(`📋 Review Queue: ${action}`);
+
     try {
-        const response = await s3.send(new GetObjectCommand({
-            Bucket: BUCKET,
-            Key: QUEUE_KEY
-        }));
-        
-        const body = await response.Body.transformToString();
-        const queue = JSON.parse(body);
-        
-        return {
-            statusCode: 200,
-            headers: {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*"
-            },
-            body: JSON.stringify({
-                items: queue,
-                count: queue.length,
-                updatedAt: response.LastModified?.toISOString()
-            })
-        };
-    } catch (err) {
-        if (err.name === 'NoSuchKey') {
-            return {
-                statusCode: 200,
-                headers: {
-                    "Content-Type": "application/json",
-                    "Access-Control-Allow-Origin": "*"
-                },
-                body: JSON.stringify({
-                    items: [],
-                    count: 0,
-                    message: "No review queue found. Run company_review_queue.sql in Athena first."
-                })
-            };
+        switch (action) {
+            case "getQueue":
+                return respond(200, await getQueue(Number(request.limit) || 50, Number(request.offset) || 0));
+            case "accept":
+                return respond(200, await acceptSuggestion(request));
+            case "createCompany":
+                return respond(200, await createCompany(request));
+            case "notCompany":
+                return respond(200, await markNotCompany(request));
+            case "verifyCompany":
+                return respond(200, await promoteCompany(request));
+            default:
+                throw new ReviewError(400, `Unknown action: ${action}`);
         }
-        
-        console.error("Error fetching queue:", err);
-        return {
-            statusCode: 500,
-            headers: {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*"
-            },
-            body: JSON.stringify({ error: err.message })
-        };
+    } catch (err) {
+        console.error("Review Queue Error:", err);
+        return respond(err.statusCode || 500, { error: err.message });
     }
 };
 
+function respond(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*"
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+// --- QUEUE ---
+
+async function getQueue(limit, offset) {
+    const { rows, updatedAt } = await readQueue();
+    if (rows.length === 0) {
+        return { items: [], count: 0, total: 0, message: "Review queue is empty. It is rebuilt on every pipeline run." };
+    }
+
+    // Walk forward from offset, skipping names decided since the queue was built
+    const items = [];
+    let cursor = offset;
+    while (cursor < rows.length && items.length < limit) {
+        const row = rows[cursor++];
+        if (await lookupAliasTarget(row.company_name)) continue;
+        items.push({ ...row, suggestions: await suggestCompanies(row) });
+    }
+
+    return {
+        items,
+        count: items.length,
+        total: rows.length,
+        nextOffset: cursor < rows.length ? cursor : null,
+        updatedAt
+    };
+}
+
+async function readQueue() {
+    const listing = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix: QUEUE_PREFIX }));
+    const files = listing.Contents || [];
+    const rows = [];
+    for (const file of files) {
+        const obj = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: file.Key }));
+        const body = await obj.Body.transformToString();
+        for (const line of body.split("\n")) {
+            if (line.trim()) rows.push(JSON.parse(line));
+        }
+    }
+    // UNLOAD writes several parts; restore the ranking across them
+    rows.sort((a, b) => b.event_count - a.event_count);
+    const updatedAt = files.map(f => f.LastModified).sort((a, b) => b - a)[0];
+    return { rows, updatedAt: updatedAt ? updatedAt.toISOString() : null };
+}
+
+/**
+ * Companies the name might be: the processor's own best candidate plus whatever the
+ * match keys turn up now, best first.
+ */
+async function suggestCompanies(row) {
+    const suggestions = new Map(); // target -> { slug, name, score }
+    for (const { kind, key } of candidateKeys(row.company_name)) {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: ANCHOR_TABLE,
+            KeyConditionExpression: "PK = :pk",
+            ExpressionAttributeValues: marshall({ ":pk": `MATCHKEY#${kind}#${key}` }),
+            Limit: 25
+        }));
+        for (const hit of (res.Items || []).map(i => unmarshall(i))) {
+            const score = scoreNames(row.company_name, hit.name);
+            const seen = suggestions.get(hit.SK);
+            if (!seen || score > seen.score) {
+                suggestions.set(hit.SK, { slug: hit.SK.replace(/^(COMPANY|SLUG)#/, ""), name: hit.name, score });
+            }
+        }
+    }
+
+    if (row.candidate && ![...suggestions.values()].some(s => s.slug === row.candidate)) {
+        const entity = await findCompany(row.candidate);
+        if (entity) suggestions.set(entity.target, { slug: row.candidate, name: entity.name, score: row.candidate_score });
+    }
+
+    return [...suggestions.values()]
+        .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+// --- DECISIONS ---
+
+async function acceptSuggestion({ companyName, slug, reviewer }) {
+    requireName(companyName);
+    if (!slug) throw new ReviewError(400, "slug is required");
+    const entity = await findCompany(slug);
+    if (!entity) throw new ReviewError(404, `No company with slug ${slug}`);
+
+    await addAlias(companyName, entity.target, decision("accept", reviewer));
+    return { decision: "accept", companyName, slug, target: entity.target };
+}
+
+async function createCompany({ companyName, name, slug, aliases = [], reviewer }) {
+    requireName(companyName);
+    const canonicalName = (name || companyName).trim();
+    const canonicalSlug = slug || slugify(canonicalName);
+    if (await findCompany(canonicalSlug)) throw new ReviewError(409, `Company ${canonicalSlug} already exists; accept it instead`);
+
+    // The reviewed name is always an alias, even when the canonical name is spelled differently
+    const extraAliases = [companyName, ...aliases].filter(a => a.toLowerCase().trim() !== canonicalName.toLowerCase());
+    const created = await addCompany(canonicalName, canonicalSlug, extraAliases, decision("create", reviewer));
+    // Replaces any earlier decision on the reviewed name (e.g. not-company)
+    await addAlias(companyName, created.target, decision("create", reviewer));
+    return { decision: "create", companyName, slug: created.slug, target: created.target };
+}
+
+async function markNotCompany({ companyName, reviewer }) {
+    requireName(companyName);
+    await addAlias(companyName, NOT_COMPANY, decision("not_company", reviewer));
+    return { decision: "not_company", companyName };
+}
+
+/**
+ * Derived companies (Companies/derive-companies.js) become verified once a reviewer has
+ * checked them; name fixes the display name if the most common spelling was a poor one.
+ */
+async function promoteCompany({ slug, name, reviewer }) {
+    if (!slug) throw new ReviewError(400, "slug is required");
+    const entity = await findCompany(slug);
+    if (!entity) throw new ReviewError(404, `No company with slug ${slug}`);
+    if (entity.status !== DERIVED) throw new ReviewError(409, `${slug} is already ${entity.status}`);
+
+    await verifyCompany(slug, { name, reviewer });
+    return { decision: "verify", slug, name: name || entity.name };
+}
+
+function decision(kind, reviewer) {
+    return {
+        type: "Alias",
+        decision: kind,
+        reviewed_by: reviewer || "admin",
+        reviewed_at: new Date().toISOString()
+    };
+}
+
+function requireName(companyName) {
+    if (!companyName || !companyName.trim()) throw new ReviewError(400, "companyName is required");
+}
+
+// --- ANCHOR LOOKUPS ---
 
+async function lookupAliasTarget(companyName) {
+    const res = await dynamo.send(new QueryCommand({
+        TableName: ANCHOR_TABLE,
+        IndexName: "GSI1",
+        KeyConditionExpression: "GSI1PK = :alias",
+        ExpressionAttributeValues: marshall({ ":alias": `ALIAS#${companyName.toLowerCase().trim()}` }),
+        Limit: 1
+    }));
+    return res.Items && res.Items.length > 0 ? unmarshall(res.Items[0]).GSI1SK : null;
+}
 
+function slugify(text) {
+    return text.toLowerCase()
+        .replace(/\./g, '-')
+        .replace(/\s+/g, '-')
+        .replace(/[^\w\-]+/g, '')
+        .replace(/\-\-+/g, '-')
+        .replace(/^-+/, '')
+        .replace(/-+$/, '');
+}
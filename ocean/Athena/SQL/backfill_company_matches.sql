@@ -0,0 +1,49 @@
+-- Events re-resolved by a set of Anchor alias changes (see Sluice/backfill_companies.js).
+-- {{ALIAS_CHANGES}} is filled with ('alias', 'company-slug' or NULL for "not a company") rows.
+--
+-- Mirrors the processor's lookup: the name with its site number stripped must equal the alias
+-- exactly, or, for events that never resolved, its cleanCompanyForAlias() form may.
+-- One row per event whose company_slug actually changes, with the store number from the name
+-- (site_id) and the address fields its site under the new company is resolved from. Events resolved by a registry
+-- identifier (id_ein, id_cik, id_lei) are left alone: a name can't overrule them.
+SELECT event_id, old_slug, new_slug, old_site_id, site_id, street, zip, city, method, city_slug, county_fips, metro_code, state
+FROM (
+    SELECT
+        e.event_id,
+        e.company_slug AS old_slug,
+        c.company_slug AS new_slug,
+        e.site_id AS old_site_id,
+        REGEXP_EXTRACT(e.company_name, '[#\-]\s*(\d+)\s*$', 1) AS site_id,
+        CASE
+            WHEN c.company_slug IS NULL THEN 'not_company'
+            WHEN e.lookup_name = c.alias THEN 'alias'
+            ELSE 'smart_alias'
+        END AS method,
+        json_extract_scalar(e.event_details, '$.street') AS street,
+        json_extract_scalar(e.event_details, '$.zip') AS zip,
+        e.city,
+        e.city_slug,
+        e.county_fips,
+        e.metro_code,
+        e.state,
+        ROW_NUMBER() OVER (
+            PARTITION BY e.event_id
+            ORDER BY CASE WHEN e.lookup_name = c.alias THEN 0 ELSE 1 END
+        ) AS rn
+    FROM (
+        SELECT
+            event_id, company_slug, company_name, site_id, event_details, city, city_slug, county_fips, metro_code, state,
+            LOWER(TRIM(REGEXP_REPLACE(company_name, '[#\-]\s*\d+\s*$', ''))) AS lookup_name
+        FROM "silver"."events"
+        WHERE company_name IS NOT NULL
+          AND COALESCE(json_extract_scalar(event_details, '$.company_match_method'), 'none') NOT IN ('id_ein', 'id_cik', 'id_lei')
+    ) e
+    JOIN (VALUES {{ALIAS_CHANGES}}) AS c (alias, company_slug)
+      ON e.lookup_name = c.alias
+      OR (e.company_slug IS NULL AND TRIM(REGEXP_REPLACE(REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(
+              e.lookup_name, '[#0-9]', ''),
+              '\b(inc\.?|corp\.?|llc|co\.?|ltd\.?|store|supercenter|fulfillment|services|motors|coffee)\b', ''),
+              '-', ' '), '\s+', ' ')) = c.alias)
+)
+WHERE rn = 1
+  AND old_slug IS DISTINCT FROM new_slug
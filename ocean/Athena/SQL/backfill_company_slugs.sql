@@ -0,0 +1,33 @@
+-- Rewrites company_slug / site_id for the events backfill_company_matches.sql selects
+-- ({{MATCHES}}), and records the re-resolution in event_details the way the processor would
+-- have: company_match_method / company_match_score, no stale company_match_candidate.
+-- {{SITES}} holds the site each (new company, store number, address) resolved to under the new
+-- company, registered in the Anchor by backfill_companies.js; the old company's site never carries over.
+MERGE INTO events AS target
+USING (
+    SELECT m.*, s.new_site_id,
+        CASE WHEN s.new_site_id IS NULL THEN 'none' WHEN s.store_number IS NOT NULL THEN 'store' ELSE 'address' END AS site_method
+    FROM ({{MATCHES}}) m
+    LEFT JOIN (VALUES {{SITES}}) AS s (company_slug, store_number, street, zip, city, state, new_site_id)
+      ON s.company_slug = m.new_slug
+     AND s.store_number IS NOT DISTINCT FROM m.site_id
+     AND s.street IS NOT DISTINCT FROM m.street
+     AND s.zip IS NOT DISTINCT FROM m.zip
+     AND s.city IS NOT DISTINCT FROM m.city
+     AND s.state IS NOT DISTINCT FROM m.state
+) AS incoming
+ON target.event_id = incoming.event_id
+
+WHEN MATCHED THEN UPDATE SET
+    company_slug = incoming.new_slug,
+    site_id = incoming.new_site_id,
+    event_details = json_format(CAST(map_concat(
+        map_filter(
+            CAST(json_parse(COALESCE(target.event_details, '{}')) AS MAP(VARCHAR, JSON)),
+            (k, v) -> k <> 'company_match_candidate'
+        ),
+        MAP(
+            ARRAY['company_match_method', 'company_match_score', 'site_resolution', 'company_backfill_run'],
+            ARRAY[CAST(incoming.method AS JSON), CAST(1 AS JSON), CAST(incoming.site_method AS JSON), CAST('{{RUN_ID}}' AS JSON)]
+        )
+    ) AS JSON));
@@ -0,0 +1,50 @@
+-- Duplicate clusters over event_links (run by the orchestrator after the linking pass).
+-- Duplicate and inspection links are followed transitively: every event in a connected group
+-- gets the same primary (with a narrative, not a summary, earliest, lowest event_id first),
+-- so no event hides behind one that is hidden itself. Related links are counted, not clustered.
+--   1. DELETE + INSERT  every linked event starts as its own cluster
+--   2. MERGE            each event takes the best cluster among its neighbours; the
+--                       orchestrator repeats it while the SELECT still finds events to move
+DELETE FROM event_clusters;
+
+INSERT INTO event_clusters (event_id, cluster_id, cluster_rank, linked_count, clustered_at)
+SELECT
+    l.event_id,
+    l.event_id,
+    CASE WHEN e.event_description IS NULL THEN '1' ELSE '0' END
+        || CASE WHEN json_extract_scalar(e.event_details, '$.avg_annual_employees') IS NOT NULL
+                  OR json_extract_scalar(e.event_details, '$.total_hours_worked') IS NOT NULL THEN '1' ELSE '0' END
+        || COALESCE(date_format(e.event_date, '%Y%m%d'), '99999999')
+        || l.event_id AS cluster_rank,
+    l.linked_count,
+    CAST(current_timestamp AS TIMESTAMP) AS clustered_at
+FROM (
+    SELECT event_id, COUNT(DISTINCT linked_event_id) AS linked_count
+    FROM event_links
+    GROUP BY event_id
+) l
+JOIN events e ON e.event_id = l.event_id;
+
+SELECT COUNT(*) AS pending
+FROM event_clusters target
+JOIN (
+    SELECT l.event_id, MIN(c.cluster_rank) AS cluster_rank
+    FROM event_links l
+    JOIN event_clusters c ON c.event_id = l.linked_event_id
+    WHERE l.link_type <> 'related'
+    GROUP BY l.event_id
+) best ON best.event_id = target.event_id
+WHERE best.cluster_rank < target.cluster_rank;
+
+MERGE INTO event_clusters AS target
+USING (
+    SELECT l.event_id, MIN_BY(c.cluster_id, c.cluster_rank) AS cluster_id, MIN(c.cluster_rank) AS cluster_rank
+    FROM event_links l
+    JOIN event_clusters c ON c.event_id = l.linked_event_id
+    WHERE l.link_type <> 'related'
+    GROUP BY l.event_id
+) AS best
+ON target.event_id = best.event_id
+WHEN MATCHED AND best.cluster_rank < target.cluster_rank THEN UPDATE SET
+    cluster_id = best.cluster_id,
+    cluster_rank = best.cluster_rank;
@@ -0,0 +1,60 @@
+-- Candidate private companies for Anchor/Companies/derive-companies.js.
+-- Unresolved employer names in silver.events, grouped by the processor's cleanCompanyForAlias()
+-- form, that recur ({{MIN_EVENTS}}+ events) and carry identifying evidence in event_details:
+-- an EIN, a street address or a NAICS code. Array columns come back as JSON strings;
+-- establishments are 'street|city|state|zip'.
+WITH unresolved AS (
+    SELECT
+        raw_name,
+        TRIM(REGEXP_REPLACE(REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(
+            LOWER(raw_name), '[#0-9]', ''),
+            '\b(inc\.?|corp\.?|llc|co\.?|ltd\.?|store|supercenter|fulfillment|services|motors|coffee)\b', ''),
+            '-', ' '), '\s+', ' ')) AS name_key,
+        NULLIF(REGEXP_REPLACE(json_extract_scalar(event_details, '$.ein'), '[^0-9]', ''), '') AS ein,
+        NULLIF(TRIM(json_extract_scalar(event_details, '$.naics_code')), '') AS naics_code,
+        NULLIF(UPPER(TRIM(json_extract_scalar(event_details, '$.street'))), '') AS street,
+        city,
+        state,
+        NULLIF(SUBSTR(TRIM(json_extract_scalar(event_details, '$.zip')), 1, 5), '') AS zip,
+        event_date
+    FROM (
+        SELECT *, TRIM(REGEXP_REPLACE(company_name, '[#\-]\s*\d+\s*$', '')) AS raw_name
+        FROM "silver"."events"
+        WHERE company_slug IS NULL
+          AND company_name IS NOT NULL
+          AND COALESCE(json_extract_scalar(event_details, '$.company_match_method'), 'none') <> 'not_company'
+    )
+),
+variants AS (
+    SELECT name_key, raw_name, COUNT(*) AS n
+    FROM unresolved
+    GROUP BY name_key, raw_name
+),
+names AS (
+    SELECT
+        name_key,
+        MAX_BY(raw_name, n) AS display_name,
+        json_format(CAST(ARRAY_AGG(DISTINCT LOWER(raw_name)) AS JSON)) AS variants
+    FROM variants
+    GROUP BY name_key
+)
+SELECT
+    u.name_key,
+    n.display_name,
+    n.variants,
+    COUNT(*) AS event_count,
+    CAST(MIN(u.event_date) AS VARCHAR) AS first_seen,
+    CAST(MAX(u.event_date) AS VARCHAR) AS last_seen,
+    json_format(CAST(COALESCE(ARRAY_AGG(DISTINCT u.ein) FILTER (WHERE u.ein IS NOT NULL), ARRAY[]) AS JSON)) AS eins,
+    json_format(CAST(COALESCE(ARRAY_AGG(DISTINCT u.naics_code) FILTER (WHERE u.naics_code IS NOT NULL), ARRAY[]) AS JSON)) AS naics_codes,
+    json_format(CAST(COALESCE(ARRAY_AGG(DISTINCT u.state) FILTER (WHERE u.state IS NOT NULL), ARRAY[]) AS JSON)) AS states,
+    json_format(CAST(COALESCE(ARRAY_AGG(DISTINCT
+        u.street || '|' || COALESCE(u.city, '') || '|' || COALESCE(u.state, '') || '|' || COALESCE(u.zip, '')
+    ) FILTER (WHERE u.street IS NOT NULL), ARRAY[]) AS JSON)) AS establishments
+FROM unresolved u
+JOIN names n ON u.name_key = n.name_key
+WHERE LENGTH(u.name_key) >= 3
+GROUP BY u.name_key, n.display_name, n.variants
+HAVING COUNT(*) >= {{MIN_EVENTS}}
+   AND (COUNT_IF(u.ein IS NOT NULL) > 0 OR COUNT_IF(u.street IS NOT NULL) > 0 OR COUNT_IF(u.naics_code IS NOT NULL) > 0)
+ORDER BY event_count DESC
@@ -0,0 +1,10 @@
+CREATE EXTERNAL TABLE IF NOT EXISTS company_hierarchy (
+    ancestor_slug string,
+    ancestor_name string,
+    descendant_slug string,
+    descendant_name string,
+    depth int,
+    relationship string
+)
+ROW FORMAT SERDE 'org.openx.data.jsonserde.JsonSerDe'
+LOCATION 's3://venture-os-ocean/anchor/company_hierarchy/';
@@ -0,0 +1,11 @@
+-- Clusters over silver.event_links, rebuilt by cluster_events.sql after every linking pass.
+-- cluster_id is the primary of the event's whole cluster; cluster_rank is what made it primary.
+CREATE TABLE IF NOT EXISTS event_clusters (
+    event_id string,
+    cluster_id string,
+    cluster_rank string,
+    linked_count bigint,
+    clustered_at timestamp
+)
+LOCATION 's3://venture-os-ocean/deep/event_clusters/'
+TBLPROPERTIES ('table_type' = 'ICEBERG');
@@ -0,0 +1,11 @@
+-- Links between Silver events, rebuilt by link_events.sql after every MERGE.
+-- One row per direction: (a, b) and (b, a).
+CREATE TABLE IF NOT EXISTS event_links (
+    event_id string,
+    linked_event_id string,
+    link_type string,
+    days_apart int,
+    linked_at timestamp
+)
+LOCATION 's3://venture-os-ocean/deep/event_links/'
+TBLPROPERTIES ('table_type' = 'ICEBERG');
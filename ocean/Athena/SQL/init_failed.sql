@@ -0,0 +1,16 @@
+CREATE EXTERNAL TABLE IF NOT EXISTS failed (
+    source_key string,
+    run_id string,
+    message_id string,
+    failed_at string,
+    failure_stage string,
+    error_message string,
+    error_stack string,
+    raw_data string
+)
+PARTITIONED BY (partition_source string, partition_year string)
+ROW FORMAT SERDE 'org.apache.hadoop.hive.ql.io.parquet.serde.ParquetHiveSerDe'
+STORED AS INPUTFORMAT 'org.apache.hadoop.hive.ql.io.parquet.MapredParquetInputFormat'
+OUTPUTFORMAT 'org.apache.hadoop.hive.ql.io.parquet.MapredParquetOutputFormat'
+LOCATION 's3://venture-os-ocean/failed/'
+TBLPROPERTIES ('parquet.compression'='SNAPPY');
@@ -7,6 +7,10 @@ CREATE EXTERNAL TABLE IF NOT EXISTS reef (
     state string,
     city string,
     city_slug string,
+    county_fips string,
+    county_name string,
+    metro_code string,
+    metro_name string,
     company_name string,
     company_slug string,
     site_id string,
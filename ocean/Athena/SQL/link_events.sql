@@ -0,0 +1,77 @@
+-- Cross-source linking pass (run by the orchestrator after each MERGE batch): one incident often
+-- shows up as a severe-incident report, an inspection and a line in the next ITA summary.
+--   inspection  same inspection_id
+--   duplicate   same company and city, different datasets, within 3 days, no conflicting
+--               inspection or site: probably the same incident reported twice
+--   related     an annual summary (ITA / ODI) of the same company, city and year as an incident
+-- Only the links of {{TOUCHED}} (a subquery of event_ids: the batch just merged, or every event
+-- for a --full rebuild) are dropped and recomputed, against all of Silver and in both directions.
+-- cluster_events.sql then groups duplicates and inspection links into clusters.
+DELETE FROM event_links
+WHERE event_id IN {{TOUCHED}} OR linked_event_id IN {{TOUCHED}};
+
+INSERT INTO event_links (event_id, linked_event_id, link_type, days_apart, linked_at)
+WITH candidates AS (
+    SELECT
+        event_id,
+        company_slug,
+        city_slug,
+        site_id,
+        event_date,
+        event_description,
+        split_part(json_extract_scalar(event_details, '$.sextant_version'), '#', 1) AS dataset,
+        NULLIF(trim(json_extract_scalar(event_details, '$.inspection_id')), '') AS inspection_id,
+        -- Annual summaries cover a year, not an incident
+        (json_extract_scalar(event_details, '$.avg_annual_employees') IS NOT NULL
+            OR json_extract_scalar(event_details, '$.total_hours_worked') IS NOT NULL) AS is_summary
+    FROM events
+    WHERE event_date IS NOT NULL
+      AND (company_slug IS NOT NULL OR json_extract_scalar(event_details, '$.inspection_id') IS NOT NULL)
+),
+touched AS (
+    SELECT * FROM candidates WHERE event_id IN {{TOUCHED}}
+),
+pairs AS (
+    SELECT a.event_id, b.event_id AS linked_event_id, 'inspection' AS link_type, a.event_date, b.event_date AS linked_date
+    FROM touched a
+    JOIN candidates b ON a.inspection_id = b.inspection_id AND a.event_id <> b.event_id
+
+    UNION ALL
+
+    SELECT a.event_id, b.event_id, 'duplicate', a.event_date, b.event_date
+    FROM touched a
+    JOIN candidates b ON a.company_slug = b.company_slug AND a.city_slug = b.city_slug AND a.event_id <> b.event_id
+    WHERE NOT a.is_summary AND NOT b.is_summary
+      AND COALESCE(a.dataset, '') <> COALESCE(b.dataset, '')
+      AND abs(date_diff('day', a.event_date, b.event_date)) <= 3
+      AND (a.inspection_id IS NULL OR b.inspection_id IS NULL)
+      AND (a.site_id IS NULL OR b.site_id IS NULL OR a.site_id = b.site_id)
+
+    UNION ALL
+
+    SELECT a.event_id, b.event_id, 'related', a.event_date, b.event_date
+    FROM touched a
+    JOIN candidates b ON a.company_slug = b.company_slug AND a.city_slug = b.city_slug AND a.event_id <> b.event_id
+    WHERE a.is_summary <> b.is_summary
+      AND year(a.event_date) = year(b.event_date)
+      AND (a.site_id IS NULL OR b.site_id IS NULL OR a.site_id = b.site_id)
+),
+-- Every rule is symmetric, so untouched events get their side of these links back too
+both_ways AS (
+    SELECT * FROM pairs
+    UNION ALL
+    SELECT linked_event_id, event_id, link_type, linked_date, event_date FROM pairs
+)
+SELECT
+    p.event_id,
+    p.linked_event_id,
+    p.link_type,
+    CAST(abs(date_diff('day', p.event_date, p.linked_date)) AS INTEGER) AS days_apart,
+    CAST(current_timestamp AS TIMESTAMP) AS linked_at
+FROM (
+    -- A pair linked two ways keeps the stronger link: inspection, then duplicate, then related
+    SELECT event_id, linked_event_id,
+        MIN_BY(link_type, CASE link_type WHEN 'inspection' THEN 0 WHEN 'duplicate' THEN 1 ELSE 2 END) AS link_type, MIN(event_date) AS event_date, MIN(linked_date) AS linked_date
+    FROM both_ways
+    GROUP BY event_id, linked_event_id
+) p;
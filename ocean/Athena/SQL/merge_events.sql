@@ -1,13 +1,16 @@
+-- Merges reef parquet into Silver. The orchestrator fills in {{REEF}}: this run's reef files
+-- (by "$path"), or reef plus reef_archive for a --full rebuild (Sluice/lib/reef.js).
+-- An older version of an event never overwrites a newer one, so files can be merged in any order.
 MERGE INTO events AS target
 USING (
     SELECT * FROM (
         SELECT *, ROW_NUMBER() OVER (PARTITION BY event_id ORDER BY ingested_at DESC) as rn
-        FROM reef
+        FROM {{REEF}}
     ) WHERE rn = 1
 ) AS incoming
 ON target.event_id = incoming.event_id
 
-WHEN MATCHED THEN UPDATE SET
+WHEN MATCHED AND (target.ingested_at IS NULL OR from_iso8601_timestamp(incoming.ingested_at) >= target.ingested_at) THEN UPDATE SET
     event_source = incoming.partition_source,
     source_url = incoming.source_url,
     ingested_at = from_iso8601_timestamp(incoming.ingested_at),
@@ -15,6 +18,10 @@ WHEN MATCHED THEN UPDATE SET
     state = incoming.state,
     city = incoming.city,
     city_slug = incoming.city_slug,
+    county_fips = incoming.county_fips,
+    county_name = incoming.county_name,
+    metro_code = incoming.metro_code,
+    metro_name = incoming.metro_name,
     company_name = incoming.company_name,
     company_slug = incoming.company_slug,
     site_id = incoming.site_id,
@@ -28,7 +35,8 @@ WHEN MATCHED THEN UPDATE SET
 
 WHEN NOT MATCHED THEN INSERT (
     event_id, event_source, source_url, ingested_at, event_date,
-    state, city, city_slug, company_name, company_slug, site_id,
+    state, city, city_slug, county_fips, county_name, metro_code, metro_name,
+    company_name, company_slug, site_id,
     event_title, event_description, event_details,
     raw_data, bedrock_event_title, bedrock_event_description, bedrock_verified,
     quarantine_reason
@@ -36,7 +44,9 @@ WHEN NOT MATCHED THEN INSERT (
     incoming.event_id, incoming.partition_source, incoming.source_url,
     from_iso8601_timestamp(incoming.ingested_at),
     COALESCE(TRY(from_iso8601_timestamp(incoming.event_date)), TRY(date_parse(substr(incoming.event_date, 1, 10), '%Y-%m-%d'))),
-    incoming.state, incoming.city, incoming.city_slug, incoming.company_name, incoming.company_slug, incoming.site_id,
+    incoming.state, incoming.city, incoming.city_slug,
+    incoming.county_fips, incoming.county_name, incoming.metro_code, incoming.metro_name,
+    incoming.company_name, incoming.company_slug, incoming.site_id,
     incoming.event_title, incoming.event_description, incoming.event_details,
     incoming.raw_data, incoming.bedrock_event_title, incoming.bedrock_event_description, incoming.bedrock_verified,
     incoming.quarantine_reason);
@@ -0,0 +1,6 @@
+-- One-time migration for county/metro tagging (run each statement on its own in Athena).
+-- init_reef.sql already has these columns for new setups; existing reef and silver.events
+-- tables need them added before the first MERGE that carries them. Older rows read as NULL.
+ALTER TABLE reef ADD COLUMNS (county_fips string, county_name string, metro_code string, metro_name string);
+
+ALTER TABLE events ADD COLUMNS (county_fips string, county_name string, metro_code string, metro_name string);
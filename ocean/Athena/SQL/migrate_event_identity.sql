@@ -0,0 +1,34 @@
+-- Moves the Silver events of one dataset from row-hash ids to identity-key ids
+-- (Sluice/lib/identity.js), run per Sextant map with identity_keys by Sluice/migrate_event_ids.js.
+-- {{PREFIX}} is the hashed prefix, {{KEY}} the SQL joining the key values with '|'.
+-- A dataset's events are found by the source_url folder, as resolveSourcePath() does, so events
+-- from before Sextant versioning (no sextant_version) are moved too.
+-- Earlier versions of one record collapse into the latest ingested. Safe to re-run.
+MERGE INTO events AS target
+USING (
+    SELECT
+        event_id AS old_id,
+        new_id,
+        ROW_NUMBER() OVER (PARTITION BY new_id ORDER BY ingested_at DESC) AS rn
+    FROM (
+        SELECT
+            event_id,
+            ingested_at,
+            lower(to_hex(sha256(to_utf8('{{PREFIX}}' || {{KEY}})))) AS new_id
+        FROM events
+        WHERE event_source = '{{SOURCE}}'
+          AND split_part(source_url, '/', 1) IN ('estuary', 'confluence', 'Historical', 'Daily')
+          AND split_part(source_url, '/', 3) = '{{DATASET}}'
+          AND {{KEYS_PRESENT}}
+    ) keyed
+) AS incoming
+ON target.event_id = incoming.old_id
+
+WHEN MATCHED AND incoming.rn > 1 THEN DELETE
+
+WHEN MATCHED THEN UPDATE SET
+    event_id = incoming.new_id,
+    event_details = json_format(CAST(map_concat(
+        CAST(json_parse(COALESCE(target.event_details, '{}')) AS MAP(VARCHAR, JSON)),
+        MAP(ARRAY['event_identity'], ARRAY[CAST('natural' AS JSON)])
+    ) AS JSON));
@@ -1,6 +1,6 @@
 UNLOAD (
-    WITH company_events AS (
-        SELECT 
+    WITH direct_events AS (
+        SELECT
             company_slug,
             company_name,
             city,
@@ -9,45 +9,141 @@ UNLOAD (
             COALESCE(bedrock_event_title, event_title) as event_title,
             COALESCE(bedrock_event_description, event_description) as event_description,
             event_source,
-            event_id,
-            ROW_NUMBER() OVER (PARTITION BY company_slug, event_source ORDER BY event_date DESC) as rn
+            event_id
         FROM "silver"."events"
         WHERE company_slug IS NOT NULL
     ),
+    -- Each event counts for its own company (depth 0) and for every ancestor in
+    -- company_hierarchy (the Anchor parent/subsidiary/brand edges, exported by the orchestrator)
+    rolled_events AS (
+        SELECT de.company_slug as rollup_slug, 0 as depth, de.*
+        FROM direct_events de
+        UNION ALL
+        SELECT h.ancestor_slug as rollup_slug, h.depth, de.*
+        FROM direct_events de
+        JOIN "silver"."company_hierarchy" h ON de.company_slug = h.descendant_slug
+    ),
     company_stats AS (
-        SELECT 
-            company_slug,
-            MAX(company_name) as company_name,
-            COUNT(*) as total_events,
+        SELECT
+            rollup_slug as company_slug,
+            COUNT_IF(depth = 0) as total_events,
+            COUNT(*) as consolidated_events,
             CAST(MAX(event_date) AS VARCHAR) as last_active
-        FROM "silver"."events"
-        WHERE company_slug IS NOT NULL
+        FROM rolled_events
+        GROUP BY rollup_slug
+    ),
+    company_names AS (
+        SELECT company_slug, MAX(company_name) as company_name
+        FROM direct_events
         GROUP BY company_slug
     ),
+    -- Parents with no events of their own still need a name
+    hierarchy_names AS (
+        SELECT ancestor_slug as company_slug, MAX(ancestor_name) as company_name
+        FROM "silver"."company_hierarchy"
+        GROUP BY ancestor_slug
+    ),
+    ranked_events AS (
+        SELECT
+            re.*,
+            COALESCE(links.linked_count, 0) as linked_count,
+            ROW_NUMBER() OVER (PARTITION BY rollup_slug, event_source ORDER BY event_date DESC) as rn
+        FROM rolled_events re
+        -- Events linked into another event's cluster show through it (cluster_events.sql)
+        LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+            ON links.linked_id = re.event_id
+        WHERE (links.cluster_id IS NULL OR links.cluster_id = re.event_id)
+    ),
     recent_by_source AS (
-        SELECT 
-            company_slug,
+        SELECT
+            rollup_slug as company_slug,
             event_source,
             ARRAY_AGG(
                 CAST(
-                    ROW(event_id, event_title, event_description, event_date, city, state) 
-                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, city VARCHAR, state VARCHAR)
+                    ROW(event_id, event_title, event_description, event_date, city, state, company_slug, company_name, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, city VARCHAR, state VARCHAR, companySlug VARCHAR, companyName VARCHAR, linkedEvents BIGINT)
                 )
                 ORDER BY event_date DESC
             ) as events
-        FROM company_events
+        FROM ranked_events
         WHERE rn <= 5
-        GROUP BY company_slug, event_source
+        GROUP BY rollup_slug, event_source
+    ),
+    recent_map AS (
+        SELECT company_slug, MAP_AGG(event_source, events) as recentByEventSource
+        FROM recent_by_source
+        GROUP BY company_slug
+    ),
+    subsidiaries AS (
+        SELECT
+            h.ancestor_slug as company_slug,
+            ARRAY_AGG(
+                CAST(
+                    ROW(h.descendant_slug, h.descendant_name, h.relationship, COALESCE(cs.consolidated_events, 0))
+                    AS ROW(slug VARCHAR, name VARCHAR, relationship VARCHAR, count BIGINT)
+                )
+                ORDER BY COALESCE(cs.consolidated_events, 0) DESC
+            ) as subsidiaries
+        FROM "silver"."company_hierarchy" h
+        LEFT JOIN company_stats cs ON cs.company_slug = h.descendant_slug
+        WHERE h.depth = 1
+        GROUP BY h.ancestor_slug
+    ),
+    -- The company's own locations (not its subsidiaries'), named as in unload_sites.sql
+    -- The busiest 50 sites: a chain's full store list would outgrow the 400KB DynamoDB item
+    company_sites AS (
+        SELECT
+            company_slug,
+            SLICE(ARRAY_AGG(
+                CAST(
+                    ROW(company_slug || '_' || site_id, site_name, cnt, city, state)
+                    AS ROW(slug VARCHAR, name VARCHAR, count BIGINT, city VARCHAR, state VARCHAR)
+                )
+                ORDER BY cnt DESC
+            ), 1, 50) as sites
+        FROM (
+            SELECT
+                company_slug,
+                site_id,
+                CASE WHEN site_id LIKE 'addr-%'
+                    THEN COALESCE(MAX_BY(street, event_date) FILTER (WHERE street IS NOT NULL), site_id)
+                    ELSE '#' || site_id END as site_name,
+                MAX_BY(city, event_date) FILTER (WHERE city IS NOT NULL) as city,
+                MAX_BY(state, event_date) FILTER (WHERE state IS NOT NULL) as state,
+                COUNT(*) as cnt
+            FROM (
+                SELECT company_slug, site_id, city, state, event_date,
+                    json_extract_scalar(event_details, '$.street') as street
+                FROM "silver"."events"
+            ) located
+            WHERE company_slug IS NOT NULL AND site_id IS NOT NULL
+            GROUP BY company_slug, site_id
+        ) sub
+        GROUP BY company_slug
+    ),
+    parents AS (
+        SELECT descendant_slug as company_slug, ancestor_slug as parent_slug, ancestor_name as parent_name
+        FROM "silver"."company_hierarchy"
+        WHERE depth = 1
     )
-    SELECT 
+    SELECT
         cs.company_slug,
-        cs.company_name,
+        COALESCE(cn.company_name, hn.company_name) as company_name,
         cs.total_events,
+        cs.consolidated_events,
         cs.last_active,
-        MAP_AGG(rbs.event_source, rbs.events) as recentByEventSource
+        rm.recentByEventSource,
+        s.subsidiaries,
+        cst.sites,
+        p.parent_slug,
+        p.parent_name
     FROM company_stats cs
-    LEFT JOIN recent_by_source rbs ON cs.company_slug = rbs.company_slug
-    GROUP BY cs.company_slug, cs.company_name, cs.total_events, cs.last_active
-) 
-TO 's3://venture-os-ocean/coast/companies/' 
+    LEFT JOIN company_names cn ON cs.company_slug = cn.company_slug
+    LEFT JOIN hierarchy_names hn ON cs.company_slug = hn.company_slug
+    LEFT JOIN recent_map rm ON cs.company_slug = rm.company_slug
+    LEFT JOIN subsidiaries s ON cs.company_slug = s.company_slug
+    LEFT JOIN company_sites cst ON cs.company_slug = cst.company_slug
+    LEFT JOIN parents p ON cs.company_slug = p.company_slug
+)
+TO 's3://venture-os-ocean/coast/companies/'
 WITH (format = 'JSON', compression = 'NONE')
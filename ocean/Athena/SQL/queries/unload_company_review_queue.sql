@@ -0,0 +1,33 @@
+-- Company Review Queue: unresolved company names, most events first.
+-- Names are grouped the way the processor looks them up (site numbers like "#1234" stripped),
+-- so one decision covers every store of a chain. Read by Anchor/review-queue-lambda.js.
+UNLOAD (
+    WITH unresolved AS (
+        SELECT
+            TRIM(REGEXP_REPLACE(company_name, '[#\-]\s*\d+\s*$', '')) as company_name,
+            event_source,
+            state,
+            event_date,
+            json_extract_scalar(event_details, '$.company_match_candidate') as candidate,
+            TRY_CAST(json_extract_scalar(event_details, '$.company_match_score') AS DOUBLE) as candidate_score
+        FROM "silver"."events"
+        WHERE company_slug IS NULL
+          AND company_name IS NOT NULL
+          AND TRIM(company_name) <> ''
+    )
+    SELECT
+        company_name,
+        COUNT(*) as event_count,
+        ARRAY_AGG(DISTINCT event_source) as sources,
+        SLICE(ARRAY_AGG(DISTINCT state), 1, 10) as states,
+        CAST(MAX(event_date) AS VARCHAR) as last_seen,
+        MAX_BY(candidate, candidate_score) as candidate,
+        MAX(candidate_score) as candidate_score
+    FROM unresolved
+    WHERE company_name <> ''
+    GROUP BY company_name
+    ORDER BY event_count DESC
+    LIMIT 5000
+)
+TO 's3://venture-os-ocean/admin/company-review-queue/'
+WITH (format = 'JSON', compression = 'NONE')
@@ -0,0 +1,107 @@
+UNLOAD (
+    WITH county_events AS (
+        SELECT 
+            county_fips,
+            city,
+            state,
+            company_slug,
+            company_name,
+            event_date,
+            COALESCE(bedrock_event_title, event_title) as event_title,
+            COALESCE(bedrock_event_description, event_description) as event_description,
+            event_source,
+            event_id,
+            ROW_NUMBER() OVER (PARTITION BY county_fips, event_source ORDER BY event_date DESC) as rn,
+            COALESCE(links.linked_count, 0) as linked_count
+        FROM "silver"."events"
+        -- Events linked into another event's cluster show through it (cluster_events.sql)
+        LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+            ON links.linked_id = event_id
+        WHERE county_fips IS NOT NULL AND (links.cluster_id IS NULL OR links.cluster_id = event_id)
+    ),
+    county_stats AS (
+        SELECT 
+            county_fips,
+            MAX(county_name) as county_name,
+            MAX(state) as state,
+            MAX(metro_code) as metro_code,
+            MAX(metro_name) as metro_name,
+            COUNT(*) as total_events,
+            COUNT(DISTINCT company_slug) as total_companies,
+            COUNT(DISTINCT city_slug) as total_cities
+        FROM "silver"."events"
+        WHERE county_fips IS NOT NULL
+        GROUP BY county_fips
+    ),
+    recent_by_source AS (
+        SELECT 
+            county_fips,
+            event_source,
+            ARRAY_AGG(
+                CAST(
+                    ROW(event_id, event_title, event_description, event_date, company_slug, company_name, city, state, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, companySlug VARCHAR, companyName VARCHAR, city VARCHAR, state VARCHAR, linkedEvents BIGINT)
+                )
+                ORDER BY event_date DESC
+            ) as events
+        FROM county_events
+        WHERE rn <= 5 AND event_source IS NOT NULL
+        GROUP BY county_fips, event_source
+    ),
+    companies_directory AS (
+        SELECT 
+            county_fips,
+            ARRAY_AGG(
+                CAST(
+                    ROW(company_slug, company_name, cnt) 
+                    AS ROW(slug VARCHAR, name VARCHAR, count BIGINT)
+                )
+                ORDER BY cnt DESC
+            ) as companies
+        FROM (
+            SELECT county_fips, company_slug, MAX(company_name) as company_name, COUNT(*) as cnt
+            FROM "silver"."events"
+            WHERE county_fips IS NOT NULL AND company_slug IS NOT NULL
+            GROUP BY county_fips, company_slug
+        ) sub
+        GROUP BY county_fips
+    ),
+    cities_directory AS (
+        SELECT 
+            county_fips,
+            ARRAY_AGG(
+                CAST(
+                    ROW(city_slug, city, cnt) 
+                    AS ROW(slug VARCHAR, name VARCHAR, count BIGINT)
+                )
+                ORDER BY cnt DESC
+            ) as cities
+        FROM (
+            SELECT county_fips, city_slug, MAX(city) as city, COUNT(*) as cnt
+            FROM "silver"."events"
+            WHERE county_fips IS NOT NULL AND city_slug IS NOT NULL
+            GROUP BY county_fips, city_slug
+        ) sub
+        GROUP BY county_fips
+    )
+    SELECT 
+        cs.county_fips,
+        cs.county_name,
+        cs.state,
+        cs.metro_code,
+        cs.metro_name,
+        cs.total_events,
+        cs.total_companies,
+        cs.total_cities,
+        COALESCE(cd.companies, ARRAY[]) as companies_directory,
+        COALESCE(ct.cities, ARRAY[]) as cities_directory,
+        MAP_AGG(rbs.event_source, rbs.events) as recentByEventSource
+    FROM county_stats cs
+    LEFT JOIN companies_directory cd ON cs.county_fips = cd.county_fips
+    LEFT JOIN cities_directory ct ON cs.county_fips = ct.county_fips
+    LEFT JOIN recent_by_source rbs ON cs.county_fips = rbs.county_fips
+    GROUP BY cs.county_fips, cs.county_name, cs.state, cs.metro_code, cs.metro_name,
+        cs.total_events, cs.total_companies, cs.total_cities, cd.companies, ct.cities
+) 
+TO 's3://venture-os-ocean/coast/counties/' 
+WITH (format = 'JSON', compression = 'NONE')
@@ -0,0 +1,103 @@
+UNLOAD (
+    WITH metro_events AS (
+        SELECT 
+            metro_code,
+            city,
+            state,
+            company_slug,
+            company_name,
+            event_date,
+            COALESCE(bedrock_event_title, event_title) as event_title,
+            COALESCE(bedrock_event_description, event_description) as event_description,
+            event_source,
+            event_id,
+            ROW_NUMBER() OVER (PARTITION BY metro_code, event_source ORDER BY event_date DESC) as rn,
+            COALESCE(links.linked_count, 0) as linked_count
+        FROM "silver"."events"
+        -- Events linked into another event's cluster show through it (cluster_events.sql)
+        LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+            ON links.linked_id = event_id
+        WHERE metro_code IS NOT NULL AND (links.cluster_id IS NULL OR links.cluster_id = event_id)
+    ),
+    metro_stats AS (
+        SELECT 
+            metro_code,
+            MAX(metro_name) as metro_name,
+            ARRAY_SORT(ARRAY_AGG(DISTINCT state)) as states,
+            COUNT(*) as total_events,
+            COUNT(DISTINCT company_slug) as total_companies,
+            COUNT(DISTINCT county_fips) as total_counties
+        FROM "silver"."events"
+        WHERE metro_code IS NOT NULL
+        GROUP BY metro_code
+    ),
+    recent_by_source AS (
+        SELECT 
+            metro_code,
+            event_source,
+            ARRAY_AGG(
+                CAST(
+                    ROW(event_id, event_title, event_description, event_date, company_slug, company_name, city, state, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, companySlug VARCHAR, companyName VARCHAR, city VARCHAR, state VARCHAR, linkedEvents BIGINT)
+                )
+                ORDER BY event_date DESC
+            ) as events
+        FROM metro_events
+        WHERE rn <= 5 AND event_source IS NOT NULL
+        GROUP BY metro_code, event_source
+    ),
+    companies_directory AS (
+        SELECT 
+            metro_code,
+            ARRAY_AGG(
+                CAST(
+                    ROW(company_slug, company_name, cnt) 
+                    AS ROW(slug VARCHAR, name VARCHAR, count BIGINT)
+                )
+                ORDER BY cnt DESC
+            ) as companies
+        FROM (
+            SELECT metro_code, company_slug, MAX(company_name) as company_name, COUNT(*) as cnt
+            FROM "silver"."events"
+            WHERE metro_code IS NOT NULL AND company_slug IS NOT NULL
+            GROUP BY metro_code, company_slug
+        ) sub
+        GROUP BY metro_code
+    ),
+    counties_directory AS (
+        SELECT 
+            metro_code,
+            ARRAY_AGG(
+                CAST(
+                    ROW(county_fips, county_name, state, cnt) 
+                    AS ROW(slug VARCHAR, name VARCHAR, state VARCHAR, count BIGINT)
+                )
+                ORDER BY cnt DESC
+            ) as counties
+        FROM (
+            SELECT metro_code, county_fips, MAX(county_name) as county_name, MAX(state) as state, COUNT(*) as cnt
+            FROM "silver"."events"
+            WHERE metro_code IS NOT NULL AND county_fips IS NOT NULL
+            GROUP BY metro_code, county_fips
+        ) sub
+        GROUP BY metro_code
+    )
+    SELECT 
+        ms.metro_code,
+        ms.metro_name,
+        ms.states,
+        ms.total_events,
+        ms.total_companies,
+        ms.total_counties,
+        COALESCE(cd.companies, ARRAY[]) as companies_directory,
+        COALESCE(ct.counties, ARRAY[]) as counties_directory,
+        MAP_AGG(rbs.event_source, rbs.events) as recentByEventSource
+    FROM metro_stats ms
+    LEFT JOIN companies_directory cd ON ms.metro_code = cd.metro_code
+    LEFT JOIN counties_directory ct ON ms.metro_code = ct.metro_code
+    LEFT JOIN recent_by_source rbs ON ms.metro_code = rbs.metro_code
+    GROUP BY ms.metro_code, ms.metro_name, ms.states,
+        ms.total_events, ms.total_companies, ms.total_counties, cd.companies, ct.counties
+) 
+TO 's3://venture-os-ocean/coast/metros/' 
+WITH (format = 'JSON', compression = 'NONE')
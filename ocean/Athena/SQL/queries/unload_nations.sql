@@ -28,16 +28,21 @@ UNLOAD (
             company_name,
             city,
             state,
-            ROW_NUMBER() OVER (PARTITION BY event_source ORDER BY event_date DESC) as rn
+            ROW_NUMBER() OVER (PARTITION BY event_source ORDER BY event_date DESC) as rn,
+            COALESCE(links.linked_count, 0) as linked_count
         FROM "silver"."events"
+        -- Events linked into another event's cluster show through it (cluster_events.sql)
+        LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+            ON links.linked_id = event_id
+        WHERE (links.cluster_id IS NULL OR links.cluster_id = event_id)
     ),
     events_by_source AS (
         SELECT 
             event_source,
             ARRAY_AGG(
                 CAST(
-                    ROW(event_id, event_title, event_description, event_date, company_name, city, state)
-                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, company VARCHAR, city VARCHAR, state VARCHAR)
+                    ROW(event_id, event_title, event_description, event_date, company_name, city, state, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, company VARCHAR, city VARCHAR, state VARCHAR, linkedEvents BIGINT)
                 )
                 ORDER BY event_date DESC
             ) FILTER (WHERE rn <= 5) as events
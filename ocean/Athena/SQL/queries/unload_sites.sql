@@ -0,0 +1,102 @@
+UNLOAD (
+    -- site_id is a store number ("1234") or an address site ("addr-…", see Sluice/lib/sites.js)
+    WITH site_events AS (
+        SELECT
+            company_slug,
+            site_id,
+            company_name,
+            city,
+            state,
+            json_extract_scalar(event_details, '$.street') as street,
+            json_extract_scalar(event_details, '$.zip') as zip,
+            event_date,
+            COALESCE(bedrock_event_title, event_title) as event_title,
+            COALESCE(bedrock_event_description, event_description) as event_description,
+            event_source,
+            event_id
+        FROM "silver"."events"
+        WHERE company_slug IS NOT NULL AND site_id IS NOT NULL
+    ),
+    site_stats AS (
+        SELECT
+            company_slug,
+            site_id,
+            MAX(company_name) as company_name,
+            -- Address as of the latest event that reported one
+            MAX_BY(street, event_date) FILTER (WHERE street IS NOT NULL) as street,
+            MAX_BY(city, event_date) FILTER (WHERE city IS NOT NULL) as city,
+            MAX_BY(state, event_date) FILTER (WHERE state IS NOT NULL) as state,
+            MAX_BY(zip, event_date) FILTER (WHERE zip IS NOT NULL) as zip,
+            COUNT(*) as total_events,
+            CAST(MAX(event_date) AS VARCHAR) as last_active
+        FROM site_events
+        GROUP BY company_slug, site_id
+    ),
+    ranked_sites AS (
+        SELECT
+            ss.*,
+            CASE WHEN site_id LIKE 'addr-%' THEN COALESCE(street, site_id) ELSE '#' || site_id END as site_name,
+            ROW_NUMBER() OVER (PARTITION BY company_slug ORDER BY total_events DESC) as site_rank
+        FROM site_stats ss
+    ),
+    -- The company's busiest other sites, for comparison
+    siblings AS (
+        SELECT
+            s.company_slug,
+            s.site_id,
+            ARRAY_AGG(
+                CAST(
+                    ROW(o.company_slug || '_' || o.site_id, o.site_name, o.total_events, o.city, o.state)
+                    AS ROW(slug VARCHAR, name VARCHAR, count BIGINT, city VARCHAR, state VARCHAR)
+                )
+                ORDER BY o.total_events DESC
+            ) as siblings
+        FROM ranked_sites s
+        JOIN ranked_sites o ON o.company_slug = s.company_slug AND o.site_id <> s.site_id AND o.site_rank <= 11
+        GROUP BY s.company_slug, s.site_id
+    ),
+    recent_events AS (
+        SELECT
+            company_slug,
+            site_id,
+            ARRAY_AGG(
+                CAST(
+                    ROW(event_id, event_title, event_description, event_date, city, state, company_slug, company_name, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, city VARCHAR, state VARCHAR, companySlug VARCHAR, companyName VARCHAR, linkedEvents BIGINT)
+                )
+                ORDER BY event_date DESC
+            ) as recent_events
+        FROM (
+            SELECT
+                se.*,
+                COALESCE(links.linked_count, 0) as linked_count,
+                ROW_NUMBER() OVER (PARTITION BY company_slug, site_id ORDER BY event_date DESC) as rn
+            FROM site_events se
+            -- Events linked into another event's cluster show through it (cluster_events.sql)
+            LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+                ON links.linked_id = se.event_id
+            WHERE (links.cluster_id IS NULL OR links.cluster_id = se.event_id)
+        ) ranked
+        WHERE rn <= 10
+        GROUP BY company_slug, site_id
+    )
+    SELECT
+        rs.company_slug,
+        rs.site_id,
+        rs.company_slug || '_' || rs.site_id as site_slug,
+        rs.site_name,
+        rs.company_name,
+        rs.street,
+        rs.city,
+        rs.state,
+        rs.zip,
+        rs.total_events,
+        rs.last_active,
+        re.recent_events,
+        COALESCE(sb.siblings, ARRAY[]) as siblings
+    FROM ranked_sites rs
+    LEFT JOIN recent_events re ON rs.company_slug = re.company_slug AND rs.site_id = re.site_id
+    LEFT JOIN siblings sb ON rs.company_slug = sb.company_slug AND rs.site_id = sb.site_id
+)
+TO 's3://venture-os-ocean/coast/sites/'
+WITH (format = 'JSON', compression = 'NONE')
@@ -11,9 +11,13 @@ UNLOAD (
             COALESCE(bedrock_event_description, event_description) as event_description,
             event_source,
             event_id,
-            ROW_NUMBER() OVER (PARTITION BY state, event_source ORDER BY event_date DESC) as rn
+            ROW_NUMBER() OVER (PARTITION BY state, event_source ORDER BY event_date DESC) as rn,
+            COALESCE(links.linked_count, 0) as linked_count
         FROM "silver"."events"
-        WHERE state IS NOT NULL
+        -- Events linked into another event's cluster show through it (cluster_events.sql)
+        LEFT JOIN (SELECT event_id AS linked_id, cluster_id, linked_count FROM "silver"."event_clusters") links
+            ON links.linked_id = event_id
+        WHERE state IS NOT NULL AND (links.cluster_id IS NULL OR links.cluster_id = event_id)
     ),
     state_stats AS (
         SELECT 
@@ -31,8 +35,8 @@ UNLOAD (
             event_source,
             ARRAY_AGG(
                 CAST(
-                    ROW(event_id, event_title, event_description, event_date, company_slug, company_name, city, state) 
-                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, companySlug VARCHAR, companyName VARCHAR, city VARCHAR, state VARCHAR)
+                    ROW(event_id, event_title, event_description, event_date, company_slug, company_name, city, state, linked_count)
+                    AS ROW(eventId VARCHAR, eventTitle VARCHAR, eventDescription VARCHAR, eventDate VARCHAR, companySlug VARCHAR, companyName VARCHAR, city VARCHAR, state VARCHAR, linkedEvents BIGINT)
                 )
                 ORDER BY event_date DESC
             ) as events
@@ -0,0 +1,24 @@
+-- The Gold entities a MERGE of {{REEF}} changes (Sluice/orchestrate_pipeline.js runs it before
+-- each MERGE batch): where the incoming events are, and where their current Silver versions are,
+-- so an event moving city or company refreshes both. One row per kind and value. Sites are
+-- {company_slug}_{site_id}, as their Lighthouse items are; the orchestrator deletes the items of
+-- touched entities the unloads no longer produce.
+WITH touched AS (
+    SELECT state, city_slug, county_fips, metro_code, company_slug, site_id
+    FROM {{REEF}}
+    UNION ALL
+    SELECT state, city_slug, county_fips, metro_code, company_slug, site_id
+    FROM "silver"."events"
+    WHERE event_id IN (SELECT event_id FROM {{REEF}})
+)
+SELECT 'state' AS kind, state AS value FROM touched WHERE state IS NOT NULL GROUP BY state
+UNION ALL
+SELECT 'city', city_slug FROM touched WHERE city_slug IS NOT NULL GROUP BY city_slug
+UNION ALL
+SELECT 'county', county_fips FROM touched WHERE county_fips IS NOT NULL GROUP BY county_fips
+UNION ALL
+SELECT 'metro', metro_code FROM touched WHERE metro_code IS NOT NULL GROUP BY metro_code
+UNION ALL
+SELECT 'company', company_slug FROM touched WHERE company_slug IS NOT NULL GROUP BY company_slug
+UNION ALL
+SELECT 'site', company_slug || '_' || site_id FROM touched WHERE company_slug IS NOT NULL AND site_id IS NOT NULL GROUP BY company_slug, site_id
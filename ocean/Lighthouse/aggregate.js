@@ -1,12 +1,16 @@
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
 import { DynamoDBClient, BatchWriteItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall } from "@aws-sdk/util-dynamodb";
+import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
 import readline from "readline";
 import crypto from "crypto";
 
 const s3 = new S3Client({});
 const dynamo = new DynamoDBClient({});
+const lambda = new LambdaClient({});
 const TABLE_NAME = "VentureOS-Lighthouse";
+// Written by the Sluice once a run's unloads pass validation (Sluice/lib/coast.js)
+const CURRENT_KEY = "coast/current.json";
 
 // State abbreviation to full name mapping
 const STATE_NAMES = {
@@ -64,10 +68,24 @@ function toTitleCase(str) {
 export const handler = async (event) => {
     console.log("🔦 Lighthouse: Processing Result File (JSON)...", JSON.stringify(event));
 
+    // One load from current.json, fanned out by followCurrent(): its files, in order
+    if (event.load) {
+        for (const key of event.load.keys) {
+            const type = detectType(key);
+            if (type) await processFile(event.load.bucket, key, type);
+        }
+        return;
+    }
+
     for (const record of event.Records) {
         const bucket = record.s3.bucket.name;
         const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, " "));
 
+        if (key === CURRENT_KEY) {
+            await followCurrent(bucket);
+            continue;
+        }
+
         const type = detectType(key);
         if (!type) {
             console.log(`Skipping unknown file type: ${key}`);
@@ -78,10 +96,30 @@ export const handler = async (event) => {
     }
 };
 
+/**
+ * A new run was published (or rolled back to): hands each of its loads to a separate
+ * invocation of this function, so files load in parallel.
+ */
+async function followCurrent(bucket) {
+    const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: CURRENT_KEY }));
+    const current = JSON.parse(await response.Body.transformToString());
+    console.log(`📣 Following run ${current.run_id}${current.rollback ? " (rollback)" : ""}: ${current.loads.length} loads`);
+
+    for (const load of current.loads) {
+        await lambda.send(new InvokeCommand({
+            FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+            InvocationType: "Event",
+            Payload: JSON.stringify({ load: { bucket, keys: load.keys } })
+        }));
+    }
+}
+
 function detectType(key) {
     if (key.includes("/nation/")) return "nation";
     if (key.includes("/states/")) return "state";
     if (key.includes("/cities/")) return "city";
+    if (key.includes("/counties/")) return "county";
+    if (key.includes("/metros/")) return "metro";
     if (key.includes("/companies/")) return "company";
     if (key.includes("/sites/")) return "site";
     return null;
@@ -105,13 +143,10 @@ async function processFile(bucket, key, type) {
         if (!line.trim()) continue;
 
         try {
-            const row = JSON.parse(line);
-            const item = transformRow(row, type);
-            if (!item) continue;
+            const request = toWriteRequest(JSON.parse(line), type);
+            if (!request) continue;
 
-            batch.push({
-                PutRequest: { Item: marshall(item, { removeUndefinedValues: true }) }
-            });
+            batch.push(request);
 
             if (batch.length >= 25) {
                 await writeBatch(batch);
@@ -128,12 +163,23 @@ async function processFile(bucket, key, type) {
         count += batch.length;
     }
 
-    console.log(`✅ Loaded ${count} ${type} items.`);
+    console.log(`✅ Wrote ${count} ${type} items.`);
+}
+
+/**
+ * BatchWriteItem request for one coast row: a Put of its item, or a Delete when the Sluice
+ * wrote a tombstone for an entity with no events left (Sluice/lib/coast.js writeTombstones)
+ */
+export function toWriteRequest(row, type) {
+    const item = transformRow(row, type);
+    if (!item) return null;
+    if (row.tombstone) return { DeleteRequest: { Key: marshall({ PK: item.PK, SK: item.SK }) } };
+    return { PutRequest: { Item: marshall(item, { removeUndefinedValues: true }) } };
 }
 
 /**
  * Transform raw Athena event to SharedUI RecentEvent format
- * Frontend expects: { eventId, eventTitle, eventDescription, eventDate, companySlug, companyName, city, state, agency }
+ * Frontend expects: { eventId, eventTitle, eventDescription, eventDate, companySlug, companyName, city, state, agency, linkedEvents }
  */
 function transformEvent(raw, idx, type) {
     if (!raw) return null;
@@ -153,6 +199,8 @@ function transformEvent(raw, idx, type) {
         city: toTitleCase(raw.city) || undefined,
         state: raw.state || undefined,  // Keep as abbreviation (GA, TN, etc)
         agency: 'OSHA',  // Source is in the map key, not individual events
+        // Other reports of the same incident (event_links), collapsed into this one
+        linkedEvents: parseInt(raw.linkedevents || 0) || undefined,
     };
 }
 
@@ -165,7 +213,7 @@ function transformEvents(rawEvents, type) {
  * Transform Athena output row to SharedUI-ready DynamoDB item
  * Goal: Frontend can use this data directly with minimal/no transformation
  */
-function transformRow(row, type) {
+export function transformRow(row, type) {
     const now = new Date().toISOString();
 
     // === NATION ===
@@ -277,6 +325,76 @@ function transformRow(row, type) {
         };
     }
 
+    // === COUNTY ===
+    if (type === "county") {
+        const stateAbbrev = row.state?.toUpperCase();
+        const fips = row.county_fips || '';
+
+        const directory = (row.companies_directory || []).map(c => ({
+            slug: c.slug?.replace(/^(COMPANY|SLUG)#/i, ''),
+            name: toTitleCase(c.name) || toTitleCase(c.slug),
+            count: parseInt(c.count || 0)
+        }));
+        const cities = (row.cities_directory || []).map(c => ({
+            slug: c.slug?.replace(/^CITY#/i, ''),
+            name: toTitleCase(c.name) || c.slug,
+            count: parseInt(c.count || 0)
+        }));
+
+        return {
+            PK: `COUNTY#${fips}`,
+            SK: "SUMMARY",
+            name: row.county_name || `County ${fips}`,  // Census names are already display case ("Knox County")
+            slug: fips,
+            state: stateAbbrev,
+            stateName: STATE_NAMES[stateAbbrev] || stateAbbrev,
+            metro: row.metro_code ? { slug: row.metro_code, name: row.metro_name || row.metro_code } : undefined,
+            stats: {
+                totalEvents: parseInt(row.total_events || 0),
+                totalCities: parseInt(row.total_cities || 0),
+                totalCompanies: parseInt(row.total_companies || 0)
+            },
+            directory,  // Companies
+            cities: cities.length > 0 ? cities : undefined,
+            recentByAgency: toRecentByAgency(row.recentbyeventsource, 'county'),
+            updatedAt: now
+        };
+    }
+
+    // === METRO (CBSA) ===
+    if (type === "metro") {
+        const code = row.metro_code || '';
+
+        const directory = (row.companies_directory || []).map(c => ({
+            slug: c.slug?.replace(/^(COMPANY|SLUG)#/i, ''),
+            name: toTitleCase(c.name) || toTitleCase(c.slug),
+            count: parseInt(c.count || 0)
+        }));
+        const counties = (row.counties_directory || []).map(c => ({
+            slug: c.slug,
+            name: c.name || c.slug,
+            count: parseInt(c.count || 0),
+            subtitle: c.state?.toUpperCase()
+        }));
+
+        return {
+            PK: `METRO#${code}`,
+            SK: "SUMMARY",
+            name: row.metro_name || `Metro ${code}`,  // "Knoxville, TN"
+            slug: code,
+            states: (row.states || []).map(s => s.toUpperCase()),
+            stats: {
+                totalEvents: parseInt(row.total_events || 0),
+                totalCounties: parseInt(row.total_counties || 0),
+                totalCompanies: parseInt(row.total_companies || 0)
+            },
+            directory,  // Companies
+            counties,
+            recentByAgency: toRecentByAgency(row.recentbyeventsource, 'metro'),
+            updatedAt: now
+        };
+    }
+
     // === COMPANY ===
     if (type === "company") {
         // Strip any prefix (COMPANY#, SLUG#, etc.)
@@ -285,8 +403,21 @@ function transformRow(row, type) {
         // Transform recent events (flat array for company pages)
         const recentEvents = transformEvents(row.recent_events || row.recent_events_osha || [], 'company');
 
-        // TODO: Extract sites directory if we have site_id data
-        const sites = []; // Will be populated when we have site-level data
+        // Own locations (store numbers or addresses), linked as /site/{company}_{siteId}
+        const sites = (row.sites || []).map(s => ({
+            slug: s.slug,
+            name: siteName(s.name),
+            count: parseInt(s.count || 0),
+            subtitle: [toTitleCase(s.city), s.state?.toUpperCase()].filter(Boolean).join(', ') || undefined
+        }));
+
+        // Corporate hierarchy (Anchor edges): direct children, with their own consolidated counts
+        const subsidiaries = (row.subsidiaries || []).map(s => ({
+            slug: s.slug,
+            name: toTitleCase(s.name) || toTitleCase(s.slug),
+            count: parseInt(s.count || 0),
+            subtitle: toTitleCase(s.relationship)
+        }));
 
         return {
             PK: `COMPANY#${companySlug}`,
@@ -295,9 +426,13 @@ function transformRow(row, type) {
             slug: companySlug,
             stats: {
                 totalEvents: parseInt(row.total_events || 0),
+                // Own events + every subsidiary's/brand's; only shown when there is a hierarchy
+                consolidatedEvents: subsidiaries.length > 0 ? parseInt(row.consolidated_events || 0) : undefined,
                 lastActive: row.last_active || undefined
             },
             sites: sites.length > 0 ? sites : undefined,
+            subsidiaries: subsidiaries.length > 0 ? subsidiaries : undefined,
+            parent: row.parent_slug ? { slug: row.parent_slug, name: toTitleCase(row.parent_name) || toTitleCase(row.parent_slug) } : undefined,
             recentEvents,
             updatedAt: now
         };
@@ -305,18 +440,37 @@ function transformRow(row, type) {
 
     // === SITE ===
     if (type === "site") {
-        const siteSlug = row.site_slug || '';
         const companySlug = row.company_slug?.replace(/^(COMPANY|SLUG)#/i, '') || '';
+        const siteSlug = row.site_slug || `${companySlug}_${row.site_id}`;
+        const companyName = toTitleCase(row.company_name) || toTitleCase(companySlug);
+        // Store numbers come from the source; address sites are "addr-" + a hash (Sluice/lib/sites.js)
+        const storeNumber = row.site_id?.startsWith('addr-') ? undefined : row.site_id;
+        const street = toTitleCase(row.street) || undefined;
 
         const recentEvents = transformEvents(row.recent_events || [], 'site');
+        const siblings = (row.siblings || []).map(s => ({
+            slug: s.slug,
+            name: siteName(s.name),
+            count: parseInt(s.count || 0),
+            subtitle: [toTitleCase(s.city), s.state?.toUpperCase()].filter(Boolean).join(', ') || undefined
+        }));
 
         return {
-            PK: `SITE#${companySlug}_${row.site_id}`,
+            PK: `SITE#${siteSlug}`,
             SK: "SUMMARY",
-            name: `${row.company_name || companySlug} #${row.site_id}`,
+            name: storeNumber ? `${companyName} #${storeNumber}` : `${companyName}, ${street || 'Unknown Address'}`,
+            slug: siteSlug,
             siteId: row.site_id,
+            storeNumber,
+            address: street ? {
+                street,
+                city: toTitleCase(row.city) || undefined,
+                state: row.state?.toUpperCase() || undefined,
+                zip: row.zip ? String(row.zip).slice(0, 5) : undefined
+            } : undefined,
             companySlug: companySlug,
-            companyName: row.company_name || companySlug,
+            companyName,
+            siblings: siblings.length > 0 ? siblings : undefined,
             stats: {
                 totalEvents: parseInt(row.total_events || 0),
                 lastActive: row.last_active || undefined
@@ -329,6 +483,22 @@ function transformRow(row, type) {
     return null;
 }
 
+// "#1234" stays as is; address sites arrive as the raw street
+function siteName(name) {
+    return name?.startsWith('#') ? name : toTitleCase(name);
+}
+
+// Build recentByAgency structure from recentByEventSource map
+function toRecentByAgency(recentByEventSource, type) {
+    const recentByAgency = {};
+    for (const [source, events] of Object.entries(recentByEventSource || {})) {
+        if (events && events.length > 0) {
+            recentByAgency[source.toUpperCase()] = transformEvents(events, type);
+        }
+    }
+    return recentByAgency;
+}
+
 async function writeBatch(items) {
     try {
         await dynamo.send(new BatchWriteItemCommand({
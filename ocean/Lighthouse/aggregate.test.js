@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { transformRow, toWriteRequest } from "./aggregate.js";
+
+test("company rows keep their sites", () => {
+    const item = transformRow({
+        company_slug: "walmart-inc",
+        company_name: "WALMART INC",
+        total_events: "3",
+        sites: [
+            { slug: "walmart-inc_1234", name: "#1234", count: "2", city: "KNOXVILLE", state: "tn" },
+            { slug: "walmart-inc_addr-9f2c", name: "123 MAIN ST", count: "1", city: null, state: null }
+        ],
+        recent_events: []
+    }, "company");
+
+    assert.equal(item.PK, "COMPANY#walmart-inc");
+    assert.deepEqual(item.sites, [
+        { slug: "walmart-inc_1234", name: "#1234", count: 2, subtitle: "Knoxville, TN" },
+        { slug: "walmart-inc_addr-9f2c", name: "123 Main St", count: 1, subtitle: undefined }
+    ]);
+});
+
+test("site rows keep their siblings", () => {
+    const item = transformRow({
+        company_slug: "walmart-inc",
+        company_name: "WALMART INC",
+        site_id: "1234",
+        site_slug: "walmart-inc_1234",
+        total_events: "2",
+        siblings: [{ slug: "walmart-inc_5678", name: "#5678", count: "4", city: "NASHVILLE", state: "TN" }],
+        recent_events: []
+    }, "site");
+
+    assert.equal(item.PK, "SITE#walmart-inc_1234");
+    assert.equal(item.name, "Walmart Inc #1234");
+    assert.deepEqual(item.siblings, [{ slug: "walmart-inc_5678", name: "#5678", count: 4, subtitle: "Nashville, TN" }]);
+});
+
+test("tombstones delete the entity's item", () => {
+    assert.deepEqual(toWriteRequest({ tombstone: true, site_slug: "walmart-inc_1234" }, "site"),
+        { DeleteRequest: { Key: marshall({ PK: "SITE#walmart-inc_1234", SK: "SUMMARY" }) } });
+    assert.deepEqual(toWriteRequest({ tombstone: true, city_slug: "TN-knoxville" }, "city"),
+        { DeleteRequest: { Key: marshall({ PK: "CITY#TN-knoxville", SK: "SUMMARY" }) } });
+    assert.ok(toWriteRequest({ company_slug: "walmart-inc", total_events: "1" }, "company").PutRequest);
+});
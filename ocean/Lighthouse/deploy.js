@@ -58,6 +58,13 @@ async function ensureRole() {
                 Action: ["dynamodb:PutItem", "dynamodb:UpdateItem", "dynamodb:BatchWriteItem", "dynamodb:GetItem"],
                 Resource: "arn:aws:dynamodb:*:*:table/VentureOS-Lighthouse"
             },
+            {
+                // followCurrent() fans a published run's files out to invocations of itself
+                Sid: "FanOut",
+                Effect: "Allow",
+                Action: ["lambda:InvokeFunction"],
+                Resource: `arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${FUNCTION_NAME}`
+            },
             {
                 Sid: "Logging",
                 Effect: "Allow",
@@ -109,7 +116,7 @@ async function deploy() {
             Role: ROLE_ARN,
             Handler: "index.handler",
             Runtime: "nodejs22.x", // Updated to 22.x as 24 might not be standard yet or causing issues
-            Timeout: 300, // 5 mins
+            Timeout: 900, // 15 mins: a rollback reloads a whole type in one invocation
             MemorySize: 512
         }));
 
@@ -123,7 +130,7 @@ async function deploy() {
                 Role: ROLE_ARN,
                 Handler: "index.handler",
                 Code: { ZipFile: zipBuffer },
-                Timeout: 300,
+                Timeout: 900,
                 MemorySize: 512
             }));
             console.log("✅ Created successfully.");
@@ -167,8 +174,10 @@ async function wireS3Trigger() {
                     Events: ["s3:ObjectCreated:*"],
                     Filter: {
                         Key: {
+                            // Only the publish pointer; run files are loaded through it
                             FilterRules: [
-                                { Name: "prefix", Value: "coast/" }
+                                { Name: "prefix", Value: "coast/" },
+                                { Name: "suffix", Value: "current.json" }
                             ]
                         }
                     }
@@ -176,7 +185,7 @@ async function wireS3Trigger() {
             ]
         }
     }));
-    console.log("✅ Trigger Wired: coast/*.json -> Lighthouse");
+    console.log("✅ Trigger Wired: coast/current.json -> Lighthouse");
 }
 
 deploy();
@@ -0,0 +1,222 @@
+/**
+ * Sextant Authoring CLI
+ *
+ * Proposes a header map for a sample file, diffs it against the stored map and previews
+ * the records the processor would produce. Nothing is written unless --write is given.
+ *
+ * Usage:
+ *   node author-sextant.js <sample-file> --source OSHA --dataset severe-incident [options]
+ *
+ * Options:
+ *   --rows N                 Records to preview (default 3)
+ *   --format TYPE            Reader hint if the extension isn't enough (csv, jsonl, json, xlsx)
+ *   --effective-from DATE    Stamp the new version's effective range (YYYY-MM-DD)
+ *   --write                  Publish the proposal as the next version in VentureOS-Sextant
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { MAPS } from './seed-sextant.js';
+import { detectFormat, readRecords } from '../Sluice/lib/readers.js';
+import { getSchemaVersions, getAllSchemas, compareHeaders, headerFingerprint } from '../Sluice/lib/sextant.js';
+import { normalizeAndMatch, validateRecord } from '../Sluice/processor.js';
+
+process.env.AWS_REGION ||= 'us-east-1';
+
+const client = new DynamoDBClient({ region: 'us-east-1' });
+const TABLE_NAME = 'VentureOS-Sextant';
+
+function parseArgs(argv) {
+    const opts = { rows: 3, write: false };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--write') opts.write = true;
+        else if (arg === '--source') opts.source = argv[++i];
+        else if (arg === '--dataset') opts.dataset = argv[++i];
+        else if (arg === '--rows') opts.rows = Number(argv[++i]);
+        else if (arg === '--format') opts.format = argv[++i];
+        else if (arg === '--effective-from') opts.effectiveFrom = argv[++i];
+        else positional.push(arg);
+    }
+    opts.file = positional[0];
+    return opts;
+}
+
+// "Final Narrative" / "EventDate" / "zip_code" -> final_narrative / event_date / zip_code
+function toSnakeCase(header) {
+    return header.trim()
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+}
+
+function specSources(spec) {
+    if (Array.isArray(spec)) return spec;
+    return Array.isArray(spec.from) ? spec.from : [spec.from].filter(Boolean);
+}
+
+/**
+ * Canonical keys and every source header known to map to them, from the seed file and
+ * whatever is already published (published wins on conflicts).
+ */
+async function loadVocabulary() {
+    const aliases = new Map();  // lowercased source header -> canonical key
+    const keys = new Set();
+    const maps = [...MAPS, ...(await getAllSchemas())];
+    for (const map of maps) {
+        for (const [coreKey, spec] of Object.entries(map.header_map || {})) {
+            keys.add(coreKey);
+            for (const header of specSources(spec)) aliases.set(header.trim().toLowerCase(), coreKey);
+        }
+    }
+    return { aliases, keys };
+}
+
+/**
+ * Starts from the stored map (keeping its transforms) and adds a key, or an alias to an
+ * existing alias list, for every sample header the map doesn't read yet.
+ */
+function proposeHeaderMap(headers, stored, vocabulary) {
+    const proposal = stored ? structuredClone(stored.header_map) : {};
+    const notes = [];
+    const unmapped = stored ? compareHeaders(stored, headers).unmapped : headers;
+
+    for (const header of unmapped) {
+        const known = vocabulary.aliases.get(header.trim().toLowerCase());
+        const byName = vocabulary.keys.has(toSnakeCase(header)) ? toSnakeCase(header) : null;
+        const coreKey = known || byName || toSnakeCase(header);
+        const reason = known ? 'known alias' : byName ? 'matches canonical key' : 'NEW key';
+
+        if (!proposal[coreKey]) {
+            proposal[coreKey] = [header];
+        } else if (Array.isArray(proposal[coreKey])) {
+            proposal[coreKey].push(header);
+        } else {
+            notes.push(`⚠️ "${header}" looks like ${coreKey}, which has a transform spec; add it to "from" by hand`);
+            continue;
+        }
+        notes.push(`${reason === 'NEW key' ? '🆕' : '🔗'} "${header}" -> ${coreKey} (${reason})`);
+    }
+    return { proposal, notes };
+}
+
+function diffMaps(stored, proposed) {
+    const lines = [];
+    for (const key of Object.keys(proposed)) {
+        const before = stored ? stored[key] : undefined;
+        const after = proposed[key];
+        if (before === undefined) lines.push(`+ ${key}: ${JSON.stringify(after)}`);
+        else if (JSON.stringify(before) !== JSON.stringify(after)) {
+            lines.push(`- ${key}: ${JSON.stringify(before)}`);
+            lines.push(`+ ${key}: ${JSON.stringify(after)}`);
+        }
+    }
+    return lines;
+}
+
+async function readSample(file, formatHint, limit) {
+    const format = detectFormat(path.basename(file), formatHint) || { type: 'csv', options: {} };
+    const records = [];
+    const stream = fs.createReadStream(file);
+    for await (const { record } of readRecords(stream, format)) {
+        records.push(record);
+        if (records.length >= limit) break;
+    }
+    stream.destroy();
+    return records;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (!opts.file || !opts.source || !opts.dataset) {
+        console.log('Usage: node author-sextant.js <sample-file> --source OSHA --dataset severe-incident [--rows 3] [--format csv] [--effective-from YYYY-MM-DD] [--write]');
+        process.exit(1);
+    }
+
+    console.log(`🧭 Authoring ${opts.source} / ${opts.dataset} from ${opts.file}`);
+    const records = await readSample(opts.file, opts.format, Math.max(opts.rows, 1));
+    if (records.length === 0) throw new Error('Sample file has no records');
+    const headers = Object.keys(records[0]);
+    console.log(`   ${headers.length} headers, fingerprint ${headerFingerprint(headers)}`);
+
+    // 1. Proposal
+    const versions = await getSchemaVersions(opts.source, opts.dataset);
+    const stored = versions[0] || null;
+    console.log(stored ? `   Stored map: V${stored.version}` : '   No stored map (new dataset)');
+
+    const vocabulary = await loadVocabulary();
+    const { proposal, notes } = proposeHeaderMap(headers, stored, vocabulary);
+    console.log('\n--- PROPOSAL ---');
+    notes.forEach(n => console.log(n));
+    if (stored) {
+        const missing = compareHeaders(stored, headers).missing;
+        if (missing.length > 0) console.log(`⚠️ Not in this sample (kept): ${missing.join(', ')}`);
+    }
+
+    // 2. Diff
+    console.log('\n--- DIFF vs STORED ---');
+    const diff = diffMaps(stored ? stored.header_map : null, proposal);
+    console.log(diff.length > 0 ? diff.join('\n') : '(no changes)');
+
+    // 3. Preview
+    const nextVersion = stored ? stored.version + 1 : 1;
+    const entry = {
+        PK: `SOURCE#${opts.source}`,
+        SK: `SCHEMA#${opts.dataset}#V${String(nextVersion).padStart(4, '0')}`,
+        version: nextVersion,
+        ...(opts.effectiveFrom && { effective_from: opts.effectiveFrom }),
+        header_fingerprint: headerFingerprint(headers),
+        ...(stored && stored.format && { format: stored.format }),
+        ...(stored && stored.identity_keys && { identity_keys: stored.identity_keys }),
+        header_map: proposal
+    };
+
+    console.log(`\n--- PREVIEW (${Math.min(opts.rows, records.length)} records) ---`);
+    const sampleKey = `estuary/${opts.source}/${opts.dataset}/${path.basename(opts.file)}`;
+    for (const raw of records.slice(0, opts.rows)) {
+        // Read-only: the preview mustn't register sites in the Anchor
+        const record = await normalizeAndMatch(raw, entry, opts.source, sampleKey, { registerSites: false });
+        const verdict = await validateRecord(record).catch(e => ({ isValid: false, reason: `Lookup failed: ${e.message}` }));
+        console.log(verdict.isValid ? '➡️ reef' : `➡️ quarantine (${verdict.reason})`);
+        console.log(JSON.stringify({
+            event_title: record.event_title,
+            event_date: record.event_date,
+            state: record.state,
+            city_slug: record.city_slug,
+            company_slug: record.company_slug,
+            site_id: record.site_id,
+            event_details: JSON.parse(record.event_details)
+        }, null, 2));
+    }
+
+    // 4. Publish (or print for seed-sextant.js)
+    console.log('\n--- ENTRY ---');
+    console.log(JSON.stringify(entry, null, 4));
+    if (!opts.write) {
+        console.log('\n🔍 Dry run. Re-run with --write to publish, or paste the entry into seed-sextant.js.');
+        return;
+    }
+    if (diff.length === 0 && stored) {
+        console.log('\n⏭️ Nothing changed; not publishing a new version.');
+        return;
+    }
+
+    await client.send(new PutItemCommand({
+        TableName: TABLE_NAME,
+        Item: marshall(entry, { removeUndefinedValues: true }),
+        ConditionExpression: 'attribute_not_exists(SK)'
+    }));
+    console.log(`\n✅ Published ${entry.PK} / ${entry.SK}`);
+    if (stored && opts.effectiveFrom && !stored.effective_to) {
+        console.log(`   Remember to close V${stored.version} with effective_to: '${opts.effectiveFrom}'`);
+    }
+}
+
+main().catch(e => {
+    console.error('❌ Failed:', e.message);
+    process.exit(1);
+});
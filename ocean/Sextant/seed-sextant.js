@@ -1,5 +1,6 @@
 import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
+import { fileURLToPath } from 'url';
 
 const client = new DynamoDBClient({ region: 'us-east-1' });
 const TABLE_NAME = 'VentureOS-Sextant';
@@ -8,18 +9,32 @@ const TABLE_NAME = 'VentureOS-Sextant';
     The Sextant Map:
     Maps source-specific CSV headers to our Unified Schema keys.
     GOAL: 100% Coverage. No raw keys left unmapped if they have meaning.
+
+    Versions: each entry is stored as SCHEMA#{dataset}#V{version}. Published versions are
+    never overwritten (old files must reprocess with the map they were written for), so a
+    layout change is a NEW entry with the next version and an effective range and/or
+    header_fingerprint, e.g.
+        { PK: 'SOURCE#OSHA', SK: 'SCHEMA#ita', version: 2, effective_from: '2025-07-01', header_map: {...} }
+    The previous version then gets effective_to: '2025-07-01'. Run with --force to rewrite
+    an existing version in place (typo fixes only, or adding identity_keys).
+
+    identity_keys: canonical fields that identify a record within the dataset; event_id is
+    built from them instead of the whole row (Sluice/lib/identity.js). Every version of a
+    dataset must carry the same keys, or republished records get new ids.
 */
 
-const MAPS = [
+export const MAPS = [
     // 1. OSHA - Severe Incident Reports
     {
         PK: 'SOURCE#OSHA',
         SK: 'SCHEMA#severe-incident',
+        version: 1,
+        identity_keys: ["semantic_id"], // Report ID; Inspection can cover several reports
         header_map: {
             "semantic_id": ["ID"],
-            "event_date": ["EventDate"],
+            "event_date": { "from": ["EventDate"], "transform": [{ "op": "date", "formats": ["MM/DD/YYYY", "YYYY-MM-DD"] }] },
             "company_name": ["Employer"],
-            "street": ["Address1", "Address2"], // Composite or first available
+            "street": { "from": ["Address1", "Address2"], "combine": "concat", "separator": ", " }, // Composite
             "city": ["City"],
             "state": ["State"],
             "zip": ["Zip"],
@@ -44,6 +59,7 @@ const MAPS = [
     {
         PK: 'SOURCE#OSHA',
         SK: 'SCHEMA#odi-96-01',
+        version: 1,
         header_map: {
             "data_reliability": ["SURVEYSTATUS"],
             "company_name": ["ESTAB_NAME", "ESTAB_NAME2"],
@@ -94,6 +110,7 @@ const MAPS = [
     {
         PK: 'SOURCE#OSHA',
         SK: 'SCHEMA#odi-02-11',
+        version: 1,
         header_map: {
             "data_reliability": ["SURVEYSTATUS"],
             "company_name": ["ESTAB_NAME", "ESTAB_NAME2"],
@@ -140,6 +157,8 @@ const MAPS = [
     {
         PK: 'SOURCE#OSHA',
         SK: 'SCHEMA#ita',
+        version: 1,
+        identity_keys: ["semantic_id"],
         header_map: {
             "semantic_id": ["id"],
             "company_name": ["company_name", "establishment_name"],
@@ -180,18 +199,29 @@ const MAPS = [
 async function seed() {
     console.log(`🧭 Seeding The Sextant (${TABLE_NAME})...`);
 
-    for (const item of MAPS) {
+    const force = process.argv.includes('--force');
+
+    for (const map of MAPS) {
+        const item = { ...map, SK: `${map.SK}#V${String(map.version).padStart(4, '0')}` };
         try {
             await client.send(new PutItemCommand({
                 TableName: TABLE_NAME,
-                Item: marshall(item)
+                Item: marshall(item, { removeUndefinedValues: true }),
+                ...(!force && { ConditionExpression: 'attribute_not_exists(SK)' })
             }));
             console.log(`✅ Seeded map for ${item.PK} / ${item.SK}`);
         } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.log(`⏭️ ${item.PK} / ${item.SK} already published (use --force to overwrite)`);
+                continue;
+            }
             console.error(`❌ Failed to seed ${item.PK}:`, error);
         }
     }
     console.log("Done.");
 }
 
-seed();
+// Auto-run only if called directly (author-sextant.js imports MAPS as its vocabulary)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    seed();
+}
@@ -23,6 +23,8 @@ export const handler = async () => {
     const sitemapWriters = {
         states: new SitemapWriter("sitemaps/states", "state"),
         cities: new SitemapWriter("sitemaps/cities", "city"),
+        counties: new SitemapWriter("sitemaps/counties", "county"),
+        metros: new SitemapWriter("sitemaps/metros", "metro"),
         companies: new SitemapWriter("sitemaps/companies", "company"),
         sites: new SitemapWriter("sitemaps/sites", "site")
     };
@@ -57,6 +59,10 @@ export const handler = async () => {
                 await sitemapWriters.states.addUrl(`${BASE_URL}/state/${pk.replace("STATE#", "")}`);
             } else if (pk.startsWith("CITY#")) {
                 await sitemapWriters.cities.addUrl(`${BASE_URL}/city/${pk.replace("CITY#", "")}`);
+            } else if (pk.startsWith("COUNTY#")) {
+                await sitemapWriters.counties.addUrl(`${BASE_URL}/county/${pk.replace("COUNTY#", "")}`);
+            } else if (pk.startsWith("METRO#")) {
+                await sitemapWriters.metros.addUrl(`${BASE_URL}/metro/${pk.replace("METRO#", "")}`);
             } else if (pk.startsWith("COMPANY#")) {
                 await sitemapWriters.companies.addUrl(`${BASE_URL}/company/${pk.replace("COMPANY#", "")}`);
             } else if (pk.startsWith("SITE#")) {
@@ -88,6 +94,8 @@ export const handler = async () => {
         scannedItems: scannedCount,
         states: sitemapWriters.states.totalUrls,
         cities: sitemapWriters.cities.totalUrls,
+        counties: sitemapWriters.counties.totalUrls,
+        metros: sitemapWriters.metros.totalUrls,
         companies: sitemapWriters.companies.totalUrls,
         sites: sitemapWriters.sites.totalUrls,
         sitemapFiles: allSitemapFiles.length + 1 // +1 for index
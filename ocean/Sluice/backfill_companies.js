@@ -0,0 +1,192 @@
+import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runQuery, fetchRows, runScopedUnload, CATALOG, DATABASE, PATH_ROOT } from './orchestrate_pipeline.js';
+import { companyFamilyFilter } from './lib/hierarchy.js';
+import { runPrefix, publishRun } from './lib/coast.js';
+import { resolveSite } from './processor.js';
+
+/**
+ * Company Backfill
+ *
+ * New Anchor aliases (add-company.js, the review queue) only help future ingests. This job
+ * re-resolves the events already in silver.events that a set of alias changes affects:
+ *   1. Find the events whose company_name the changed aliases now resolve (backfill_company_matches.sql)
+ *   2. Register their sites under the new company in the Anchor, and MERGE the new company_slug /
+ *      site_id into silver.events (backfill_company_slugs.sql)
+ *   3. Re-unload only the affected companies (with their hierarchies and sites), cities, counties, metros and states
+ *      (plus the nation totals)
+ *      into coast/run={run}/, published to the Lighthouse like any orchestrator run
+ *      Companies and sites left with no events get tombstones there, and the Lighthouse deletes them
+ *
+ * Usage:
+ *   node backfill_companies.js --since 2026-10-01                 (aliases created/reviewed since)
+ *   node backfill_companies.js --alias "wal-mart stores=walmart-inc" --alias "unknown=NOTCOMPANY"
+ *   node backfill_companies.js --since 2026-10-01 --dry-run       (report the impact only)
+ */
+
+const dynamo = new DynamoDBClient({});
+const ANCHOR_TABLE = "VentureOS-Anchor";
+const NOT_COMPANY = "NOTCOMPANY";
+
+const MATCHES_FILE = path.join(PATH_ROOT, "backfill_company_matches.sql");
+const MERGE_FILE = path.join(PATH_ROOT, "backfill_company_slugs.sql");
+
+/**
+ * changes: [{ alias, slug }] (slug null = not a company), or since: ISO date to read them from the Anchor.
+ */
+export async function backfillCompanies({ changes, since, dryRun = false } = {}) {
+    const aliasChanges = changes && changes.length > 0 ? changes : await loadAliasChanges(since);
+    if (aliasChanges.length === 0) {
+        console.log("🟢 No alias changes to backfill.");
+        return { changes: 0, events: 0 };
+    }
+
+    const runId = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+    console.log(`🔁 Company Backfill ${runId}: ${aliasChanges.length} alias change(s)${dryRun ? " (dry run)" : ""}`);
+
+    const matchesSql = fs.readFileSync(MATCHES_FILE, 'utf-8')
+        .replace(/--.*$/gm, '')
+        .trim()
+        .replace("{{ALIAS_CHANGES}}", aliasChanges.map(valuesRow).join(",\n        "));
+
+    // 1. Impact
+    const impactQuery = await runQuery("BACKFILL IMPACT", `
+        SELECT old_slug, new_slug, old_site_id, city_slug, county_fips, metro_code, state, COUNT(*) AS events
+        FROM (${matchesSql})
+        GROUP BY old_slug, new_slug, old_site_id, city_slug, county_fips, metro_code, state`);
+    const impact = await fetchRows(impactQuery);
+    const eventCount = impact.reduce((sum, r) => sum + Number(r.events), 0);
+
+    const oldSites = unique(impact.filter(r => r.old_slug && r.old_site_id).map(r => `${r.old_slug}_${r.old_site_id}`));
+    const companySlugs = unique(impact.flatMap(r => [r.old_slug, r.new_slug]));
+    const citySlugs = unique(impact.map(r => r.city_slug));
+    const countyFips = unique(impact.map(r => r.county_fips));
+    const metroCodes = unique(impact.map(r => r.metro_code));
+    const states = unique(impact.map(r => r.state));
+
+    console.log(`   ${eventCount} events change company: ${companySlugs.length} companies, ${citySlugs.length} cities, ${states.length} states`);
+    for (const row of impact.slice(0, 20)) {
+        console.log(`   ${row.old_slug || "(none)"} -> ${row.new_slug || "(none)"} in ${row.city_slug || row.state}: ${row.events}`);
+    }
+
+    const summary = { runId, changes: aliasChanges.length, events: eventCount, companies: companySlugs, cities: citySlugs.length, states: states.length };
+    if (dryRun || eventCount === 0) return summary;
+
+    // 2. Rewrite Silver, with each moved event's site resolved under its new company
+    const sitesQuery = await runQuery("BACKFILL SITES", `
+        SELECT new_slug, site_id, street, zip, city, state
+        FROM (${matchesSql})
+        WHERE new_slug IS NOT NULL
+        GROUP BY new_slug, site_id, street, zip, city, state`);
+    const siteRows = [];
+    for (const row of await fetchRows(sitesQuery)) {
+        const { siteId } = await resolveSite({ ...row, company_slug: row.new_slug });
+        if (siteId) siteRows.push([row.new_slug, row.site_id, row.street, row.zip, row.city, row.state, siteId]);
+    }
+    console.log(`   ${siteRows.length} sites registered under the new companies`);
+
+    const mergeSql = fs.readFileSync(MERGE_FILE, 'utf-8')
+        .replace(/--.*$/gm, '')
+        .trim()
+        .replace(/;\s*$/, '')
+        .replace(/(MERGE INTO\s+)(events)(\s+AS)/i, `$1"${CATALOG}"."${DATABASE}"."events"$3`)
+        .replace("{{MATCHES}}", matchesSql)
+        .replace("{{SITES}}", () => siteRows.length > 0 ? siteRows.map(valuesTuple).join(",\n        ") : valuesTuple(Array(7).fill(null)))
+        .replace("{{RUN_ID}}", runId);
+    await runQuery("BACKFILL MERGE", mergeSql);
+
+    // 3. Refresh just the affected Lighthouse items
+    const scope = runPrefix(runId);
+    const unloads = [];
+    // Whole hierarchies, so parents' consolidated totals stay right
+    if (companySlugs.length > 0) {
+        unloads.push(await runScopedUnload('unload_companies.sql', companyFamilyFilter(sqlList(companySlugs)), scope,
+            { column: 'company_slug', values: companySlugs }));
+        unloads.push(await runScopedUnload('unload_sites.sql', `company_slug IN (${sqlList(companySlugs)})`, scope,
+            { column: 'site_slug', values: oldSites }));
+    }
+    if (citySlugs.length > 0) unloads.push(await runScopedUnload('unload_cities.sql', `city_slug IN (${sqlList(citySlugs)})`, scope));
+    if (countyFips.length > 0) unloads.push(await runScopedUnload('unload_counties.sql', `county_fips IN (${sqlList(countyFips)})`, scope));
+    if (metroCodes.length > 0) unloads.push(await runScopedUnload('unload_metros.sql', `metro_code IN (${sqlList(metroCodes)})`, scope));
+    if (states.length > 0) unloads.push(await runScopedUnload('unload_states.sql', `state IN (${sqlList(states)})`, scope));
+    unloads.push(await runScopedUnload('unload_nations.sql', null, scope));
+    await publishRun({ runId, mode: "backfill", unloads });
+    summary.tombstones = unloads.reduce((n, u) => n + u.tombstones, 0);
+
+    console.log(`🏁 Backfill ${runId} complete.`);
+    return summary;
+}
+
+/**
+ * Every alias written (createdAt) or reviewed (reviewed_at) since the given date.
+ */
+async function loadAliasChanges(since) {
+    if (!since) throw new Error("Pass alias changes or a --since date");
+
+    const latest = new Map(); // alias -> { alias, slug, at }
+    let lastKey;
+    do {
+        const res = await dynamo.send(new ScanCommand({
+            TableName: ANCHOR_TABLE,
+            FilterExpression: "begins_with(PK, :alias) AND (createdAt >= :since OR reviewed_at >= :since)",
+            ExpressionAttributeValues: marshall({ ":alias": "ALIAS#", ":since": since }),
+            ExclusiveStartKey: lastKey
+        }));
+        for (const item of (res.Items || []).map(i => unmarshall(i))) {
+            const alias = item.PK.replace(/^ALIAS#/, "");
+            const at = item.reviewed_at || item.createdAt;
+            const seen = latest.get(alias);
+            if (!seen || at > seen.at) latest.set(alias, { alias, slug: targetSlug(item.SK), at });
+        }
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+
+    return [...latest.values()].map(({ alias, slug }) => ({ alias, slug }));
+}
+
+function targetSlug(target) {
+    if (!target || target === NOT_COMPANY) return null;
+    return target.replace(/^(COMPANY|SLUG)#/i, "");
+}
+
+function valuesRow({ alias, slug }) {
+    return `(${sqlString(alias.toLowerCase().trim())}, ${slug ? sqlString(slug) : "CAST(NULL AS VARCHAR)"})`;
+}
+
+// (...) row of VALUES; nulls typed so an all-null placeholder row still parses
+function valuesTuple(values) {
+    return `(${values.map(v => v === null || v === undefined ? "CAST(NULL AS VARCHAR)" : sqlString(v)).join(", ")})`;
+}
+
+function sqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function sqlList(values) {
+    return values.map(sqlString).join(", ");
+}
+
+function unique(values) {
+    return [...new Set(values.filter(v => v !== null && v !== undefined && v !== ""))];
+}
+
+// Auto-run only if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const changes = [];
+    let since;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--since") since = args[++i];
+        else if (args[i] === "--alias") {
+            const [alias, target] = args[++i].split("=");
+            changes.push({ alias, slug: targetSlug(target) });
+        }
+    }
+    backfillCompanies({ changes, since, dryRun: args.includes("--dry-run") }).catch(e => {
+        console.error("💀 Backfill failed:", e);
+        process.exit(1);
+    });
+}
@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { LambdaClient, CreateFunctionCommand, UpdateFunctionCodeCommand, UpdateFunctionConfigurationCommand, GetFunctionCommand, CreateEventSourceMappingCommand } from "@aws-sdk/client-lambda";
+import { LambdaClient, CreateFunctionCommand, UpdateFunctionCodeCommand, UpdateFunctionConfigurationCommand, GetFunctionCommand, CreateEventSourceMappingCommand, ListEventSourceMappingsCommand, UpdateEventSourceMappingCommand } from "@aws-sdk/client-lambda";
 import { IAMClient, GetRoleCommand, CreateRoleCommand, PutRolePolicyCommand, GetRolePolicyCommand } from "@aws-sdk/client-iam";
 import AdmZip from "adm-zip";
 
@@ -41,10 +41,28 @@ const POLICY_SPLITTER = {
             Action: ["s3:GetObject"],
             Resource: "arn:aws:s3:::venture-os-ocean/estuary/*"
         },
+        {
+            Sid: "SplitterCheckpoints",
+            Effect: "Allow",
+            Action: ["s3:GetObject", "s3:PutObject"],
+            Resource: "arn:aws:s3:::venture-os-ocean/sluice/checkpoints/*"
+        },
+        {
+            Sid: "ReadSextantAndRecordDrift",
+            Effect: "Allow",
+            Action: ["dynamodb:GetItem", "dynamodb:Query", "dynamodb:Scan", "dynamodb:UpdateItem"],
+            Resource: `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Sextant`
+        },
+        {
+            Sid: "WriteLedger",
+            Effect: "Allow",
+            Action: ["dynamodb:UpdateItem"],
+            Resource: `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Ledger`
+        },
         {
             Sid: "ConsumeIntake",
             Effect: "Allow",
-            Action: ["sqs:ReceiveMessage", "sqs:DeleteMessage", "sqs:GetQueueAttributes"],
+            Action: ["sqs:ReceiveMessage", "sqs:DeleteMessage", "sqs:GetQueueAttributes", "sqs:SendMessage"],
             Resource: `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:VentureOS-Intake`
         },
         {
@@ -82,12 +100,29 @@ const POLICY_PROCESSOR = {
             ]
         },
         {
-            Sid: "WriteToReefAndQuarantine",
+            // The site registry is the only part of the Anchor the processor writes
+            Sid: "RegisterAnchorSites",
+            Effect: "Allow",
+            Action: ["dynamodb:UpdateItem", "dynamodb:PutItem"],
+            Resource: `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Anchor`,
+            Condition: {
+                "ForAllValues:StringLike": { "dynamodb:LeadingKeys": ["SITE#*", "SITEADDR#*"] }
+            }
+        },
+        {
+            Sid: "WriteLedger",
+            Effect: "Allow",
+            Action: ["dynamodb:UpdateItem", "dynamodb:PutItem"],
+            Resource: `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Ledger`
+        },
+        {
+            Sid: "WriteToReefQuarantineAndFailed",
             Effect: "Allow",
             Action: ["s3:PutObject"],
             Resource: [
                 "arn:aws:s3:::venture-os-ocean/reef/*",
-                "arn:aws:s3:::venture-os-ocean/quarantine/*"
+                "arn:aws:s3:::venture-os-ocean/quarantine/*",
+                "arn:aws:s3:::venture-os-ocean/failed/*"
             ]
         },
         {
@@ -111,6 +146,30 @@ const POLICY_OPS = {
                 "arn:aws:s3:::venture-os-ocean/*"
             ]
         },
+        {
+            Sid: "ReadSextantDrift",
+            Effect: "Allow",
+            Action: ["dynamodb:Scan"],
+            Resource: `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Sextant`
+        },
+        {
+            Sid: "ReadLedger",
+            Effect: "Allow",
+            Action: ["dynamodb:Query"],
+            Resource: [
+                `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Ledger`,
+                `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Ledger/index/*`
+            ]
+        },
+        {
+            Sid: "CompanyBackfill",
+            Effect: "Allow",
+            Action: ["dynamodb:Scan", "dynamodb:DeleteItem"],
+            Resource: [
+                `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Anchor`,
+                `arn:aws:dynamodb:${REGION}:${ACCOUNT_ID}:table/VentureOS-Lighthouse`
+            ]
+        },
         {
             Sid: "AthenaAccess",
             Effect: "Allow",
@@ -180,10 +239,13 @@ async function deploy() {
     const zipBuffer = createZip(__dirname);
 
     // 2. Deploy Splitter
+    // Timeout matches the Intake VisibilityTimeout (300s); the splitter hands off before it hits it
     await deployLambda("Sluice-Splitter", "splitter.handler", zipBuffer, arnSplitter, {
+        Timeout: 300,
         Environment: {
             Variables: {
-                PROCESSING_QUEUE_URL: `https://sqs.${REGION}.amazonaws.com/${ACCOUNT_ID}/VentureOS-Flume`
+                PROCESSING_QUEUE_URL: `https://sqs.${REGION}.amazonaws.com/${ACCOUNT_ID}/VentureOS-Flume`,
+                INTAKE_QUEUE_URL: `https://sqs.${REGION}.amazonaws.com/${ACCOUNT_ID}/VentureOS-Intake`
             }
         }
     });
@@ -203,7 +265,8 @@ async function deploy() {
     console.log("🔗 Wiring Triggers...");
     // S3 -> SQS(Intake) -> Splitter -> SQS(Flume) -> Processor
     await wireSQSTrigger("VentureOS-Intake", "Sluice-Splitter");
-    await wireSQSTrigger("VentureOS-Flume", "Sluice-Processor");
+    // The processor reports failed messages individually (batchItemFailures)
+    await wireSQSTrigger("VentureOS-Flume", "Sluice-Processor", { FunctionResponseTypes: ["ReportBatchItemFailures"] });
 
     console.log("✅ Deployment Complete!");
 }
@@ -216,7 +279,9 @@ function createZip(folder) {
     zip.addLocalFile(path.join(folder, "processor.js"));
     zip.addLocalFile(path.join(folder, "ops.js"));
     zip.addLocalFile(path.join(folder, "orchestrate_pipeline.js"));
+    zip.addLocalFile(path.join(folder, "backfill_companies.js"));
     zip.addLocalFile(path.join(folder, "package.json"));
+    zip.addLocalFolder(path.join(folder, "lib"), "lib");
 
     const athenaDir = path.join(folder, "../Athena");
     if (fs.existsSync(athenaDir)) {
@@ -281,19 +346,32 @@ async function deployLambda(name, handler, zipFile, roleArn, config = {}) {
     }
 }
 
-async function wireSQSTrigger(queueName, functionName) {
+async function wireSQSTrigger(queueName, functionName, options = {}) {
     const queueArn = `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:${queueName}`;
     try {
         await lambda.send(new CreateEventSourceMappingCommand({
             EventSourceArn: queueArn,
             FunctionName: functionName,
-            BatchSize: 10
+            BatchSize: 10,
+            ...options
         }));
         console.log(`✅ Wired ${queueName}`);
     } catch (e) {
-        if (e.name === 'ResourceConflictException') console.log(`Trigger for ${queueName} already exists.`);
+        if (e.name === 'ResourceConflictException') {
+            console.log(`Trigger for ${queueName} already exists.`);
+            if (Object.keys(options).length > 0) await updateSQSTrigger(queueArn, functionName, options);
+        }
         else console.error("Trigger Failed:", e.message);
     }
 }
 
+// Existing mappings keep their old settings unless updated explicitly
+async function updateSQSTrigger(queueArn, functionName, options) {
+    const res = await lambda.send(new ListEventSourceMappingsCommand({ EventSourceArn: queueArn, FunctionName: functionName }));
+    for (const mapping of res.EventSourceMappings || []) {
+        await lambda.send(new UpdateEventSourceMappingCommand({ UUID: mapping.UUID, ...options }));
+        console.log(`✅ Updated trigger ${mapping.UUID}`);
+    }
+}
+
 deploy();
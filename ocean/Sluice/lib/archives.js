@@ -0,0 +1,68 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import zlib from "zlib";
+import unzipper from "unzipper";
+import bz2 from "unbzip2-stream";
+
+const s3 = new S3Client({});
+
+// Publishers are inconsistent with extensions (".csv.gz" saved as ".csv", ".zip" as ".dat"), so trust the bytes
+const MAGIC = [
+    { type: "gzip", bytes: [0x1f, 0x8b] },
+    { type: "zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { type: "bzip2", bytes: [0x42, 0x5a, 0x68] } // "BZh"
+];
+
+/**
+ * Detects the compression of an S3 object from its first few bytes.
+ * Returns "gzip" | "zip" | "bzip2" | "none".
+ */
+export async function sniffCompression(bucket, key) {
+    const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: "bytes=0-3" }));
+    const head = await res.Body.transformToByteArray();
+    const match = MAGIC.find(m => m.bytes.every((b, i) => head[i] === b));
+    return match ? match.type : "none";
+}
+
+/**
+ * Yields the logical sources inside an object body as { name, stream, skip }.
+ * - none / gzip / bzip2: a single source with name = null
+ * - zip: one source per member file, name = member path inside the archive
+ * Each yielded stream must be fully consumed (or skip() called) before asking for the next.
+ */
+export async function* openSources(body, compression) {
+    if (compression === "none") {
+        yield { name: null, stream: body, skip: () => body.destroy() };
+        return;
+    }
+    if (compression === "gzip") {
+        const stream = body.pipe(zlib.createGunzip());
+        yield { name: null, stream, skip: () => stream.destroy() };
+        return;
+    }
+    if (compression === "bzip2") {
+        const stream = body.pipe(bz2());
+        yield { name: null, stream, skip: () => stream.destroy() };
+        return;
+    }
+    if (compression === "zip") {
+        const entries = body.pipe(unzipper.Parse({ forceStream: true }));
+        for await (const entry of entries) {
+            // Files only; the splitter decides (via readers.detectFormat) which members it can read
+            if (entry.type !== "File") {
+                entry.autodrain();
+                continue;
+            }
+            yield { name: entry.path, stream: entry, skip: () => entry.autodrain() };
+        }
+        return;
+    }
+    throw new Error(`Unsupported compression: ${compression}`);
+}
+
+/**
+ * Logical source key for an archive member, e.g. estuary/OSHA/ita/ita_2024.zip!/ita_2024_part1.csv
+ * The agency/dataset folders stay in front so Sextant resolution is unchanged.
+ */
+export function memberSourceKey(archiveKey, memberName) {
+    return memberName ? `${archiveKey}!/${memberName}` : archiveKey;
+}
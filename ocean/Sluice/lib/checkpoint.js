@@ -0,0 +1,68 @@
+import { S3Client, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+
+const s3 = new S3Client({});
+
+// Checkpoints live next to the data they describe: s3://{bucket}/sluice/checkpoints/{source_key}.json
+const CHECKPOINT_PREFIX = "sluice/checkpoints/";
+
+/**
+ * Splitter progress for one uploaded object.
+ *
+ * A checkpoint belongs to a single S3 upload (identified by the event `sequencer`),
+ * so a re-upload or re-ingest of the same key starts fresh while a retried or
+ * handed-off invocation of the same upload resumes where the last one stopped.
+ *
+ * Progress is tracked per logical source: a plain or gzip/bzip2 file has one
+ * (keyed by the object key), a zip archive has one per member CSV.
+ */
+export function newCheckpoint(bucket, key, sequencer) {
+    return {
+        source_bucket: bucket,
+        source_key: key,
+        sequencer: sequencer || null,
+        etag: null,
+        compression: null,      // "none" | "gzip" | "bzip2" | "zip"
+        sources: {},            // logical source key -> newSourceProgress()
+        rows_dispatched: 0,     // Totals across all sources
+        messages_sent: 0,
+        invocations: 0,
+        status: "in_progress",  // "complete", or "stalled" once replaying alone outlasts an invocation
+        ingested_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
+
+export function newSourceProgress() {
+    return {
+        headers: null,          // Captured from the first pass; needed to parse from a mid-file offset
+        schema: undefined,      // Sextant map picked from the headers ({ source, dataset, version }), null if none fits
+        byte_offset: 0,         // First byte NOT yet dispatched (uncompressed objects only)
+        rows_dispatched: 0,     // Compressed streams can't be ranged, so resumes replay and skip this many rows
+        messages_sent: 0,
+        status: "in_progress"
+    };
+}
+
+export async function loadCheckpoint(bucket, key) {
+    try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: checkpointKey(key) }));
+        return JSON.parse(await res.Body.transformToString());
+    } catch (e) {
+        if (e.name === "NoSuchKey") return null;
+        throw e;
+    }
+}
+
+export async function saveCheckpoint(checkpoint) {
+    checkpoint.updated_at = new Date().toISOString();
+    await s3.send(new PutObjectCommand({
+        Bucket: checkpoint.source_bucket,
+        Key: checkpointKey(checkpoint.source_key),
+        Body: JSON.stringify(checkpoint),
+        ContentType: "application/json"
+    }));
+}
+
+function checkpointKey(sourceKey) {
+    return `${CHECKPOINT_PREFIX}${sourceKey}.json`;
+}
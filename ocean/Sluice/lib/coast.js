@@ -0,0 +1,236 @@
+import { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import readline from "readline";
+
+const s3 = new S3Client({});
+
+const OCEAN_BUCKET = "venture-os-ocean";
+const COAST_PREFIX = "coast/";
+// The Lighthouse's only trigger: it loads whatever this pointer lists
+export const CURRENT_KEY = "coast/current.json";
+
+// A full unload with less than this share of the last published row count is rejected
+const MIN_FULL_RATIO = 0.5;
+// The column naming each row's Lighthouse item, per unload type (the nation has just one)
+const KEY_COLUMNS = {
+    states: "state", cities: "city_slug", counties: "county_fips", metros: "metro_code",
+    companies: "company_slug", sites: "site_slug"
+};
+
+/**
+ * Gold Publishes
+ *
+ * Every run (orchestrator or company backfill) unloads into its own prefix,
+ * coast/run={runId}/{type}/, and nothing reaches the Lighthouse until publishRun() has
+ * counted the rows, written coast/run={runId}/manifest.json and pointed coast/current.json
+ * at it. A failed or rejected run leaves the live pointer, and so the Lighthouse, alone.
+ *
+ * current.json lists the loads the Lighthouse should apply: { keys } sequences, each loaded
+ * in order by one invocation. A publish lists each file of its run on its own; a rollback
+ * lists, per type, the last full unload up to the chosen run followed by the scoped unloads
+ * after it, then tombstones (coast/rollback={runId}/{type}/) for the items only later runs
+ * created. Run prefixes are never deleted, so any published run can be rolled back to.
+ */
+
+export function runPrefix(runId) {
+    return `run=${runId}/`;
+}
+
+/**
+ * Files and row count of one finished UNLOAD (JSON lines) at an s3:// target, plus the
+ * keyColumn values it produced (present) when one is given.
+ */
+export async function describeUnload(s3Target, keyColumn = null) {
+    const prefix = s3Target.replace(`s3://${OCEAN_BUCKET}/`, "");
+    const keys = [];
+    let continuationToken;
+    do {
+        const res = await s3.send(new ListObjectsV2Command({ Bucket: OCEAN_BUCKET, Prefix: prefix, ContinuationToken: continuationToken }));
+        for (const obj of res.Contents || []) keys.push(obj.Key);
+        continuationToken = res.NextContinuationToken;
+    } while (continuationToken);
+
+    let rows = 0;
+    const present = new Set();
+    for (const key of keys) {
+        const res = await s3.send(new GetObjectCommand({ Bucket: OCEAN_BUCKET, Key: key }));
+        const lines = readline.createInterface({ input: res.Body, crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            rows++;
+            if (keyColumn) present.add(JSON.parse(line)[keyColumn]);
+        }
+    }
+    // coast/run=…/companies/ -> companies
+    const type = prefix.replace(/\/$/, "").split("/").pop();
+    return { type, keys, rows, present };
+}
+
+/**
+ * Writes { "tombstone": true, [keyColumn]: value } lines next to an unload's files, for the
+ * Lighthouse to delete the items of entities the unload no longer produces. Returns the key.
+ */
+export async function writeTombstones(s3Target, keyColumn, values) {
+    const key = `${s3Target.replace(`s3://${OCEAN_BUCKET}/`, "")}tombstones.json`;
+    await s3.send(new PutObjectCommand({
+        Bucket: OCEAN_BUCKET,
+        Key: key,
+        Body: values.map(value => JSON.stringify({ tombstone: true, [keyColumn]: value })).join("\n") + "\n",
+        ContentType: "application/json"
+    }));
+    return key;
+}
+
+/**
+ * Validates a run's unloads ({ file, type, scope: full|scoped, rows, keys }), records its
+ * manifest and, if they pass, flips current.json to it. Throws when the run is rejected.
+ */
+export async function publishRun({ runId, mode, unloads }) {
+    const current = await readJson(CURRENT_KEY);
+    const lastRows = (current && current.full_rows) || {};
+
+    const problems = [];
+    for (const u of unloads.filter(u => u.scope === "full")) {
+        if (u.rows === 0) problems.push(`${u.file} unloaded no rows`);
+        else if (lastRows[u.type] && u.rows < lastRows[u.type] * MIN_FULL_RATIO) {
+            problems.push(`${u.file} unloaded ${u.rows} rows, down from ${lastRows[u.type]}`);
+        }
+    }
+
+    const manifest = {
+        run_id: runId,
+        mode,
+        status: problems.length === 0 ? "published" : "rejected",
+        problems,
+        created_at: new Date().toISOString(),
+        unloads
+    };
+    await writeJson(`${COAST_PREFIX}${runPrefix(runId)}manifest.json`, manifest);
+
+    if (problems.length > 0) {
+        problems.forEach(p => console.error(`❌ ${p}`));
+        throw new Error(`Run ${runId} not published: ${problems.length} unload(s) failed validation`);
+    }
+
+    const fullRows = { ...lastRows };
+    for (const u of unloads.filter(u => u.scope === "full")) fullRows[u.type] = u.rows;
+    await writeJson(CURRENT_KEY, {
+        run_id: runId,
+        published_at: new Date().toISOString(),
+        full_rows: fullRows,
+        loads: unloads.flatMap(u => u.keys.map(key => ({ keys: [key] })))
+    });
+    console.log(`📣 Published run ${runId} (${unloads.length} unloads, ${unloads.reduce((n, u) => n + u.rows, 0)} rows)`);
+    return manifest;
+}
+
+/**
+ * Every published run's manifest, oldest first.
+ */
+export async function listRuns() {
+    const manifests = [];
+    let continuationToken;
+    do {
+        const res = await s3.send(new ListObjectsV2Command({
+            Bucket: OCEAN_BUCKET,
+            Prefix: `${COAST_PREFIX}run=`,
+            Delimiter: "/",
+            ContinuationToken: continuationToken
+        }));
+        for (const p of res.CommonPrefixes || []) {
+            const manifest = await readJson(`${p.Prefix}manifest.json`);
+            if (manifest && manifest.status === "published") manifests.push(manifest);
+        }
+        continuationToken = res.NextContinuationToken;
+    } while (continuationToken);
+    return manifests.sort((a, b) => a.run_id.localeCompare(b.run_id));
+}
+
+/**
+ * Points current.json back at a published run, with per-type load chains that rebuild the
+ * Gold items as they were after it and delete the ones later runs created.
+ */
+export async function rollbackTo(runId) {
+    const published = await listRuns();
+    const runs = published.filter(m => m.run_id <= runId);
+    if (runs.length === 0 || runs[runs.length - 1].run_id !== runId) {
+        throw new Error(`No published run ${runId}`);
+    }
+
+    const chains = new Map(); // type -> { keys, fullRows }
+    for (const run of runs) {
+        for (const u of run.unloads) {
+            const chain = u.scope === "full" || !chains.has(u.type)
+                ? { keys: [], fullRows: u.scope === "full" ? u.rows : undefined }
+                : chains.get(u.type);
+            chain.keys.push(...u.keys);
+            chains.set(u.type, chain);
+        }
+    }
+
+    // Items a later run wrote that don't exist as of runId: their rows are in no chain file
+    const deleted = {};
+    const laterUnloads = published.filter(m => m.run_id > runId).flatMap(m => m.unloads);
+    for (const type of new Set(laterUnloads.map(u => u.type))) {
+        const keyColumn = KEY_COLUMNS[type];
+        if (!keyColumn) continue;
+        const written = await readEntities(laterUnloads.filter(u => u.type === type).flatMap(u => u.keys), keyColumn);
+        const existing = chains.has(type) ? await readEntities(chains.get(type).keys, keyColumn) : new Map();
+        const gone = [...written].filter(([value, present]) => present && !existing.get(value)).map(([value]) => value);
+        if (gone.length === 0) continue;
+
+        const tombstones = await writeTombstones(`s3://${OCEAN_BUCKET}/${COAST_PREFIX}rollback=${runId}/${type}/`, keyColumn, gone);
+        if (!chains.has(type)) chains.set(type, { keys: [] });
+        chains.get(type).keys.push(tombstones);
+        deleted[type] = gone.length;
+        console.log(`   ${gone.length} ${type} created after ${runId} to delete`);
+    }
+
+    const fullRows = {};
+    for (const [type, chain] of chains) if (chain.fullRows !== undefined) fullRows[type] = chain.fullRows;
+    await writeJson(CURRENT_KEY, {
+        run_id: runId,
+        published_at: new Date().toISOString(),
+        rollback: true,
+        full_rows: fullRows,
+        loads: [...chains.values()].map(chain => ({ keys: chain.keys }))
+    });
+    console.log(`⏪ Rolled back to run ${runId} (${chains.size} types reloaded)`);
+    return { runId, types: [...chains.keys()], deleted };
+}
+
+/**
+ * keyColumn value -> whether its item exists after loading these files in order (a
+ * tombstone line deletes it again).
+ */
+async function readEntities(keys, keyColumn) {
+    const entities = new Map();
+    for (const key of keys) {
+        const res = await s3.send(new GetObjectCommand({ Bucket: OCEAN_BUCKET, Key: key }));
+        const lines = readline.createInterface({ input: res.Body, crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const row = JSON.parse(line);
+            entities.set(row[keyColumn], !row.tombstone);
+        }
+    }
+    return entities;
+}
+
+async function readJson(key) {
+    try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: OCEAN_BUCKET, Key: key }));
+        return JSON.parse(await res.Body.transformToString());
+    } catch (e) {
+        if (e.name === "NoSuchKey") return null;
+        throw e;
+    }
+}
+
+async function writeJson(key, body) {
+    await s3.send(new PutObjectCommand({
+        Bucket: OCEAN_BUCKET,
+        Key: key,
+        Body: JSON.stringify(body, null, 2),
+        ContentType: "application/json"
+    }));
+}
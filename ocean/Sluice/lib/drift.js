@@ -0,0 +1,79 @@
+import { DynamoDBClient, UpdateItemCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { headerFingerprint } from "./sextant.js";
+
+const dynamo = new DynamoDBClient({});
+
+const SEXTANT_TABLE = "VentureOS-Sextant";
+
+/**
+ * Sextant Drift
+ *
+ * When a file's header row doesn't line up with the map used for it, the splitter leaves a
+ * drift record next to that map, one per distinct header row:
+ *   PK: SOURCE#{source}   SK: DRIFT#{dataset}#{header fingerprint}
+ *   { schema_version, unmapped_headers, missing_keys, header_row, detected, match_score,
+ *     first_seen, last_seen, seen_count, last_source_key }
+ *
+ * Repeat sightings of the same header row just bump seen_count / last_seen.
+ */
+export async function recordDrift(match, headers, comparison, sourceKey) {
+    const now = new Date().toISOString();
+    const fingerprint = headerFingerprint(headers);
+
+    await dynamo.send(new UpdateItemCommand({
+        TableName: SEXTANT_TABLE,
+        Key: marshall({ PK: `SOURCE#${match.source}`, SK: `DRIFT#${match.dataset}#${fingerprint}` }),
+        UpdateExpression: `SET schema_version = :v, unmapped_headers = :unmapped, missing_keys = :missing,
+            header_row = :headers, detected = :detected, match_score = :score, last_seen = :now,
+            last_source_key = :key, first_seen = if_not_exists(first_seen, :now)
+            ADD seen_count :one`,
+        ExpressionAttributeValues: marshall({
+            ":v": match.schema.version,
+            ":unmapped": comparison.unmapped,
+            ":missing": comparison.missing,
+            ":headers": headers,
+            ":detected": match.detected,
+            ":score": Math.round(match.score * 1000) / 1000,
+            ":now": now,
+            ":key": sourceKey,
+            ":one": 1
+        })
+    }));
+}
+
+/**
+ * All open drift records, most recently seen first.
+ */
+export async function listDrift(limit = 100) {
+    const items = [];
+    let lastKey;
+    do {
+        const res = await dynamo.send(new ScanCommand({
+            TableName: SEXTANT_TABLE,
+            FilterExpression: "begins_with(SK, :drift)",
+            ExpressionAttributeValues: marshall({ ":drift": "DRIFT#" }),
+            ExclusiveStartKey: lastKey
+        }));
+        items.push(...(res.Items || []).map(i => unmarshall(i)));
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items
+        .sort((a, b) => (b.last_seen || "").localeCompare(a.last_seen || ""))
+        .slice(0, limit)
+        .map(item => ({
+            source: item.PK.replace(/^SOURCE#/, ""),
+            dataset: item.SK.split("#")[1],
+            fingerprint: item.SK.split("#")[2],
+            schema_version: item.schema_version,
+            unmapped_headers: item.unmapped_headers || [],
+            missing_keys: item.missing_keys || [],
+            detected: item.detected,
+            score: item.match_score,
+            seen_count: item.seen_count,
+            first_seen: item.first_seen,
+            last_seen: item.last_seen,
+            last_source_key: item.last_source_key
+        }));
+}
@@ -0,0 +1,66 @@
+/**
+ * City Fallbacks
+ *
+ * When a row's city name doesn't resolve, the processor tries its ZIP, then its coordinates.
+ * Both indexes are built from the Anchor city items by Anchor/Cities/build-geo-index.js:
+ *
+ *   ZIP#{zip5}               SK: CITY#{state}-{slug}   { name, state, share }
+ *     Census ZCTA-to-place crosswalk; share = fraction of the ZCTA's land inside the place
+ *   GEO#{latCell}#{lonCell}  SK: CITY#{state}-{slug}   { name, state, lat, lon }
+ *     Every city's internal point, bucketed into GEO_CELL_DEG squares
+ *
+ * A nearest-place search reads the point's cell and its 8 neighbours, so MAX_GEO_KM has to
+ * stay below one cell height (~55 km for 0.5°).
+ */
+
+export const GEO_CELL_DEG = 0.5;
+export const MAX_GEO_KM = 15;       // Farther than this from any place's center: leave it unresolved
+export const MIN_ZIP_SHARE = 0.5;   // The place must hold most of the ZIP's land
+
+const EARTH_RADIUS_KM = 6371;
+
+export function geoCell(lat, lon) {
+    return `${Math.floor(lat / GEO_CELL_DEG)}#${Math.floor(lon / GEO_CELL_DEG)}`;
+}
+
+export function neighborCells(lat, lon) {
+    const latCell = Math.floor(lat / GEO_CELL_DEG);
+    const lonCell = Math.floor(lon / GEO_CELL_DEG);
+    const cells = [];
+    for (let dLat = -1; dLat <= 1; dLat++) {
+        for (let dLon = -1; dLon <= 1; dLon++) cells.push(`${latCell + dLat}#${lonCell + dLon}`);
+    }
+    return cells;
+}
+
+// Haversine
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * "37203-1234", "37203", 8501 (leading zero lost in a spreadsheet) -> "37203" / "08501"
+ */
+export function zip5(value) {
+    if (value === undefined || value === null) return null;
+    const digits = String(value).trim().split('-')[0].replace(/\D/g, '');
+    if (digits.length === 9) return digits.slice(0, 5); // ZIP+4 without the dash
+    if (digits.length === 0 || digits.length > 5) return null;
+    return digits.padStart(5, '0');
+}
+
+/**
+ * Parses a coordinate pair; null unless both are finite, non-zero and in range.
+ */
+export function parseCoordinates(lat, lon) {
+    if ([lat, lon].some(v => v === undefined || v === null || String(v).trim() === '')) return null;
+    const la = Number(lat);
+    const lo = Number(lon);
+    if (!Number.isFinite(la) || !Number.isFinite(lo) || (la === 0 && lo === 0)) return null;
+    if (Math.abs(la) > 90 || Math.abs(lo) > 180) return null;
+    return { lat: la, lon: lo };
+}
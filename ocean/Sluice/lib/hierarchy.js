@@ -0,0 +1,94 @@
+import { DynamoDBClient, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+const dynamo = new DynamoDBClient({});
+const s3 = new S3Client({});
+
+const ANCHOR_TABLE = "VentureOS-Anchor";
+const OCEAN_BUCKET = "venture-os-ocean";
+export const HIERARCHY_KEY = "anchor/company_hierarchy/hierarchy.json";
+const MAX_DEPTH = 10; // Guards against cycles someone managed to write by hand
+
+/**
+ * Company Hierarchy
+ *
+ * Parent/subsidiary/brand edges live in the Anchor (written by Anchor/Companies/link-company.js):
+ *   PK: HIERARCHY#{parent_slug}   SK: CHILD#{child_slug}
+ *   GSI1PK: HIERARCHY_PARENT#{child_slug}   GSI1SK: PARENT#{parent_slug}
+ *   { parent_slug, parent_name, child_slug, child_name, relationship: subsidiary|brand }
+ *
+ * Athena can't read DynamoDB, so each pipeline run exports the closure of those edges to
+ * s3://venture-os-ocean/anchor/company_hierarchy/ (silver.company_hierarchy, one JSON line per
+ * ancestor/descendant pair):
+ *   { ancestor_slug, ancestor_name, descendant_slug, descendant_name, depth, relationship }
+ * where relationship is the descendant's own edge to its direct parent.
+ */
+export async function exportHierarchy() {
+    const edges = await loadEdges();
+    const rows = buildClosure(edges);
+
+    await s3.send(new PutObjectCommand({
+        Bucket: OCEAN_BUCKET,
+        Key: HIERARCHY_KEY,
+        Body: rows.map(r => JSON.stringify(r)).join("\n"),
+        ContentType: "application/json"
+    }));
+    console.log(`🏢 Exported company hierarchy: ${edges.length} edges, ${rows.length} closure rows`);
+    return { edges: edges.length, rows: rows.length };
+}
+
+async function loadEdges() {
+    const edges = [];
+    let lastKey;
+    do {
+        const res = await dynamo.send(new ScanCommand({
+            TableName: ANCHOR_TABLE,
+            FilterExpression: "begins_with(PK, :h) AND begins_with(SK, :c)",
+            ExpressionAttributeValues: marshall({ ":h": "HIERARCHY#", ":c": "CHILD#" }),
+            ExclusiveStartKey: lastKey
+        }));
+        edges.push(...(res.Items || []).map(i => unmarshall(i)));
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+    return edges;
+}
+
+export function buildClosure(edges) {
+    const parentOf = new Map(edges.map(e => [e.child_slug, e]));
+    const rows = [];
+    for (const edge of edges) {
+        let ancestor = edge;
+        const seen = new Set([edge.child_slug]);
+        for (let depth = 1; ancestor && depth <= MAX_DEPTH; depth++) {
+            if (seen.has(ancestor.parent_slug)) {
+                console.warn(`⚠️ Hierarchy cycle at ${ancestor.parent_slug}; stopping`);
+                break;
+            }
+            seen.add(ancestor.parent_slug);
+            rows.push({
+                ancestor_slug: ancestor.parent_slug,
+                ancestor_name: ancestor.parent_name,
+                descendant_slug: edge.child_slug,
+                descendant_name: edge.child_name,
+                depth,
+                relationship: edge.relationship
+            });
+            ancestor = parentOf.get(ancestor.parent_slug);
+        }
+    }
+    return rows;
+}
+
+/**
+ * SQL predicate on events selecting every company in the same hierarchy as `slugs`
+ * (themselves, their ancestors, and all descendants of either), so a scoped company
+ * unload still sees everything a consolidated total needs.
+ */
+export function companyFamilyFilter(quotedSlugList) {
+    const ancestors = `SELECT a.ancestor_slug FROM "silver"."company_hierarchy" a WHERE a.descendant_slug IN (${quotedSlugList})`;
+    return `(company_slug IN (${quotedSlugList})
+        OR company_slug IN (${ancestors})
+        OR company_slug IN (SELECT d.descendant_slug FROM "silver"."company_hierarchy" d
+            WHERE d.ancestor_slug IN (${quotedSlugList}) OR d.ancestor_slug IN (${ancestors})))`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Company Identifiers
+ *
+ * Registry identifiers resolve a record to a company deterministically, where names only
+ * resolve by similarity. The Anchor keeps one item per identifier and company:
+ *   PK: ID#EIN#123456789        SK: SLUG#walmart-inc    { scheme, value, source }
+ *   PK: ID#CIK#0000104169       SK: SLUG#walmart-inc
+ *   PK: ID#LEI#Y87794H0US1R65VBXU25
+ * Reverse lookup (identifier -> company) queries the PK; the company's own list comes
+ * back through GSI1PK=IDENTIFIERS#{target}.
+ *
+ * An identifier held by more than one company is ambiguous and isn't used to resolve.
+ */
+
+// Canonical Sextant field -> scheme
+export const IDENTIFIER_FIELDS = { ein: "EIN", cik: "CIK", lei: "LEI" };
+export const SCHEMES = Object.values(IDENTIFIER_FIELDS);
+
+/**
+ * "12-3456789" -> "123456789", CIK 104169 -> "0000104169", lowercase LEI -> uppercase.
+ * Null for anything that isn't a well-formed identifier of that scheme (placeholders such as
+ * "000000000" or "999999999" included).
+ */
+export function normalizeIdentifier(scheme, value) {
+    if (value === undefined || value === null) return null;
+    const raw = String(value).trim().toUpperCase();
+    if (!raw) return null;
+
+    if (scheme === "EIN") {
+        const digits = raw.replace(/\D/g, "");
+        if (digits.length !== 9 || /^(\d)\1{8}$/.test(digits) || digits === "123456789") return null;
+        return digits;
+    }
+    if (scheme === "CIK") {
+        const digits = raw.replace(/\D/g, "").replace(/^0+/, "");
+        if (!digits || digits.length > 10) return null;
+        return digits.padStart(10, "0");
+    }
+    if (scheme === "LEI") {
+        const lei = raw.replace(/[^A-Z0-9]/g, "");
+        return lei.length === 20 && leiChecksumValid(lei) ? lei : null;
+    }
+    return null;
+}
+
+// ISO 17442: letters as 10..35, the whole number mod 97 must be 1
+function leiChecksumValid(lei) {
+    let remainder = 0;
+    for (const char of lei) {
+        const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Anchor item linking an (already normalized) identifier to targetPk (SLUG#... or COMPANY#...).
+ */
+export function identifierItem(scheme, value, targetPk, attributes = {}) {
+    return {
+        PK: `ID#${scheme}#${value}`,
+        SK: targetPk,
+        GSI1PK: `IDENTIFIERS#${targetPk}`,
+        GSI1SK: `ID#${scheme}#${value}`,
+        type: "Identifier",
+        scheme,
+        value,
+        target: targetPk,
+        createdAt: new Date().toISOString(),
+        ...attributes
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ * Event Identity
+ *
+ * event_id has to survive republication: a corrected row must update its Silver event, not
+ * sit next to it. A Sextant map names the canonical fields that identify a record within its
+ * dataset (identity_keys, e.g. ["semantic_id"] for OSHA severe incident reports), and the id
+ * is a hash of source, dataset and those values:
+ *   sha256("VOS_SALT_v1|OSHA|severe-incident|2015012345")
+ * Maps without identity keys, and records missing one of the values, fall back to the hash
+ * of the whole raw row.
+ *
+ * Athena/SQL/migrate_event_identity.sql builds the same ids in SQL (identityKeySql); keep the
+ * two in step.
+ */
+
+import crypto from "node:crypto";
+import { schemaIdentity } from "./sextant.js";
+
+export const SALT = "VOS_SALT_v1";
+
+// Fields the processor keeps in their own Silver columns rather than event_details
+const COLUMN_KEYS = new Set(["event_date", "state", "city", "city_slug", "company_slug", "site_id",
+    "county_fips", "county_name", "metro_code", "metro_name", "event_title", "event_description"]);
+
+// Whitespace fixes in a republished file mustn't change the id
+export function identityValue(value, field) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (text === "") return null;
+    // Silver keeps event_date as a timestamp; the day is what survives the MERGE
+    return field === "event_date" ? text.slice(0, 10) : text;
+}
+
+/**
+ * SQL reading one identity key of a Silver event, as identityValue() reads it from the record.
+ */
+export function identityKeySql(field) {
+    if (field === "event_date") return "date_format(event_date, '%Y-%m-%d')";
+    if (COLUMN_KEYS.has(field)) return `NULLIF(trim(${field}), '')`;
+    return `NULLIF(trim(json_extract_scalar(event_details, '$.${field.replace(/'/g, "''")}')), '')`;
+}
+
+/**
+ * "VOS_SALT_v1|OSHA|severe-incident|": everything hashed ahead of the key values.
+ */
+export function identityPrefix(schema) {
+    const { source, dataset } = schemaIdentity(schema);
+    return `${SALT}|${source.toUpperCase()}|${dataset}|`;
+}
+
+/**
+ * Returns { eventId, method } with method natural (identity keys) or row_hash.
+ */
+export function eventIdentity(rawRow, normalized, schema) {
+    const keys = schema && Array.isArray(schema.identity_keys) ? schema.identity_keys : [];
+    const values = keys.map(k => identityValue(normalized[k], k));
+
+    if (keys.length > 0 && values.every(v => v !== null)) {
+        const eventId = crypto.createHash("sha256").update(identityPrefix(schema) + values.join("|")).digest("hex");
+        return { eventId, method: "natural" };
+    }
+    const eventId = crypto.createHash("sha256").update(SALT + JSON.stringify(rawRow)).digest("hex");
+    return { eventId, method: "row_hash" };
+}
@@ -0,0 +1,199 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand, QueryCommand, TransactWriteItemsCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+
+const dynamo = new DynamoDBClient({});
+
+export const LEDGER_TABLE = "VentureOS-Ledger";
+
+/**
+ * The Run Ledger
+ *
+ * One item per logical source (a file, or one member of an archive) per ingest run:
+ *   PK: FILE#{source_key}   SK: RUN#{ingested_at}
+ *   GSI1PK: LEDGER          GSI1SK: {ingested_at}#{source_key}   (newest runs across all files)
+ *
+ * plus one marker per processed Flume message, holding that message's counts and parquet keys:
+ *   PK: FILE#{source_key}   SK: MSG#{ingested_at}#{messageId}
+ *
+ * The splitter owns the "sent" side (rows_split, messages_sent, split_status) and SETs
+ * absolute values from its checkpoint, so retries are harmless. The processor owns the
+ * "landed" side and ADDs to rows_valid / rows_quarantined / rows_failed in the same
+ * transaction that creates the message marker, so a redelivered message is never counted twice.
+ * A run is complete once the splitter is done and every split row has landed somewhere.
+ */
+
+function ledgerKey(sourceKey, runId) {
+    return { PK: `FILE#${sourceKey}`, SK: `RUN#${runId}` };
+}
+
+/**
+ * Splitter side: records how much of a source has been put on the Flume.
+ */
+export async function recordSplit(checkpoint, sourceKey, progress) {
+    const now = new Date().toISOString();
+    await dynamo.send(new UpdateItemCommand({
+        TableName: LEDGER_TABLE,
+        Key: marshall(ledgerKey(sourceKey, checkpoint.ingested_at)),
+        UpdateExpression: `SET source_key = :sk, object_key = :ok, source_bucket = :b, run_id = :run,
+            sequencer = :seq, rows_split = :rows, messages_sent = :msgs, split_status = :status,
+            started_at = if_not_exists(started_at, :now), updated_at = :now,
+            GSI1PK = :gpk, GSI1SK = :gsk`,
+        ExpressionAttributeValues: marshall({
+            ":sk": sourceKey,
+            ":ok": checkpoint.source_key,
+            ":b": checkpoint.source_bucket,
+            ":run": checkpoint.ingested_at,
+            ":seq": checkpoint.sequencer,
+            ":rows": progress.rows_dispatched,
+            ":msgs": progress.messages_sent,
+            ":status": progress.status,
+            ":now": now,
+            ":gpk": "LEDGER",
+            ":gsk": `${checkpoint.ingested_at}#${sourceKey}`
+        }, { removeUndefinedValues: true })
+    }));
+}
+
+/**
+ * Processor side: adds one Flume message worth of outcomes to its source run.
+ * counts: { valid, quarantined, failed, outputKeys:[] }
+ * Returns false if this message was already recorded (SQS redelivery).
+ */
+export async function recordLanded(sourceKey, runId, messageId, counts) {
+    const now = new Date().toISOString();
+    try {
+        await dynamo.send(new TransactWriteItemsCommand({
+            TransactItems: [
+                {
+                    Put: {
+                        TableName: LEDGER_TABLE,
+                        Item: marshall({
+                            PK: `FILE#${sourceKey}`,
+                            SK: `MSG#${runId}#${messageId}`,
+                            rows_valid: counts.valid,
+                            rows_quarantined: counts.quarantined,
+                            rows_failed: counts.failed,
+                            output_keys: counts.outputKeys,
+                            processed_at: now
+                        }),
+                        ConditionExpression: "attribute_not_exists(PK)"
+                    }
+                },
+                {
+                    Update: {
+                        TableName: LEDGER_TABLE,
+                        Key: marshall(ledgerKey(sourceKey, runId)),
+                        UpdateExpression: "ADD rows_valid :v, rows_quarantined :q, rows_failed :f, messages_processed :one SET updated_at = :now",
+                        ExpressionAttributeValues: marshall({
+                            ":v": counts.valid,
+                            ":q": counts.quarantined,
+                            ":f": counts.failed,
+                            ":one": 1,
+                            ":now": now
+                        })
+                    }
+                }
+            ]
+        }));
+        return true;
+    } catch (e) {
+        const reasons = e.CancellationReasons || [];
+        if (e.name === "TransactionCanceledException" && reasons[0] && reasons[0].Code === "ConditionalCheckFailed") {
+            return false;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Whether a Flume message's marker exists, i.e. its rows have already landed and been counted.
+ */
+export async function hasLanded(sourceKey, runId, messageId) {
+    const res = await dynamo.send(new GetItemCommand({
+        TableName: LEDGER_TABLE,
+        Key: marshall({ PK: `FILE#${sourceKey}`, SK: `MSG#${runId}#${messageId}` }),
+        ProjectionExpression: "PK"
+    }));
+    return Boolean(res.Item);
+}
+
+/**
+ * Every parquet file written for one run of a source, gathered from its message markers.
+ */
+export async function getRunOutputs(sourceKey, runId) {
+    const keys = new Set();
+    let lastKey;
+    do {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: LEDGER_TABLE,
+            KeyConditionExpression: "PK = :pk AND begins_with(SK, :msg)",
+            ExpressionAttributeValues: marshall({ ":pk": `FILE#${sourceKey}`, ":msg": `MSG#${runId}#` }),
+            ProjectionExpression: "output_keys",
+            ExclusiveStartKey: lastKey
+        }));
+        for (const item of res.Items || []) {
+            for (const key of unmarshall(item).output_keys || []) keys.add(key);
+        }
+        lastKey = res.LastEvaluatedKey;
+    } while (lastKey);
+    return Array.from(keys).sort();
+}
+
+/**
+ * All runs of one source, newest first.
+ */
+export async function getRunsForSource(sourceKey, limit = 20) {
+    const res = await dynamo.send(new QueryCommand({
+        TableName: LEDGER_TABLE,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :run)",
+        ExpressionAttributeValues: marshall({ ":pk": `FILE#${sourceKey}`, ":run": "RUN#" }),
+        ScanIndexForward: false,
+        Limit: limit
+    }));
+    return (res.Items || []).map(i => summarizeRun(unmarshall(i)));
+}
+
+/**
+ * The most recent runs across every source, newest first.
+ */
+export async function getRecentRuns(limit = 50) {
+    const res = await dynamo.send(new QueryCommand({
+        TableName: LEDGER_TABLE,
+        IndexName: "GSI1",
+        KeyConditionExpression: "GSI1PK = :pk",
+        ExpressionAttributeValues: marshall({ ":pk": "LEDGER" }),
+        ScanIndexForward: false,
+        Limit: limit
+    }));
+    return (res.Items || []).map(i => summarizeRun(unmarshall(i)));
+}
+
+/**
+ * Flattens a ledger item for the admin page and works out how complete the run is.
+ */
+function summarizeRun(item) {
+    const rowsSplit = item.rows_split || 0;
+    const rowsValid = item.rows_valid || 0;
+    const rowsQuarantined = item.rows_quarantined || 0;
+    const rowsFailed = item.rows_failed || 0;
+    const rowsLanded = rowsValid + rowsQuarantined + rowsFailed;
+
+    let status = "splitting";
+    if (item.split_status === "complete") status = rowsLanded >= rowsSplit ? "complete" : "processing";
+
+    return {
+        source_key: item.source_key,
+        object_key: item.object_key,
+        run_id: item.run_id,
+        status,
+        rows_split: rowsSplit,
+        messages_sent: item.messages_sent || 0,
+        messages_processed: item.messages_processed || 0,
+        rows_valid: rowsValid,
+        rows_quarantined: rowsQuarantined,
+        rows_failed: rowsFailed,
+        completeness: rowsSplit > 0 ? Math.min(1, rowsLanded / rowsSplit) : 0,
+        started_at: item.started_at,
+        updated_at: item.updated_at
+    };
+}
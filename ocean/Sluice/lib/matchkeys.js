@@ -0,0 +1,125 @@
+/**
+ * Company Match Keys
+ *
+ * Exact aliases only catch names someone has seen before. For everything else the Anchor
+ * keeps a few blocking keys per company name, so a raw name can pull a short list of
+ * candidates without scanning the registry:
+ *   PK: MATCHKEY#core#walmart         SK: SLUG#walmart-inc   { name: "Walmart Inc." }
+ *   PK: MATCHKEY#sorted#america bank  SK: SLUG#bank-of-america-corp
+ *   PK: MATCHKEY#phonetic#W4563       SK: SLUG#walmart-inc
+ *
+ * Candidates are then scored against the raw name (edit distance + token overlap) and
+ * only linked when the best one clears AUTO_LINK_SCORE and no other company is close.
+ */
+
+export const AUTO_LINK_SCORE = 0.88;
+export const AMBIGUITY_MARGIN = 0.05;
+
+const LEGAL_SUFFIXES = new Set(["inc", "incorporated", "corp", "corporation", "co", "company", "llc",
+    "ltd", "limited", "lp", "llp", "plc", "pllc", "pc", "the", "dba"]);
+// Site-level words publishers append to a company name ("Walmart Stores", "Amazon Fulfillment")
+const DESCRIPTORS = new Set(["store", "stores", "supercenter", "fulfillment", "warehouse", "distribution"]);
+const TOKEN_MATCH = 0.8;  // Two tokens this similar count as the same word (typos)
+
+/**
+ * "WAL-MART STORES, INC." -> ["walmart", "stores"]   (legal suffixes dropped)
+ */
+export function nameTokens(name) {
+    return String(name || "").toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/\.com\b/g, "")
+        .replace(/['’.\-]/g, "")         // WAL-MART, MACY'S, U.S. -> one word
+        .replace(/[^a-z0-9]+/g, " ")
+        .split(" ")
+        .filter(t => t && !LEGAL_SUFFIXES.has(t));
+}
+
+/**
+ * Name tokens without site descriptors, unless that would leave nothing.
+ */
+export function coreTokens(name) {
+    const tokens = nameTokens(name);
+    const core = tokens.filter(t => !DESCRIPTORS.has(t));
+    return core.length > 0 ? core : tokens;
+}
+
+/**
+ * Blocking keys for one name: [{ kind, key }]
+ */
+export function candidateKeys(name) {
+    const core = coreTokens(name);
+    if (core.length === 0) return [];
+
+    const keys = [{ kind: "core", key: core.join("") }];
+    if (core.length > 1) keys.push({ kind: "sorted", key: [...core].sort().join(" ") });
+    keys.push({ kind: "phonetic", key: phoneticKey(core.join("")) });
+    return keys;
+}
+
+/**
+ * Anchor items that let `name` be found through its match keys.
+ * targetPk is the entity key the alias items already point at (SLUG#... or COMPANY#...).
+ */
+export function matchKeyItems(name, targetPk) {
+    return candidateKeys(name).map(({ kind, key }) => ({
+        PK: `MATCHKEY#${kind}#${key}`,
+        SK: targetPk,
+        type: "MatchKey",
+        name,
+        target: targetPk
+    }));
+}
+
+/**
+ * 0..1 similarity of two company names: 70% edit distance of the joined core names,
+ * 30% token overlap (with typo-tolerant token equality).
+ */
+export function scoreNames(a, b) {
+    const ta = coreTokens(a);
+    const tb = coreTokens(b);
+    if (ta.length === 0 || tb.length === 0) return 0;
+
+    const ja = ta.join("");
+    const jb = tb.join("");
+    if (ja === jb) return 1;
+
+    const edit = similarity(ja, jb);
+    const shared = ta.filter(t => tb.some(u => similarity(t, u) >= TOKEN_MATCH)).length;
+    const overlap = shared / (ta.length + tb.length - shared);
+    return Math.round((0.7 * edit + 0.3 * overlap) * 1000) / 1000;
+}
+
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+// Soundex codes, not truncated to 4 characters so long names stay distinguishable
+const SOUNDEX = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+    d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+
+export function phoneticKey(word) {
+    const letters = word.replace(/[^a-z]/g, "");
+    if (!letters) return word;
+    let code = letters[0].toUpperCase();
+    let last = SOUNDEX[letters[0]];
+    for (const ch of letters.slice(1)) {
+        const digit = SOUNDEX[ch];
+        if (digit && digit !== last) code += digit;
+        if (ch !== "h" && ch !== "w") last = digit;  // h/w don't separate equal codes
+    }
+    return code.slice(0, 8);
+}
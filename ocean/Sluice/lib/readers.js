@@ -0,0 +1,203 @@
+import { parse } from "csv-parse";
+import readline from "readline";
+import StreamArray from "stream-json/streamers/StreamArray.js";
+import Pick from "stream-json/filters/Pick.js";
+import ExcelJS from "exceljs";
+
+/**
+ * The Reader Layer
+ *
+ * Every reader turns a byte stream into an async iterable of { record, bytes }:
+ * - record: a flat object of header -> string value (the same shape csv-parse gives us)
+ * - bytes:  offset just past this record, or null when the format can't be resumed by Range
+ *
+ * The splitter wraps those records into the usual { rows, meta } messages, so the
+ * processor never needs to know what the source format was.
+ *
+ * Format is chosen by the Sextant schema's `format` hint first, then by file extension.
+ * A hint is either a type string ("jsonl") or an object with options:
+ *   { type: "csv", delimiter: "|" }
+ *   { type: "json", path: "results" }                    // array nested under a key
+ *   { type: "fixed-width", skip_lines: 1, columns: [{ name: "ID", start: 1, length: 8 }, ...] }
+ *   { type: "xlsx", sheet: "Data" }                      // defaults to the first sheet
+ */
+
+const EXTENSIONS = [
+    { pattern: /\.(csv|txt)$/i, type: "csv" },
+    { pattern: /\.(jsonl|ndjson)$/i, type: "jsonl" },
+    { pattern: /\.json$/i, type: "json" },
+    { pattern: /\.(dat|fwf)$/i, type: "fixed-width" },
+    { pattern: /\.xlsx$/i, type: "xlsx" }
+];
+
+// Publishers bundle these next to the data; never try to read them, whatever the hint says
+const DOCUMENTATION = /\.(pdf|docx?|rtf|html?|md)$/i;
+
+const READERS = {
+    "csv": readCsv,
+    "jsonl": readJsonLines,
+    "json": readJsonArray,
+    "fixed-width": readFixedWidth,
+    "xlsx": readXlsx
+};
+
+/**
+ * Picks the reader for a logical source. Compression suffixes (.gz, .bz2) are ignored.
+ * Returns { type, options } or null if the source can't be read.
+ */
+export function detectFormat(name, formatHint) {
+    if (DOCUMENTATION.test(name)) return null;
+
+    if (formatHint) {
+        const format = typeof formatHint === "string" ? { type: formatHint } : formatHint;
+        if (!READERS[format.type]) throw new Error(`Unknown Sextant format hint: ${format.type}`);
+        return { type: format.type, options: format };
+    }
+
+    const bare = name.replace(/\.(gz|bz2)$/i, "");
+    const match = EXTENSIONS.find(e => e.pattern.test(bare));
+    if (!match) return null;
+    if (match.type === "fixed-width") return null; // Needs a column layout from the Sextant
+    return { type: match.type, options: {} };
+}
+
+/**
+ * Only CSV tracks byte offsets precisely enough to resume with a Ranged GET.
+ * Everything else resumes by replaying the stream and skipping rows.
+ */
+export function isRangeable(format) {
+    return format.type === "csv";
+}
+
+/**
+ * @param stream   Readable byte stream
+ * @param format   Result of detectFormat()
+ * @param headers  Column names to use when resuming mid-file (CSV only)
+ */
+export function readRecords(stream, format, headers = null) {
+    return READERS[format.type](stream, format.options, headers);
+}
+
+// --- READERS ---
+
+async function* readCsv(stream, options, headers) {
+    const parser = stream.pipe(parse({
+        columns: headers || true,
+        delimiter: options.delimiter || ",",
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        info: true
+    }));
+
+    for await (const { record, info } of parser) {
+        yield { record, bytes: info.bytes };
+    }
+}
+
+async function* readJsonLines(stream) {
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of rl) {
+        if (!line.trim()) continue;
+        yield { record: flattenRecord(JSON.parse(line)), bytes: null };
+    }
+}
+
+async function* readJsonArray(stream, options) {
+    let source = stream;
+    if (options.path) source = source.pipe(Pick.withParser({ filter: options.path }));
+    const items = source.pipe(options.path ? StreamArray.streamArray() : StreamArray.withParser());
+
+    for await (const { value } of items) {
+        yield { record: flattenRecord(value), bytes: null };
+    }
+}
+
+async function* readFixedWidth(stream, options) {
+    if (!Array.isArray(options.columns) || options.columns.length === 0) {
+        throw new Error("Fixed-width format requires a `columns` layout in the Sextant schema");
+    }
+
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNo = 0;
+    for await (const line of rl) {
+        lineNo++;
+        if (lineNo <= (options.skip_lines || 0) || !line.trim()) continue;
+
+        const record = {};
+        for (const col of options.columns) {
+            // Layouts are published 1-based (like mainframe record specs)
+            const start = col.start - 1;
+            const end = col.length !== undefined ? start + col.length : col.end;
+            record[col.name] = line.substring(start, end).trim();
+        }
+        yield { record, bytes: null };
+    }
+}
+
+async function* readXlsx(stream, options) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+        sharedStrings: "cache",
+        hyperlinks: "ignore",
+        styles: "cache",        // Needed to tell date cells from plain numbers
+        worksheets: "emit"
+    });
+
+    let sheetIndex = 0;
+    for await (const worksheet of workbook) {
+        sheetIndex++;
+        const wanted = options.sheet ? worksheet.name === options.sheet : sheetIndex === 1;
+        if (!wanted) {
+            for await (const row of worksheet) { } // Drain to reach the next sheet
+            continue;
+        }
+
+        let headers = null;
+        for await (const row of worksheet) {
+            const values = row.values.slice(1).map(cellToString); // ExcelJS rows are 1-indexed
+            if (!headers) {
+                headers = values.map(v => v.trim());
+                continue;
+            }
+            if (values.every(v => v === "")) continue;
+
+            const record = {};
+            headers.forEach((h, i) => { if (h) record[h] = (values[i] ?? "").trim(); });
+            yield { record, bytes: null };
+        }
+        return;
+    }
+}
+
+// --- HELPERS ---
+
+/**
+ * Flattens nested JSON into dotted keys so Sextant header maps can address them
+ * ({ establishment: { name } } -> "establishment.name"). Values become strings like a CSV cell.
+ */
+function flattenRecord(value, prefix = "", out = {}) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        out[prefix || "value"] = cellToString(value);
+        return out;
+    }
+    for (const [k, v] of Object.entries(value)) {
+        const key = prefix ? `${prefix}.${k}` : k;
+        if (v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date)) flattenRecord(v, key, out);
+        else out[key] = cellToString(v);
+    }
+    return out;
+}
+
+function cellToString(v) {
+    if (v === null || v === undefined) return "";
+    if (v instanceof Date) return v.toISOString();
+    if (Array.isArray(v)) return JSON.stringify(v);
+    if (typeof v === "object") {
+        // ExcelJS cell shapes: formulas, rich text, hyperlinks
+        if ("result" in v) return cellToString(v.result);
+        if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join("");
+        if ("text" in v) return String(v.text);
+        return JSON.stringify(v);
+    }
+    return String(v);
+}
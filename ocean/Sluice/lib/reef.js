@@ -0,0 +1,113 @@
+import { S3Client, ListObjectsV2Command, CopyObjectCommand, DeleteObjectsCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+
+const s3 = new S3Client({});
+
+export const OCEAN_BUCKET = "venture-os-ocean";
+export const REEF_PREFIX = "reef/";
+export const ARCHIVE_PREFIX = "reef-archive/";
+// One JSON record per merge run, plus latest.json: s3://venture-os-ocean/sluice/merges/{runId}.json
+const MERGES_PREFIX = "sluice/merges/";
+
+/**
+ * The Reef Watermark
+ *
+ * reef/ only holds parquet the MERGE hasn't consumed yet. Each orchestrator run snapshots it,
+ * merges exactly those files (by Athena "$path"), then moves them to reef-archive/ under the
+ * same partition path. A run that fails before archiving leaves its files in place and the next
+ * run merges them again, which the MERGE's ingested_at guard makes harmless.
+ *
+ * reef-archive/ is the full history, registered as the reef_archive table for --full rebuilds.
+ */
+
+/**
+ * Parquet currently in reef/, oldest first: [{ key, etag, lastModified, size }].
+ */
+export async function listReefFiles() {
+    const files = [];
+    let continuationToken;
+    do {
+        const res = await s3.send(new ListObjectsV2Command({
+            Bucket: OCEAN_BUCKET,
+            Prefix: REEF_PREFIX,
+            ContinuationToken: continuationToken
+        }));
+        for (const obj of res.Contents || []) {
+            if (!obj.Key.endsWith(".parquet")) continue;
+            files.push({ key: obj.Key, etag: obj.ETag, lastModified: obj.LastModified, size: obj.Size });
+        }
+        continuationToken = res.NextContinuationToken;
+    } while (continuationToken);
+    return files.sort((a, b) => a.lastModified - b.lastModified);
+}
+
+/**
+ * Distinct Hive partitions of a set of reef files: [{ source, year }].
+ */
+export function reefPartitions(files) {
+    const partitions = new Map();
+    for (const { key } of files) {
+        const match = key.match(/partition_source=([^/]+)\/partition_year=([^/]+)\//);
+        if (match) partitions.set(`${match[1]}/${match[2]}`, { source: match[1], year: match[2] });
+    }
+    return [...partitions.values()];
+}
+
+export function reefPath(key) {
+    return `s3://${OCEAN_BUCKET}/${key}`;
+}
+
+export function archiveKey(key) {
+    return ARCHIVE_PREFIX + key.slice(REEF_PREFIX.length);
+}
+
+/**
+ * Moves merged files to reef-archive/. A file rewritten since the snapshot (a redelivered
+ * Flume message) fails the ETag check and stays in reef/ for the next run.
+ * Returns { archived: [archive keys], skipped: [reef keys] }.
+ */
+export async function archiveReefFiles(files) {
+    const archived = [];
+    const copied = [];
+    const skipped = [];
+
+    for (let i = 0; i < files.length; i += 20) {
+        await Promise.all(files.slice(i, i + 20).map(async (file) => {
+            try {
+                await s3.send(new CopyObjectCommand({
+                    Bucket: OCEAN_BUCKET,
+                    Key: archiveKey(file.key),
+                    CopySource: encodeURI(`${OCEAN_BUCKET}/${file.key}`),
+                    CopySourceIfMatch: file.etag
+                }));
+                copied.push(file.key);
+                archived.push(archiveKey(file.key));
+            } catch (e) {
+                if (e.name !== "PreconditionFailed" && e.name !== "NoSuchKey") throw e;
+                skipped.push(file.key);
+            }
+        }));
+    }
+
+    for (let i = 0; i < copied.length; i += 1000) {
+        await s3.send(new DeleteObjectsCommand({
+            Bucket: OCEAN_BUCKET,
+            Delete: { Objects: copied.slice(i, i + 1000).map(Key => ({ Key })), Quiet: true }
+        }));
+    }
+    return { archived, skipped };
+}
+
+/**
+ * Writes a merge run's record and points latest.json at it.
+ */
+export async function recordMerge(record) {
+    const body = JSON.stringify(record, null, 2);
+    for (const key of [`${MERGES_PREFIX}${record.run_id}.json`, `${MERGES_PREFIX}latest.json`]) {
+        await s3.send(new PutObjectCommand({
+            Bucket: OCEAN_BUCKET,
+            Key: key,
+            Body: body,
+            ContentType: "application/json"
+        }));
+    }
+}
@@ -0,0 +1,249 @@
+import { DynamoDBClient, QueryCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import crypto from "node:crypto";
+
+const dynamo = new DynamoDBClient({});
+
+const SEXTANT_TABLE = "VentureOS-Sextant";
+const VERSIONS_CACHE = new Map(); // source/dataset -> [schema versions], newest first
+let ALL_SCHEMAS = null;           // Every version of every map, for header-based detection
+
+// Detection thresholds (share of the file's headers a map accounts for)
+const MIN_DETECT_SCORE = 0.5;     // Below this, no map is a credible match
+const OVERRIDE_MARGIN = 0.2;      // How much better another map must be to overrule the folder name
+
+/**
+ * Identifies the Source and Dataset from an estuary key.
+ * Estuary Path: estuary/OSHA/severe-incident/file.csv
+ * Key Split: [estuary, OSHA, severe-incident, file.csv]
+ */
+export function resolveSourcePath(sourceKey) {
+    const parts = sourceKey.split('/');
+
+    // Logic to find 'Source': It's the folder AFTER 'estuary' (or 'confluence' legacy)
+    // If path starts with 'estuary/' -> index 1 is Source.
+    let sourceIdx = -1;
+    if (parts[0] === 'estuary' || parts[0] === 'confluence') sourceIdx = 1;
+    else if (parts[0] === 'Historical' || parts[0] === 'Daily') sourceIdx = 1; // Legacy catch
+
+    const source = (sourceIdx > -1 && parts[sourceIdx]) ? parts[sourceIdx] : 'unknown';
+    const dataset = (sourceIdx > -1 && parts[sourceIdx + 1]) ? parts[sourceIdx + 1] : 'generic';
+    return { source, dataset };
+}
+
+/**
+ * Versioned Schemas
+ *
+ * Each Source/Dataset can carry several versions side by side:
+ *   PK: SOURCE#OSHA   SK: SCHEMA#ita#V0002   { version: 2, effective_from, effective_to, header_fingerprint, header_map, format }
+ * (a bare SCHEMA#{dataset} item from before versioning reads as version 0).
+ *
+ * A file is matched to a version by, in order:
+ *   1. header_fingerprint equal to the file's own headers
+ *   2. the effective range [effective_from, effective_to) containing the file's period
+ *   3. the newest version
+ */
+export async function getSextantSchema(source, dataset, context = {}) {
+    const versions = await getSchemaVersions(source, dataset);
+    if (versions.length === 0) return null;
+    return selectSchemaVersion(versions, context);
+}
+
+export async function getSchemaVersions(source, dataset) {
+    const cacheKey = `${source}/${dataset}`;
+    if (VERSIONS_CACHE.has(cacheKey)) return VERSIONS_CACHE.get(cacheKey);
+
+    let versions = [];
+    try {
+        // UPDATED KEY: SOURCE# instead of AGENCY#
+        const res = await dynamo.send(new QueryCommand({
+            TableName: SEXTANT_TABLE,
+            KeyConditionExpression: "PK = :pk AND begins_with(SK, :sk)",
+            ExpressionAttributeValues: marshall({ ":pk": `SOURCE#${source}`, ":sk": `SCHEMA#${dataset}` })
+        }));
+        versions = (res.Items || [])
+            .map(i => unmarshall(i))
+            // begins_with also matches longer dataset names (odi-96 vs odi-96-01)
+            .filter(s => s.SK === `SCHEMA#${dataset}` || s.SK.startsWith(`SCHEMA#${dataset}#V`))
+            .map(s => ({ ...s, version: Number(s.version ?? 0) }))
+            .sort((a, b) => b.version - a.version);
+        VERSIONS_CACHE.set(cacheKey, versions);
+    } catch (e) {
+        // Not "no maps": the caller would go on without one
+        console.warn("Sextant Lookup Failed:", e);
+        throw e;
+    }
+    return versions;
+}
+
+/**
+ * One exact version, as picked by the splitter and carried in meta.schema. The splitter may
+ * have seen a version published after this container cached the dataset, so a miss re-reads
+ * it once; a version still missing throws, for the message to be retried rather than
+ * normalized without its map.
+ */
+export async function getSchemaByIdentity({ source, dataset, version }) {
+    const find = (versions) => versions.find(v => v.version === Number(version));
+    let schema = find(await getSchemaVersions(source, dataset));
+    if (!schema) {
+        VERSIONS_CACHE.delete(`${source}/${dataset}`);
+        ALL_SCHEMAS = null;
+        schema = find(await getSchemaVersions(source, dataset));
+    }
+    if (!schema) {
+        throw Object.assign(new Error(`Sextant map ${source}/${dataset} v${version} not found`), { retryable: true });
+    }
+    return schema;
+}
+
+/**
+ * context: { headers: [...source headers], period: "YYYY-MM-DD" }
+ */
+export function selectSchemaVersion(versions, { headers, period } = {}) {
+    if (headers && headers.length > 0) {
+        const fingerprint = headerFingerprint(headers);
+        const exact = versions.find(v => v.header_fingerprint === fingerprint);
+        if (exact) return exact;
+    }
+    if (period) {
+        const inRange = versions.find(v =>
+            (!v.effective_from || v.effective_from <= period) &&
+            (!v.effective_to || period < v.effective_to));
+        if (inRange) return inRange;
+    }
+    return versions[0];
+}
+
+/**
+ * Schema Detection
+ *
+ * The folder (estuary/{SOURCE}/{dataset}/) names a map, but files get dropped in the wrong
+ * place and publishers rename columns. The splitter scores the file's header row against
+ * every known map version: the share of the file's headers the map knows about, with an
+ * exact fingerprint match scoring 1. The folder's own map wins unless another map is
+ * clearly better (OVERRIDE_MARGIN), and nothing below MIN_DETECT_SCORE is used at all.
+ *
+ * Returns { schema, source, dataset, score, detected } (detected = the folder was overruled),
+ * or null when no map fits.
+ */
+export async function detectSchema(headers, { source, dataset, period } = {}) {
+    const candidates = await getAllSchemas();
+    const fingerprint = headerFingerprint(headers);
+
+    let best = null;
+    for (const schema of candidates) {
+        const score = schema.header_fingerprint === fingerprint ? 1 : compareHeaders(schema, headers).score;
+        if (!best || score > best.score || (score === best.score && schema.version > best.schema.version)) {
+            best = { schema, score };
+        }
+    }
+
+    const folderVersions = await getSchemaVersions(source, dataset);
+    const folderSchema = folderVersions.length > 0 ? selectSchemaVersion(folderVersions, { headers, period }) : null;
+    const folderScore = folderSchema
+        ? (folderSchema.header_fingerprint === fingerprint ? 1 : compareHeaders(folderSchema, headers).score)
+        : 0;
+
+    if (folderSchema && (!best || best.score < folderScore + OVERRIDE_MARGIN)) {
+        return { schema: folderSchema, source, dataset, score: folderScore, detected: false };
+    }
+    if (!best || best.score < MIN_DETECT_SCORE) {
+        return folderSchema ? { schema: folderSchema, source, dataset, score: folderScore, detected: false } : null;
+    }
+    return { schema: best.schema, ...schemaIdentity(best.schema), score: best.score, detected: true };
+}
+
+/**
+ * How a file's headers line up with one map version:
+ * - unmapped: file headers the map never reads (new or renamed columns)
+ * - missing:  canonical keys none of whose source headers are in the file (keys with no
+ *             source headers, filled from their default alone, are never missing)
+ */
+export function compareHeaders(schema, headers) {
+    const fileHeaders = new Set(headers.map(h => String(h).trim().toLowerCase()));
+    const known = new Set();
+    const missing = [];
+
+    for (const [coreKey, spec] of Object.entries(schema.header_map || {})) {
+        const sources = specSources(spec).map(h => String(h).trim().toLowerCase());
+        if (sources.length === 0) continue;
+        sources.forEach(h => known.add(h));
+        if (!sources.some(h => fileHeaders.has(h))) missing.push(coreKey);
+    }
+
+    const unmapped = headers.filter(h => !known.has(String(h).trim().toLowerCase()));
+    const matched = fileHeaders.size - unmapped.length;
+    return { score: fileHeaders.size > 0 ? matched / fileHeaders.size : 0, unmapped, missing };
+}
+
+function specSources(spec) {
+    if (Array.isArray(spec)) return spec;
+    if (Array.isArray(spec?.from)) return spec.from;
+    return spec?.from ? [spec.from] : [];
+}
+
+export async function getAllSchemas() {
+    if (ALL_SCHEMAS) return ALL_SCHEMAS;
+    const items = [];
+    let lastKey;
+    try {
+        do {
+            const res = await dynamo.send(new ScanCommand({
+                TableName: SEXTANT_TABLE,
+                FilterExpression: "begins_with(SK, :schema)",
+                ExpressionAttributeValues: marshall({ ":schema": "SCHEMA#" }),
+                ExclusiveStartKey: lastKey
+            }));
+            items.push(...(res.Items || []).map(i => unmarshall(i)).map(s => ({ ...s, version: Number(s.version ?? 0) })));
+            lastKey = res.LastEvaluatedKey;
+        } while (lastKey);
+        ALL_SCHEMAS = items;
+    } catch (e) {
+        console.warn("Sextant Scan Failed:", e);
+        throw e;
+    }
+    return items;
+}
+
+/**
+ * { source, dataset, version } of a schema item, as carried in Flume meta.
+ */
+export function schemaIdentity(schema) {
+    return {
+        source: schema.PK.replace(/^SOURCE#/, ""),
+        dataset: schema.SK.replace(/^SCHEMA#/, "").replace(/#V\d+$/, ""),
+        version: schema.version
+    };
+}
+
+/**
+ * Order-insensitive fingerprint of a header row (trimmed, lowercased).
+ */
+export function headerFingerprint(headers) {
+    const canonical = headers.map(h => String(h).trim().toLowerCase()).sort().join("\n");
+    return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16);
+}
+
+/**
+ * The period a source file describes, for effective-range matching: a date or year in the
+ * file name (ita_2024.csv, severe_2015-01-01.csv), else the day it was ingested.
+ */
+export function inferSourcePeriod(sourceKey, ingestedAt) {
+    const name = sourceKey.split('/').pop();
+    const full = name.match(/(19|20)\d{2}[-_]?(0[1-9]|1[0-2])[-_]?(0[1-9]|[12]\d|3[01])/);
+    if (full) {
+        const digits = full[0].replace(/[-_]/g, "");
+        return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+    }
+    const year = name.match(/(?:^|\D)((?:19|20)\d{2})(?:\D|$)/);
+    if (year) return `${year[1]}-01-01`;
+    return ingestedAt ? ingestedAt.slice(0, 10) : null;
+}
+
+/**
+ * Lineage tag stamped into event_details: "{dataset}#V{version}".
+ */
+export function schemaVersionTag(schema) {
+    const { dataset, version } = schemaIdentity(schema);
+    return `${dataset}#V${version}`;
+}
@@ -0,0 +1,65 @@
+/**
+ * Sites (establishments)
+ *
+ * A site is one location of a resolved company: a store number when the record has one
+ * ("Walmart #1234"), otherwise its normalized street address. The processor registers them in
+ * the Anchor as it meets them:
+ *   SITE#{company}#{siteId}          SK: METADATA   { store_number, street, city, state, zip, address_key }
+ *   SITEADDR#{company}#{addressKey}  SK: POINTER    { site_id }
+ * so a later record with only the address lands on the same site, store-numbered or not.
+ *
+ * siteId is the store number ("1234") or "addr-" + a hash of the address key, and is what
+ * events carry in site_id. Lighthouse pages are SITE#{company}_{siteId}.
+ */
+
+import crypto from "node:crypto";
+import { zip5 } from "./geo.js";
+
+export const ADDRESS_SITE_PREFIX = "addr-";
+
+// USPS Publication 28 abbreviations for the words that vary most between publishers
+const STREET_WORDS = {
+    STREET: "ST", AVENUE: "AVE", AV: "AVE", ROAD: "RD", BOULEVARD: "BLVD", DRIVE: "DR",
+    LANE: "LN", COURT: "CT", PLACE: "PL", PARKWAY: "PKWY", HIGHWAY: "HWY", FREEWAY: "FWY",
+    EXPRESSWAY: "EXPY", TERRACE: "TER", CIRCLE: "CIR", SQUARE: "SQ", TRAIL: "TRL", TURNPIKE: "TPKE",
+    NORTH: "N", SOUTH: "S", EAST: "E", WEST: "W",
+    NORTHEAST: "NE", NORTHWEST: "NW", SOUTHEAST: "SE", SOUTHWEST: "SW",
+    ROUTE: "RTE", COUNTY: "CO", STATE: "ST", MOUNT: "MT", FORT: "FT", SAINT: "ST"
+};
+// Everything from a unit designator on is dropped: a site is the building
+const UNIT_PATTERN = /\s(STE|SUITE|UNIT|APT|BLDG|BUILDING|FL|FLOOR|RM|ROOM|DEPT|#)(\s.*)?$/;
+
+/**
+ * "1200 North Main Street, Suite 4" -> "1200 N MAIN ST"
+ */
+export function normalizeStreet(street) {
+    if (!street) return null;
+    const words = String(street).toUpperCase()
+        .replace(/#/g, " # ")
+        .replace(/[.,;']/g, " ")
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(UNIT_PATTERN, "")
+        .split(" ")
+        .filter(Boolean)
+        .map(w => STREET_WORDS[w] || w);
+    // Needs a house number to name a building; PO boxes and bare street names don't
+    if (words.length < 2 || !/\d/.test(words[0])) return null;
+    return words.join(" ");
+}
+
+/**
+ * "1200 N MAIN ST|37902|TN": street plus ZIP (or city when the record has no ZIP) and state.
+ * Null when the street can't be normalized.
+ */
+export function addressKey({ street, city, state, zip }) {
+    const normalized = normalizeStreet(street);
+    if (!normalized || !state) return null;
+    const area = zip5(zip) || (city ? String(city).toUpperCase().trim() : null);
+    if (!area) return null;
+    return `${normalized}|${area}|${String(state).toUpperCase()}`;
+}
+
+export function addressSiteId(key) {
+    return ADDRESS_SITE_PREFIX + crypto.createHash("sha256").update(key).digest("hex").slice(0, 10);
+}
@@ -0,0 +1,168 @@
+/**
+ * Sextant Transforms
+ *
+ * A header_map entry is either the classic alias list (first present header wins):
+ *   "city": ["City", "CITY"]
+ *
+ * or a spec object, applied left to right:
+ *   "street": { "from": ["Address1", "Address2"], "combine": "concat", "separator": " " }
+ *   "event_date": { "from": ["EventDate"], "transform": [{ "op": "date", "formats": ["MM/DD/YYYY"] }] }
+ *   "total_hours_worked": { "from": ["HRS_K"], "transform": [{ "op": "number" }, { "op": "scale", "factor": 1000 }] }
+ *   "establishment_type": { "from": ["establishment_type"], "transform": [{ "op": "lookup", "table": { "1": "Private" } }] }
+ *   "zip": { "from": ["Zip"], "transform": [{ "op": "regex", "pattern": "^(\\d{5})" }], "default": null }
+ *
+ * In spec objects blank strings count as missing. A step that can't make sense of its input (a date that
+ * matches none of the formats, "N/A" cast to a number) yields null, and `default` applies.
+ */
+
+const OPS = {
+    trim: (v) => String(v).trim(),
+    upper: (v) => String(v).toUpperCase(),
+    lower: (v) => String(v).toLowerCase(),
+    number: toNumber,
+    integer: (v) => {
+        const n = toNumber(v);
+        return n === null ? null : Math.trunc(n);
+    },
+    scale: (v, step) => {
+        const n = toNumber(v);
+        return n === null ? null : n * (step.factor ?? 1);
+    },
+    date: (v, step) => parseDate(String(v), step.formats || []),
+    lookup: (v, step) => {
+        const key = String(v).trim();
+        if (Object.hasOwn(step.table || {}, key)) return step.table[key];
+        return step.keep_unmatched ? v : null;
+    },
+    regex: (v, step) => {
+        const match = String(v).match(new RegExp(step.pattern, step.flags || ""));
+        if (!match) return null;
+        return match[step.group ?? (match.length > 1 ? 1 : 0)] ?? null;
+    },
+    replace: (v, step) => String(v).replace(new RegExp(step.pattern, step.flags ?? "g"), step.with ?? "")
+};
+
+/**
+ * Applies a whole header_map to one raw row. Returns { canonicalKey: value } for every
+ * key that produced a value (after defaults); unmatched keys are left out, as before.
+ */
+export function applyHeaderMap(rawRow, map) {
+    const normalized = {};
+    for (const [coreKey, spec] of Object.entries(map)) {
+        const value = applySpec(rawRow, spec, coreKey);
+        if (value !== undefined && value !== null) normalized[coreKey] = value;
+    }
+    return normalized;
+}
+
+function applySpec(rawRow, spec, coreKey) {
+    // Classic alias list: unchanged semantics (any defined value wins, even a blank one)
+    if (Array.isArray(spec)) return spec.map(h => rawRow[h]).find(v => v !== undefined);
+
+    const from = Array.isArray(spec.from) ? spec.from : [spec.from].filter(Boolean);
+    let value;
+    if (spec.combine === "concat") {
+        const parts = from.map(h => rawRow[h]).filter(isPresent).map(v => String(v).trim());
+        value = parts.length > 0 ? parts.join(spec.separator ?? " ") : undefined;
+    } else {
+        value = firstPresent(rawRow, from);
+    }
+
+    for (const step of spec.transform || []) {
+        if (!isPresent(value)) break;
+        const op = OPS[step.op];
+        if (!op) throw new Error(`Unknown Sextant transform "${step.op}" for ${coreKey}`);
+        value = op(value, step);
+    }
+
+    if (!isPresent(value) && spec.default !== undefined) return spec.default;
+    return value;
+}
+
+function firstPresent(rawRow, headers) {
+    for (const header of headers) {
+        if (isPresent(rawRow[header])) return rawRow[header];
+    }
+    return undefined;
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null && !(typeof value === "string" && value.trim() === "");
+}
+
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    const cleaned = String(value).replace(/[$,\s]/g, "");
+    if (cleaned === "" || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+// --- DATES ---
+
+const DATE_TOKENS = {
+    YYYY: { re: "(\\d{4})", part: "year" },
+    YY: { re: "(\\d{2})", part: "year2" },
+    MM: { re: "(\\d{1,2})", part: "month" },
+    M: { re: "(\\d{1,2})", part: "month" },
+    DD: { re: "(\\d{1,2})", part: "day" },
+    D: { re: "(\\d{1,2})", part: "day" },
+    HH: { re: "(\\d{1,2})", part: "hour" },
+    mm: { re: "(\\d{2})", part: "minute" },
+    ss: { re: "(\\d{2})", part: "second" }
+};
+const TOKEN_PATTERN = /YYYY|YY|MM|M|DD|D|HH|mm|ss/g;
+const FORMAT_CACHE = new Map();
+
+/**
+ * Parses a date against explicit formats (e.g. "MM/DD/YYYY", "YYYYMMDD", "M/D/YY HH:mm").
+ * Returns "YYYY-MM-DD", or "YYYY-MM-DDTHH:mm:ss" when the format has a time part.
+ */
+export function parseDate(value, formats) {
+    const text = value.trim();
+    for (const format of formats) {
+        const { regex, parts } = compileFormat(format);
+        const match = text.match(regex);
+        if (!match) continue;
+
+        const p = {};
+        parts.forEach((part, i) => { p[part] = Number(match[i + 1]); });
+        const year = p.year ?? (p.year2 !== undefined ? (p.year2 < 50 ? 2000 + p.year2 : 1900 + p.year2) : null);
+        const month = p.month ?? 1;
+        const day = p.day ?? 1;
+        if (year === null || month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) continue;
+
+        const date = `${year}-${pad(month)}-${pad(day)}`;
+        if (p.hour === undefined) return date;
+        return `${date}T${pad(p.hour)}:${pad(p.minute ?? 0)}:${pad(p.second ?? 0)}`;
+    }
+    return null;
+}
+
+function compileFormat(format) {
+    if (FORMAT_CACHE.has(format)) return FORMAT_CACHE.get(format);
+    const parts = [];
+    let source = "";
+    let last = 0;
+    for (const match of format.matchAll(TOKEN_PATTERN)) {
+        source += escapeRegex(format.slice(last, match.index)) + DATE_TOKENS[match[0]].re;
+        parts.push(DATE_TOKENS[match[0]].part);
+        last = match.index + match[0].length;
+    }
+    source += escapeRegex(format.slice(last));
+    // Unpadded tokens next to each other ("YYYYMMDD") must not be greedy-ambiguous
+    const compiled = { regex: new RegExp(`^${source.replace(/\(\\d\{1,2\}\)(?=\()/g, "(\\d{2})")}$`), parts };
+    FORMAT_CACHE.set(format, compiled);
+    return compiled;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runQuery, fetchRows, PATH_ROOT } from './orchestrate_pipeline.js';
+import { getAllSchemas, schemaIdentity } from './lib/sextant.js';
+import { identityPrefix, identityKeySql } from './lib/identity.js';
+
+/**
+ * Event Identity Migration
+ *
+ * Events processed before a dataset's Sextant map had identity_keys carry row-hash ids, so the
+ * first republished file after adding keys would duplicate them. This rewrites their ids in
+ * silver.events to the identity-key ids the processor now builds (lib/identity.js), one
+ * dataset at a time (Athena/SQL/migrate_event_identity.sql). Events whose rows were already
+ * republished collapse into the latest one.
+ *
+ * Run it once after adding identity_keys to a map and before the next MERGE; re-running is harmless.
+ *
+ * Usage:
+ *   node migrate_event_ids.js [--dataset severe-incident] [--dry-run]
+ */
+
+const MIGRATE_FILE = path.join(PATH_ROOT, "migrate_event_identity.sql");
+
+export async function migrateEventIds({ dataset: only, dryRun = false } = {}) {
+    const targets = identityDatasets(await getAllSchemas()).filter(t => !only || t.dataset === only);
+    if (targets.length === 0) {
+        console.log("🟢 No Sextant maps with identity_keys to migrate.");
+        return [];
+    }
+
+    const template = fs.readFileSync(MIGRATE_FILE, 'utf-8').replace(/--.*$/gm, '').trim().replace(/;\s*$/, '');
+    const summary = [];
+
+    for (const { schema, source, dataset, keys } of targets) {
+        const parts = {
+            "{{PREFIX}}": identityPrefix(schema).replace(/'/g, "''"),
+            "{{KEY}}": keys.map(identityKeySql).join(" || '|' || "),
+            "{{SOURCE}}": source.toUpperCase().replace(/'/g, "''"),
+            "{{DATASET}}": dataset.replace(/'/g, "''"),
+            "{{KEYS_PRESENT}}": keys.map(k => `${identityKeySql(k)} IS NOT NULL`).join(" AND ")
+        };
+        const sql = Object.entries(parts).reduce((s, [token, value]) => s.split(token).join(value), template);
+        const keyed = sql.match(/FROM \(([\s\S]*)\) keyed/)[1];
+
+        // Events with every key; records = the distinct ids they collapse to
+        const countQuery = await runQuery(`IDENTITY IMPACT ${dataset}`, `
+            SELECT COUNT(*) AS events, COUNT(DISTINCT new_id) AS records FROM (${keyed})`);
+        const [{ events, records }] = await fetchRows(countQuery);
+        console.log(`   ${source}/${dataset} (${keys.join(", ")}): ${events} events -> ${records} records`);
+        summary.push({ source, dataset, events: Number(events), records: Number(records) });
+
+        if (!dryRun && Number(events) > 0) await runQuery(`IDENTITY MIGRATE ${dataset}`, sql);
+    }
+
+    console.log(dryRun ? "🔍 Dry run; nothing rewritten." : "🏁 Event identity migration complete.");
+    return summary;
+}
+
+/**
+ * One entry per dataset whose map versions agree on identity_keys.
+ */
+function identityDatasets(schemas) {
+    const byDataset = new Map();
+    for (const schema of schemas) {
+        const { source, dataset } = schemaIdentity(schema);
+        const key = `${source}/${dataset}`;
+        if (!byDataset.has(key)) byDataset.set(key, []);
+        byDataset.get(key).push(schema);
+    }
+
+    const targets = [];
+    for (const [key, versions] of byDataset) {
+        const keyed = versions.filter(v => Array.isArray(v.identity_keys) && v.identity_keys.length > 0);
+        if (keyed.length === 0) continue;
+        const distinct = new Set(versions.map(v => JSON.stringify(v.identity_keys || [])));
+        if (distinct.size > 1) {
+            console.warn(`⚠️ Skipping ${key}: its map versions disagree on identity_keys`);
+            continue;
+        }
+        const { source, dataset } = schemaIdentity(keyed[0]);
+        targets.push({ schema: keyed[0], source, dataset, keys: keyed[0].identity_keys });
+    }
+    return targets;
+}
+
+// Auto-run only if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const datasetIndex = args.indexOf("--dataset");
+    migrateEventIds({
+        dataset: datasetIndex >= 0 ? args[datasetIndex + 1] : undefined,
+        dryRun: args.includes("--dry-run")
+    }).catch(e => {
+        console.error("💀 Migration failed:", e);
+        process.exit(1);
+    });
+}
@@ -10,6 +10,10 @@ import { fileURLToPath } from 'url';
 // We will EXECUTE it as a child process or import it if we refactor. 
 // For now, let's keep it simple: We call the Athena SDK directly here or import the file.
 import { orchestrate } from './orchestrate_pipeline.js';
+import { getRunsForSource, getRecentRuns, getRunOutputs } from './lib/ledger.js';
+import { listDrift } from './lib/drift.js';
+import { backfillCompanies } from './backfill_companies.js';
+import { listRuns, rollbackTo } from './lib/coast.js';
 
 const s3 = new S3Client({});
 const lambda = new LambdaClient({});
@@ -28,7 +32,17 @@ export const handler = async (event) => {
             case "resolveQuarantine":
                 return await resolveItems(event.items);
             case "runPipeline":
-                return await runPipelineJob();
+                return await runPipelineJob(event.full);
+            case "getLedger":
+                return await getLedger(event.sourceKey, event.runId, event.limit);
+            case "listDrift":
+                return { drift: await listDrift(event.limit || 100) };
+            case "backfillCompanies":
+                return await backfillCompanies({ changes: event.changes, since: event.since, dryRun: event.dryRun });
+            case "listCoastRuns":
+                return { runs: (await listRuns()).map(({ run_id, mode, created_at }) => ({ run_id, mode, created_at })) };
+            case "rollbackCoast":
+                return await rollbackTo(event.runId);
             default:
                 throw new Error(`Unknown action: ${event.action}`);
         }
@@ -170,9 +184,26 @@ async function resolveItems(items) {
     return { success: true, count: items.length, stagingKey };
 }
 
-async function runPipelineJob() {
+async function runPipelineJob(full) {
     console.log("Triggering Orchestrator...");
-    // We invoke the orchestrate function we imported
-    await orchestrate(); // This logs to CloudWatch
-    return { success: true, message: "Pipeline Execution Completed." };
+    // We invoke the orchestrate function we imported; full re-merges the reef archive too
+    const run = await orchestrate({ full: !!full }); // This logs to CloudWatch
+    return { success: true, message: "Pipeline Execution Completed.", ...run };
+}
+
+/**
+ * Per-file ingest status from the run ledger.
+ * With a sourceKey: every run of that file. Without: the most recent runs across all files.
+ * With a sourceKey + runId: that run, plus every parquet file it produced.
+ */
+async function getLedger(sourceKey, runId, limit) {
+    if (sourceKey && runId) {
+        const runs = (await getRunsForSource(sourceKey, limit || 20)).filter(r => r.run_id === runId);
+        const outputKeys = await getRunOutputs(sourceKey, runId);
+        return { runs, count: runs.length, output_keys: outputKeys };
+    }
+    const runs = sourceKey
+        ? await getRunsForSource(sourceKey, limit || 20)
+        : await getRecentRuns(limit || 50);
+    return { runs, count: runs.length };
 }
@@ -1,8 +1,11 @@
-import { AthenaClient, StartQueryExecutionCommand, GetQueryExecutionCommand } from "@aws-sdk/client-athena";
+import { AthenaClient, StartQueryExecutionCommand, GetQueryExecutionCommand, GetQueryResultsCommand } from "@aws-sdk/client-athena";
 import { S3Client, ListObjectsV2Command, DeleteObjectsCommand } from "@aws-sdk/client-s3";
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { exportHierarchy, companyFamilyFilter } from './lib/hierarchy.js';
+import { runPrefix, describeUnload, writeTombstones, publishRun } from './lib/coast.js';
+import { listReefFiles, reefPartitions, reefPath, archiveReefFiles, recordMerge, REEF_PREFIX, ARCHIVE_PREFIX } from './lib/reef.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,17 +29,50 @@ const PATH_ROOT = (() => {
 })();
 
 const INIT_FILE = path.join(PATH_ROOT, "init_reef.sql");
+const INIT_FAILED_FILE = path.join(PATH_ROOT, "init_failed.sql");
+const INIT_HIERARCHY_FILE = path.join(PATH_ROOT, "init_company_hierarchy.sql");
 const MERGE_FILE = path.join(PATH_ROOT, "merge_events.sql");
+const INIT_LINKS_FILE = path.join(PATH_ROOT, "init_event_links.sql");
+const LINK_FILE = path.join(PATH_ROOT, "link_events.sql");
+const INIT_CLUSTERS_FILE = path.join(PATH_ROOT, "init_event_clusters.sql");
+const CLUSTER_FILE = path.join(PATH_ROOT, "cluster_events.sql");
+const TOUCHED_FILE = path.join(PATH_ROOT, "touched_entities.sql");
 const QUERIES_DIR = path.join(PATH_ROOT, "queries");
 
+// Reef files per MERGE batch; their paths appear twice in the touched and link queries, which
+// still keeps each under Athena's 256KB limit
+const MERGE_BATCH_FILES = 500;
+
+// Each cluster round moves primaries one link further; chains longer than this are left split
+const MAX_CLUSTER_ROUNDS = 20;
+
 // Ordered Execution
 const UNLOAD_ORDER = [
     'unload_nations.sql',
     'unload_states.sql',
     'unload_cities.sql',
-    'unload_companies.sql'
+    'unload_counties.sql',
+    'unload_metros.sql',
+    'unload_companies.sql',
+    'unload_sites.sql',
+    'unload_company_review_queue.sql'   // Not for the Lighthouse: feeds Anchor/review-queue-lambda.js
 ];
 
+// Entity unloads an incremental run limits to what its MERGE touched (touched_entities.sql kinds).
+// column names the entity in the unload's rows; touched values of entityKind (default: kind) it
+// no longer produces get tombstones, which the Lighthouse deletes.
+const SCOPED_UNLOADS = {
+    'unload_states.sql': { kind: 'state', column: 'state', filter: list => `state IN (${list})` },
+    'unload_cities.sql': { kind: 'city', column: 'city_slug', filter: list => `city_slug IN (${list})` },
+    'unload_counties.sql': { kind: 'county', column: 'county_fips', filter: list => `county_fips IN (${list})` },
+    'unload_metros.sql': { kind: 'metro', column: 'metro_code', filter: list => `metro_code IN (${list})` },
+    // Whole hierarchies, so parents' consolidated totals stay right
+    'unload_companies.sql': { kind: 'company', column: 'company_slug', filter: list => companyFamilyFilter(list) },
+    'unload_sites.sql': { kind: 'company', entityKind: 'site', column: 'site_slug', filter: list => `company_slug IN (${list})` }
+};
+// Past this many touched values of one kind, its unload runs in full instead
+const SCOPED_UNLOAD_LIMIT = 1000;
+
 const athena = new AthenaClient({ region: REGION });
 const s3 = new S3Client({ region: REGION });
 
@@ -116,7 +152,7 @@ async function runQuery(name, sql) {
                 const time = stats.EngineExecutionTimeInMillis;
                 const bytes = stats.DataScannedInBytes;
                 console.log(`✅ [${name}] COMPLETE (${time}ms, ${bytes} bytes)`);
-                return true;
+                return queryId;
             } else if (state === 'FAILED' || state === 'CANCELLED') {
                 console.error(`❌ [${name}] FAILED: ${reason}`);
                 throw new Error(`Query ${name} failed: ${reason}`);
@@ -138,19 +174,101 @@ function extractCoreQuery(sqlContent, type) {
     return match;
 }
 
+// DELETE FROM / INSERT INTO / MERGE INTO a silver table, fully qualified as for the MERGE
+function qualifyTarget(sql, table) {
+    return sql.replace(new RegExp(`^((?:DELETE FROM|INSERT INTO|MERGE INTO)\\s+)${table}\\b`, 'i'), `$1"${CATALOG}"."${DATABASE}"."${table}"`);
+}
+
 function extractS3Target(sqlStatement) {
     const match = sqlStatement.match(/TO\s+'(s3:\/\/[^']+)'/i);
     return match ? match[1] : null;
 }
 
-async function orchestrate() {
-    console.log("🌊 STARTING PIPELINE ORCHESTRATION 🌊");
+/**
+ * Result rows of a finished SELECT, as objects keyed by column name (all values are strings).
+ */
+async function fetchRows(queryId) {
+    const rows = [];
+    let columns = null;
+    let nextToken;
+    do {
+        const res = await athena.send(new GetQueryResultsCommand({ QueryExecutionId: queryId, NextToken: nextToken }));
+        if (!columns) columns = res.ResultSet.ResultSetMetadata.ColumnInfo.map(c => c.Name);
+        for (const row of res.ResultSet.Rows) {
+            const values = row.Data.map(d => d.VarCharValue ?? null);
+            // The first row of the first page repeats the header
+            if (rows.length === 0 && !nextToken && values.every((v, i) => v === columns[i])) continue;
+            rows.push(Object.fromEntries(columns.map((c, i) => [c, values[i]])));
+        }
+        nextToken = res.NextToken;
+    } while (nextToken);
+    return rows;
+}
+
+/**
+ * Runs one unload over a slice of Silver (filter: SQL predicate on events, e.g.
+ * "company_slug IN ('walmart-inc')", or null for all of it) into coast/{scopePrefix}{type}/.
+ * expected: { column, values } of entities that should come out of it; those that don't
+ * (every event moved away) get a tombstones.json alongside.
+ * Returns its { file, type, scope, rows, keys, tombstones } for publishRun() (lib/coast.js),
+ * which is what hands it to the Lighthouse.
+ */
+async function runScopedUnload(file, filter, scopePrefix, expected = null) {
+    const raw = fs.readFileSync(path.join(QUERIES_DIR, file), 'utf-8');
+    let sql = extractCoreQuery(raw, 'UNLOAD');
+
+    const source = `"${CATALOG}"."${DATABASE}"."events"`;
+    sql = sql.replace(/"silver"\."events"/g, filter ? `(SELECT * FROM ${source} WHERE ${filter})` : source);
+    sql = sql.replace(/(TO\s+'s3:\/\/[^\/']+\/coast\/)/i, `$1${scopePrefix}`);
+
+    const s3Target = extractS3Target(sql);
+    if (!s3Target || !s3Target.includes(`/coast/${scopePrefix}`)) {
+        throw new Error(`${file} does not unload to coast/; cannot scope it`);
+    }
+    await cleanS3Target(s3Target);
+    await runQuery(`${file} [${scopePrefix}]`, sql);
+
+    const { type, keys, rows, present } = await describeUnload(s3Target, expected && expected.column);
+    const gone = expected ? [...new Set(expected.values)].filter(v => !present.has(v)) : [];
+    if (gone.length > 0) keys.push(await writeTombstones(s3Target, expected.column, gone));
+    console.log(`   ${rows} ${type} rows in ${keys.length} files${gone.length ? `, ${gone.length} tombstones` : ""}`);
+    return { file, type, scope: filter ? "scoped" : "full", rows, keys, tombstones: gone.length };
+}
+
+/**
+ * Incremental by default: merges only the parquet still in reef/ (see lib/reef.js), archives
+ * it, and re-unloads just the states, cities, counties, metros and companies (with their sites)
+ * that parquet touched. full: true re-merges reef plus the whole archive and re-unloads
+ * everything, for rebuilds. Either way the unloads land in coast/run={runId}/ and are only
+ * published to the Lighthouse once they pass validation.
+ */
+async function orchestrate({ full = false } = {}) {
+    console.log(`🌊 STARTING PIPELINE ORCHESTRATION${full ? " (FULL REBUILD)" : ""} 🌊`);
     const start = Date.now();
+    const runId = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
 
     try {
         // 1. READ SQL FILES
         const initSqlRaw = fs.readFileSync(INIT_FILE, 'utf-8');
         const initSql = extractCoreQuery(initSqlRaw, 'CREATE');
+        // Same columns and partitions as reef, over the files already merged
+        const initArchiveSql = initSql
+            .replace(/(EXISTS\s+)reef\b/i, '$1reef_archive')
+            .replace(`/${REEF_PREFIX}'`, `/${ARCHIVE_PREFIX}'`);
+        const initFailedSql = extractCoreQuery(fs.readFileSync(INIT_FAILED_FILE, 'utf-8'), 'CREATE');
+        const initHierarchySql = extractCoreQuery(fs.readFileSync(INIT_HIERARCHY_FILE, 'utf-8'), 'CREATE');
+        const initLinksSql = extractCoreQuery(fs.readFileSync(INIT_LINKS_FILE, 'utf-8'), 'CREATE');
+        const linkSqlRaw = fs.readFileSync(LINK_FILE, 'utf-8');
+        const clearLinksSql = qualifyTarget(extractCoreQuery(linkSqlRaw, 'DELETE'), 'event_links');
+        const linkSql = qualifyTarget(extractCoreQuery(linkSqlRaw, 'INSERT'), 'event_links');
+        const initClustersSql = extractCoreQuery(fs.readFileSync(INIT_CLUSTERS_FILE, 'utf-8'), 'CREATE');
+        const clusterSqlRaw = fs.readFileSync(CLUSTER_FILE, 'utf-8');
+        const clearClustersSql = qualifyTarget(extractCoreQuery(clusterSqlRaw, 'DELETE'), 'event_clusters');
+        const seedClustersSql = qualifyTarget(extractCoreQuery(clusterSqlRaw, 'INSERT'), 'event_clusters');
+        const pendingClustersSql = extractCoreQuery(clusterSqlRaw, 'SELECT');
+        const spreadClustersSql = qualifyTarget(extractCoreQuery(clusterSqlRaw, 'MERGE'), 'event_clusters');
+
+        const touchedSql = extractCoreQuery(fs.readFileSync(TOUCHED_FILE, 'utf-8'), 'WITH');
 
         const mergeSqlRaw = fs.readFileSync(MERGE_FILE, 'utf-8');
         let mergeSql = extractCoreQuery(mergeSqlRaw, 'MERGE');
@@ -162,47 +280,153 @@ async function orchestrate() {
         );
 
         console.log(`📋 Plan:`);
-        console.log(`   1. Init Reef: ${path.basename(INIT_FILE)}`);
-        console.log(`   2. Repair Reef (MSCK)`);
-        console.log(`   3. Merge (Blocking): ${path.basename(MERGE_FILE)}`);
-        console.log(`   4. Unloads: ${UNLOAD_ORDER.join(' -> ')}`);
+        console.log(`   1. Init Reef + Archive: ${path.basename(INIT_FILE)}, snapshot reef/`);
+        console.log(`   2. Register partitions (${full ? "MSCK" : "new reef files"}) + Failed (MSCK)`);
+        console.log(`   3. Merge (Blocking): ${path.basename(MERGE_FILE)} over ${full ? "reef + reef_archive" : "the snapshot"}, relinking each batch (${path.basename(LINK_FILE)}), archive it, then cluster: ${path.basename(CLUSTER_FILE)}`);
+        console.log(`   4. Export company hierarchy, then Unloads${full ? "" : " (touched entities only)"} into coast/${runPrefix(runId)}: ${UNLOAD_ORDER.join(' -> ')}`);
+        console.log(`   5. Validate row counts and publish coast/current.json`);
 
         // PHASE 1: INIT REEF
         console.log("\n--- PHASE 1: INIT STAGING (Reef) ---");
         await runQuery("INIT REEF", initSql);
-        await runQuery("REPAIR REEF", "MSCK REPAIR TABLE reef");
+        await runQuery("INIT REEF ARCHIVE", initArchiveSql);
+
+        // Files landing after this listing wait for the next run
+        const files = await listReefFiles();
+        const partitions = reefPartitions(files);
+        console.log(`📥 ${files.length} new reef files across ${partitions.length} partitions`);
+
+        if (full) {
+            await runQuery("REPAIR REEF", "MSCK REPAIR TABLE reef");
+            await runQuery("REPAIR REEF ARCHIVE", "MSCK REPAIR TABLE reef_archive");
+        } else if (partitions.length > 0) {
+            const specs = partitions.map(p => `PARTITION (partition_source = '${p.source}', partition_year = '${p.year}')`);
+            await runQuery("REGISTER REEF PARTITIONS", `ALTER TABLE reef ADD IF NOT EXISTS ${specs.join(' ')}`);
+        }
+        // Failed rows aren't merged anywhere, but registering the partitions keeps them queryable
+        await runQuery("INIT FAILED", initFailedSql);
+        await runQuery("REPAIR FAILED", "MSCK REPAIR TABLE failed");
 
         // PHASE 2: MERGE
         console.log("\n--- PHASE 2: MERGE TO DEEP ---");
-        await runQuery("MERGE", mergeSql);
+        const touched = { state: new Set(), city: new Set(), county: new Set(), metro: new Set(), company: new Set(), site: new Set() };
+        // Cross-source links (duplicates, shared inspections) of the events just merged, against all of Silver
+        await runQuery("INIT LINKS", initLinksSql);
+        const relink = async (label, eventIds) => {
+            await runQuery(`CLEAR LINKS${label}`, clearLinksSql.split("{{TOUCHED}}").join(eventIds));
+            await runQuery(`LINK EVENTS${label}`, linkSql.split("{{TOUCHED}}").join(eventIds));
+        };
+        if (full) {
+            await runQuery("MERGE (FULL)", mergeSql.split("{{REEF}}").join("(SELECT * FROM reef UNION ALL SELECT * FROM reef_archive)"));
+            await relink(" (FULL)", `(SELECT event_id FROM "${CATALOG}"."${DATABASE}"."events")`);
+        } else {
+            const batches = Math.ceil(files.length / MERGE_BATCH_FILES);
+            for (let b = 0; b < batches; b++) {
+                const batch = files.slice(b * MERGE_BATCH_FILES, (b + 1) * MERGE_BATCH_FILES);
+                // Before the MERGE, while Silver still has the old versions of these events
+                const touchedQuery = await runQuery(`TOUCHED ${b + 1}/${batches}`, touchedSql.split("{{REEF}}").join(reefSource(batch)));
+                for (const { kind, value } of await fetchRows(touchedQuery)) touched[kind].add(value);
+                await runQuery(`MERGE ${b + 1}/${batches}`, mergeSql.split("{{REEF}}").join(reefSource(batch)));
+                await relink(` ${b + 1}/${batches}`, `(SELECT event_id FROM ${reefSource(batch)})`);
+            }
+            if (batches === 0) console.log("🟢 Reef is empty; nothing to merge.");
+        }
+
+        const { archived, skipped } = await archiveReefFiles(files);
+        console.log(`📦 Archived ${archived.length} reef files${skipped.length ? ` (${skipped.length} rewritten since the snapshot, left for the next run)` : ""}`);
+
+        // Clusters over all of event_links; unloads collapse them to their primaries
+        if (full || files.length > 0) {
+            await runQuery("INIT CLUSTERS", initClustersSql);
+            await runQuery("CLEAR CLUSTERS", clearClustersSql);
+            await runQuery("SEED CLUSTERS", seedClustersSql);
+            for (let round = 1; ; round++) {
+                const [{ pending }] = await fetchRows(await runQuery(`CLUSTER PENDING ${round}`, pendingClustersSql));
+                if (Number(pending) === 0) break;
+                if (round > MAX_CLUSTER_ROUNDS) {
+                    console.warn(`⚠️ ${pending} events still moving cluster after ${MAX_CLUSTER_ROUNDS} rounds; leaving them`);
+                    break;
+                }
+                await runQuery(`CLUSTER ${round}`, spreadClustersSql);
+            }
+        }
+
+        await recordMerge({
+            run_id: runId,
+            mode: full ? "full" : "incremental",
+            reef_files: files.length,
+            partitions: partitions.map(p => `${p.source}/${p.year}`),
+            touched: Object.fromEntries(Object.entries(touched).map(([kind, values]) => [kind, values.size])),
+            archived_keys: archived,
+            skipped_keys: skipped,
+            merged_at: new Date().toISOString()
+        });
 
         // PHASE 3: UNLOADS
         console.log("\n--- PHASE 3: UNLOAD TO COAST ---");
+        // Company roll-ups read the Anchor hierarchy, snapshotted for Athena first
+        await exportHierarchy();
+        await runQuery("INIT HIERARCHY", initHierarchySql);
+        const prefix = runPrefix(runId);
+        const unloads = [];
         for (const file of UNLOAD_ORDER) {
             console.log(`\n🔹 Processing ${file}...`);
             const raw = fs.readFileSync(path.join(QUERIES_DIR, file), 'utf-8');
             let sql = extractCoreQuery(raw, 'UNLOAD');
 
-            // FORCE FULLY QUALIFIED SOURCE
-            sql = sql.replace(
-                /(FROM\s+)(events)/i,
-                `$1"${CATALOG}"."${DATABASE}"."events"`
-            );
-
-            // Safety: Clean S3 Target BEFORE Unload
+            // Not for the Lighthouse (the review queue): straight to its own target
             const s3Target = extractS3Target(sql);
-            if (s3Target) {
-                await cleanS3Target(s3Target);
-            } else {
-                console.warn(`⚠️ No S3 target found in SQL. Skipping cleanup.`);
+            if (!s3Target || !s3Target.includes('/coast/')) {
+                // FORCE FULLY QUALIFIED SOURCE
+                sql = sql.replace(
+                    /(FROM\s+)(events)/i,
+                    `$1"${CATALOG}"."${DATABASE}"."events"`
+                );
+                if (s3Target) {
+                    await cleanS3Target(s3Target);
+                } else {
+                    console.warn(`⚠️ No S3 target found in SQL. Skipping cleanup.`);
+                }
+                await runQuery(file, sql);
+                continue;
             }
 
-            // Run Query
-            await runQuery(file, sql);
+            if (!full && files.length === 0) {
+                console.log(`⏭️ Nothing merged; skipping ${file}`);
+                continue;
+            }
+            // Incremental runs refresh only the touched entities
+            const scoped = SCOPED_UNLOADS[file];
+            if (!full && scoped) {
+                const values = [...touched[scoped.kind]];
+                if (values.length === 0) {
+                    console.log(`⏭️ No ${scoped.kind} touched; skipping ${file}`);
+                    continue;
+                }
+                const expected = { column: scoped.column, values: [...touched[scoped.entityKind || scoped.kind]] };
+                if (values.length <= SCOPED_UNLOAD_LIMIT) {
+                    console.log(`   ${values.length} ${scoped.kind} value(s) touched`);
+                    unloads.push(await runScopedUnload(file, scoped.filter(sqlList(values)), prefix, expected));
+                    continue;
+                }
+                console.log(`   ${values.length} ${scoped.kind} values touched; unloading in full`);
+                unloads.push(await runScopedUnload(file, null, prefix, expected));
+                continue;
+            }
+            unloads.push(await runScopedUnload(file, null, prefix));
+        }
+
+        // PHASE 4: PUBLISH
+        if (unloads.length > 0) {
+            console.log("\n--- PHASE 4: PUBLISH ---");
+            await publishRun({ runId, mode: full ? "full" : "incremental", unloads });
+        } else {
+            console.log("\n🟢 Nothing to publish; the Lighthouse keeps the current run.");
         }
 
         const duration = ((Date.now() - start) / 1000).toFixed(1);
         console.log(`\n🏁 PIPELINE COMPLETE in ${duration}s`);
+        return { runId, mode: full ? "full" : "incremental", filesMerged: files.length, archived: archived.length, published: unloads.length > 0 };
 
     } catch (e) {
         console.error("\n💀 PIPELINE ABORTED due to failure.");
@@ -211,11 +435,26 @@ async function orchestrate() {
     }
 }
 
-export { orchestrate };
+/**
+ * The reef rows of one batch of files, pruned to their partitions first.
+ */
+function reefSource(files) {
+    const partitions = reefPartitions(files);
+    return `(SELECT * FROM reef
+        WHERE partition_source IN (${sqlList(partitions.map(p => p.source))})
+          AND partition_year IN (${sqlList(partitions.map(p => p.year))})
+          AND "$path" IN (${sqlList(files.map(f => reefPath(f.key)))}))`;
+}
+
+function sqlList(values) {
+    return [...new Set(values)].map(v => `'${String(v).replace(/'/g, "''")}'`).join(', ');
+}
+
+export { orchestrate, runQuery, fetchRows, runScopedUnload, CATALOG, DATABASE, PATH_ROOT };
 
 // Auto-run only if called directly
 // Auto-run only if called directly
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    orchestrate();
+    orchestrate({ full: process.argv.includes("--full") });
 }
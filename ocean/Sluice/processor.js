@@ -1,21 +1,27 @@
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { DynamoDBClient, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand, QueryCommand, PutItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
 import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
 import crypto from "node:crypto";
 import fs from 'fs';
 import parquets from '@dsnp/parquetjs';
+import { resolveSourcePath, getSextantSchema, getSchemaByIdentity, inferSourcePeriod, schemaVersionTag } from './lib/sextant.js';
+import { recordLanded, hasLanded } from './lib/ledger.js';
+import { applyHeaderMap } from './lib/transforms.js';
+import { candidateKeys, scoreNames, AUTO_LINK_SCORE, AMBIGUITY_MARGIN } from './lib/matchkeys.js';
+import { IDENTIFIER_FIELDS, normalizeIdentifier } from './lib/identifiers.js';
+import { addressKey, addressSiteId, ADDRESS_SITE_PREFIX } from './lib/sites.js';
+import { eventIdentity } from './lib/identity.js';
+import { neighborCells, distanceKm, zip5, parseCoordinates, MAX_GEO_KM, MIN_ZIP_SHARE } from './lib/geo.js';
 
 const s3 = new S3Client({});
 const dynamo = new DynamoDBClient({});
 
 const ANCHOR_TABLE = "VentureOS-Anchor";
-const SEXTANT_TABLE = "VentureOS-Sextant";
 // UPDATED: Using the Master Ocean Bucket
 const OCEAN_BUCKET = "venture-os-ocean";
-const SALT = "VOS_SALT_v1";
 
-const SEXTANT_CACHE = new Map();
 const ANCHOR_CACHE = new Map();
+const NOT_COMPANY = "NOTCOMPANY"; // Alias target for names reviewed as "not a company" (Anchor/add-company.js)
 
 // State name to abbreviation mapping
 const STATE_ABBREVS = {
@@ -120,6 +126,10 @@ const PARQUET_SCHEMA = {
     state: { type: 'UTF8', optional: true },
     city: { type: 'UTF8', optional: true },
     city_slug: { type: 'UTF8', optional: true },
+    county_fips: { type: 'UTF8', optional: true },
+    county_name: { type: 'UTF8', optional: true },
+    metro_code: { type: 'UTF8', optional: true },      // CBSA
+    metro_name: { type: 'UTF8', optional: true },
     company_name: { type: 'UTF8', optional: true }, // Promoted to Top-Level
     company_slug: { type: 'UTF8', optional: true },
     site_id: { type: 'UTF8', optional: true },
@@ -141,74 +151,210 @@ const PARQUET_SCHEMA = {
     quarantine_reason: { type: 'UTF8', optional: true }
 };
 
+// Rows (or whole messages) the processor couldn't handle. Kept apart from the event schema
+// so nothing has to be normalized to be recorded: failed/partition_source=X/partition_year=Y/
+const FAILED_SCHEMA = {
+    source_key: { type: 'UTF8', optional: true },
+    run_id: { type: 'UTF8', optional: true },          // meta.ingested_at of the splitter run
+    message_id: { type: 'UTF8', optional: true },      // SQS messageId
+    failed_at: { type: 'UTF8' },
+    failure_stage: { type: 'UTF8' },                   // "row" | "message"
+    error_message: { type: 'UTF8' },
+    error_stack: { type: 'UTF8', optional: true },     // First few frames only
+    raw_data: { type: 'UTF8' }                         // Original row JSON, or the raw message body
+};
+
+const STACK_FRAMES = 5;
+
 const CITY_VALIDATION_CACHE = new Map();
+const ZIP_CACHE = new Map();
+const GEO_CELL_CACHE = new Map();
+const CITY_COUNTY_CACHE = new Map();
+const COUNTY_CACHE = new Map();
+const IDENTIFIER_CACHE = new Map();
+const SITE_CACHE = new Map();
+
+// Errors that say nothing about the data (throttling, an AWS 5xx, a timeout, a map not readable
+// yet): the message goes back to the Flume instead of into failed/. AWS 4xx errors (AccessDenied,
+// ValidationException, a missing table) won't pass on a retry, so they take the data-error path.
+const THROTTLING_ERRORS = new Set([
+    "ThrottlingException", "Throttling", "ProvisionedThroughputExceededException",
+    "RequestLimitExceeded", "TooManyRequestsException", "SlowDown"
+]);
+const NETWORK_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]);
+
+function isTransient(e) {
+    if (!e) return false;
+    if (e.retryable || e.$retryable || THROTTLING_ERRORS.has(e.name)) return true;
+    const status = e.$metadata && e.$metadata.httpStatusCode;
+    if (e.$fault === "server" || status >= 500 || status === 429) return true;
+    return NETWORK_ERROR_CODES.has(e.code) || e.name === "TimeoutError";
+}
 
 export const handler = async (event) => {
     console.log(`⚡ Processor V3 (Ocean/Reef): Handling ${event.Records.length} messages...`);
 
-    const validBatch = [];
-    const quarantineBatch = [];
+    // Messages that hit a transient error, or whose output couldn't be written or counted, go back
+    // to the Flume on their own. Requires FunctionResponseTypes: ["ReportBatchItemFailures"] on the
+    // Flume trigger (deploy-final.js).
+    const batchItemFailures = [];
+    const fail = (messageId, e) => {
+        console.error(`❌ Message ${messageId} Failed, returning it to the Flume:`, e);
+        batchItemFailures.push({ itemIdentifier: messageId });
+    };
 
     for (const record of event.Records) {
         try {
-            const payload = JSON.parse(record.body);
-            const rows = payload.rows || [payload.raw];
-            const meta = payload.meta;
-
-            // UPDATED: Identify Source (was Agency)
-            // Estuary Path: estuary/OSHA/severe-incident/file.csv
-            // Key Split: [estuary, OSHA, severe-incident, file.csv]
-            const parts = meta.source_key.split('/');
-
-            // Logic to find 'Source': It's the folder AFTER 'estuary' (or 'confluence' legacy)
-            // If path starts with 'estuary/' -> index 1 is Source.
-            let sourceIdx = -1;
-            if (parts[0] === 'estuary' || parts[0] === 'confluence') sourceIdx = 1;
-            else if (parts[0] === 'Historical' || parts[0] === 'Daily') sourceIdx = 1; // Legacy catch
-
-            const source = (sourceIdx > -1 && parts[sourceIdx]) ? parts[sourceIdx] : 'unknown';
-            const dataset = (sourceIdx > -1 && parts[sourceIdx + 1]) ? parts[sourceIdx + 1] : 'generic';
-
-            const map = await getSextantMap(source, dataset);
-
-            for (const raw of rows) {
-                try {
-                    const cleanRecord = await normalizeAndMatch(raw, map, source, meta.source_key);
-                    const validation = await validateRecord(cleanRecord);
-
-                    if (validation.isValid) {
-                        validBatch.push(cleanRecord);
-                    } else {
-                        cleanRecord.quarantine_reason = validation.reason;
-                        quarantineBatch.push(cleanRecord);
-                    }
-                } catch (rowErr) {
-                    console.error("Row Processing Failed:", rowErr);
-                }
-            }
+            const message = await processMessage(record);
+            if (!message) continue;
+            await recordMessage(message, await writeOutputs(message));
         } catch (e) {
-            console.error("Message Processing Failed:", e);
+            fail(record.messageId, e);
         }
     }
 
-    // UPDATED: Write to 'reef' (valid) and 'quarantine' (invalid)
-    await Promise.all([
-        writeBatchToS3(validBatch, "reef"),
-        writeBatchToS3(quarantineBatch, "quarantine")
-    ]);
+    if (batchItemFailures.length > 0) {
+        console.warn(`⚠️ ${batchItemFailures.length}/${event.Records.length} messages will be redelivered`);
+    }
+    return { batchItemFailures };
 };
 
-async function writeBatchToS3(batch, prefixType) {
-    if (batch.length === 0) return;
+/**
+ * Normalizes one Flume message into { messageId, meta, batches: { reef, quarantine, failed }, failedRows },
+ * or null if the ledger already counted it (a redelivery). Rows that throw on their data go to
+ * failed/; a transient error (see isTransient) throws, for SQS to redeliver the whole message.
+ */
+async function processMessage(record) {
+    const validBatch = [];
+    const quarantineBatch = [];
+    const failedBatch = [];
+    let rows = [];
+    let handled = 0;
+    let meta = null;
+    let failedRows = 0;
+
+    try {
+        const payload = JSON.parse(record.body);
+        rows = payload.rows || [payload.raw];
+        meta = payload.meta;
+
+        if (meta && meta.source_key && await hasLanded(meta.source_key, meta.ingested_at, record.messageId)) {
+            console.log(`⏭️ Message ${record.messageId} already in the ledger (redelivery)`);
+            return null;
+        }
+
+        // The splitter matched the file's headers to a map (meta.schema); older messages
+        // fall back to the folder's map, picked by headers, then period
+        const folder = resolveSourcePath(meta.source_key);
+        const schema = meta.schema
+            ? await getSchemaByIdentity(meta.schema)
+            : await getSextantSchema(folder.source, folder.dataset, {
+                headers: rows.length > 0 && rows[0] ? Object.keys(rows[0]) : null,
+                period: inferSourcePeriod(meta.source_key, meta.ingested_at)
+            });
+        const source = (folder.source === 'unknown' && meta.schema) ? meta.schema.source : folder.source;
+
+        for (const raw of rows) {
+            try {
+                const cleanRecord = await normalizeAndMatch(raw, schema, source, meta.source_key);
+                const validation = await validateRecord(cleanRecord);
+
+                if (validation.isValid) {
+                    validBatch.push(cleanRecord);
+                } else {
+                    cleanRecord.quarantine_reason = validation.reason;
+                    quarantineBatch.push(cleanRecord);
+                }
+            } catch (rowErr) {
+                if (isTransient(rowErr)) throw rowErr;
+                console.error("Row Processing Failed:", rowErr);
+                failedBatch.push(captureFailure(rowErr, "row", meta, record.messageId, JSON.stringify(raw)));
+                failedRows++;
+            }
+            handled++;
+        }
+    } catch (e) {
+        if (isTransient(e)) throw e;
+        console.error("Message Processing Failed:", e);
+        // Keep the whole body; rows we never got to still count against the file
+        failedBatch.push(captureFailure(e, "message", meta, record.messageId, record.body));
+        failedRows += rows.length - handled;
+    }
 
+    return {
+        messageId: record.messageId,
+        meta,
+        batches: { reef: validBatch, quarantine: quarantineBatch, failed: failedBatch },
+        failedRows
+    };
+}
+
+/**
+ * Adds one message's outcomes, and the files holding its rows, to the run ledger.
+ */
+async function recordMessage({ messageId, meta, batches, failedRows }, outputKeys) {
+    // Without meta we can't tell which file the message belonged to; failed/ still has it
+    if (!meta || !meta.source_key) return;
+
+    const counted = await recordLanded(meta.source_key, meta.ingested_at, messageId, {
+        valid: batches.reef.length,
+        quarantined: batches.quarantine.length,
+        failed: failedRows,
+        outputKeys
+    });
+    if (!counted) console.log(`⏭️ Message ${messageId} already in the ledger (redelivery)`);
+}
+
+/**
+ * A failure record for the failed/ partition. Source comes from the message meta when we got that far.
+ */
+function captureFailure(err, stage, meta, messageId, rawData) {
+    const sourceKey = meta ? meta.source_key : null;
+    return {
+        source: sourceKey ? resolveSourcePath(sourceKey).source.toUpperCase() : 'unknown',
+        source_key: sourceKey,
+        run_id: meta ? meta.ingested_at : null,
+        message_id: messageId || null,
+        failed_at: new Date().toISOString(),
+        failure_stage: stage,
+        error_message: err.message || String(err),
+        error_stack: err.stack ? err.stack.split('\n').slice(0, STACK_FRAMES + 1).join('\n') : null,
+        raw_data: rawData || ''
+    };
+}
+
+/**
+ * Writes one message's rows to reef/, quarantine/ and failed/, one file per Hive partition:
+ * {type}/partition_source=OSHA/partition_year=2026/{messageId}.parquet. Keys depend on the
+ * message alone, so a redelivery overwrites its own earlier files. Returns the keys written.
+ */
+async function writeOutputs({ messageId, meta, batches }) {
+    // The partition year comes from the splitter run (not the clock) so a redelivery maps to the same key
+    const runYear = (meta && meta.ingested_at) ? new Date(meta.ingested_at).getFullYear() : new Date().getFullYear();
+    const files = new Map(); // key -> { prefixType, rows }
+    for (const [prefixType, rows] of Object.entries(batches)) {
+        for (const row of rows) {
+            const key = `${prefixType}/partition_source=${row.source || 'unknown'}/partition_year=${runYear}/${messageId}.parquet`;
+            const file = files.get(key) || { prefixType, rows: [] };
+            file.rows.push(row);
+            files.set(key, file);
+        }
+    }
+
+    await Promise.all([...files].map(([key, file]) => writeBatchToS3(file.rows, file.prefixType, key)));
+    return [...files.keys()];
+}
+
+async function writeBatchToS3(batch, prefixType, key) {
     const tmpParquetPath = `/tmp/${prefixType}_${crypto.randomUUID()}.parquet`;
 
     try {
-        const schema = new parquets.ParquetSchema(PARQUET_SCHEMA);
+        const isFailed = prefixType === "failed";
+        const schema = new parquets.ParquetSchema(isFailed ? FAILED_SCHEMA : PARQUET_SCHEMA);
         const writer = await parquets.ParquetWriter.openFile(schema, tmpParquetPath);
 
         for (const row of batch) {
-            await writer.appendRow({
+            await writer.appendRow(isFailed ? toFailedRow(row) : {
                 event_id: row.event_id,
                 event_source: row.source || 'unknown',
                 source_url: row.source_url || null,
@@ -218,6 +364,10 @@ async function writeBatchToS3(batch, prefixType) {
                 state: row.state || null,
                 city: row.city || null,
                 city_slug: row.city_slug || null,
+                county_fips: row.county_fips || null,
+                county_name: row.county_name || null,
+                metro_code: row.metro_code || null,
+                metro_name: row.metro_name || null,
                 company_name: row.company_name || null,
                 company_slug: row.company_slug || null,
                 site_id: row.site_id || null,
@@ -235,14 +385,6 @@ async function writeBatchToS3(batch, prefixType) {
         const buffer = fs.readFileSync(tmpParquetPath);
         fs.unlinkSync(tmpParquetPath);
 
-        const now = new Date();
-        // UPDATED: Path includes Source/Year for organized Reef
-        // reef/OSHA/2026/file.parquet
-        const sourceFolder = batch[0].source || 'unknown';
-        // UPDATED: Hive-style partitioning for Athena MSCK REPAIR support
-        // reef/partition_source=OSHA/partition_year=2026/file.parquet
-        const key = `${prefixType}/partition_source=${sourceFolder}/partition_year=${now.getFullYear()}/${now.toISOString()}_${crypto.randomUUID()}.parquet`;
-
         await s3.send(new PutObjectCommand({
             Bucket: OCEAN_BUCKET,
             Key: key,
@@ -250,6 +392,7 @@ async function writeBatchToS3(batch, prefixType) {
             ContentType: "application/vnd.apache.parquet"
         }));
         console.log(`✅ [${prefixType.toUpperCase()}] Scribed ${batch.length} rows to s3://${OCEAN_BUCKET}/${key}`);
+        return key;
 
     } catch (e) {
         console.error(`❌ ${prefixType} Write Failed:`, e);
@@ -257,16 +400,22 @@ async function writeBatchToS3(batch, prefixType) {
     }
 }
 
+function toFailedRow(row) {
+    const out = {};
+    for (const col of Object.keys(FAILED_SCHEMA)) out[col] = row[col] ?? null;
+    return out;
+}
+
 // --- VALIDATION LOGIC ---
 
-async function validateRecord(record) {
+export async function validateRecord(record) {
     if (!record.state || record.state.length !== 2 || ['US', 'ON', 'XX'].includes(record.state)) {
         return { isValid: false, reason: `Invalid State: ${record.state}` };
     }
 
     if (record.city_slug) {
-        const isValidCity = await lookupCity(record.city_slug, record.city, record.state);
-        if (!isValidCity) {
+        const resolution = record.city_resolution || await lookupCity(record.city_slug, record.city, record.state);
+        if (!resolution || resolution === 'none') {
             return { isValid: false, reason: `Unknown City: ${record.city} (${record.city_slug})` };
         }
     } else {
@@ -276,6 +425,259 @@ async function validateRecord(record) {
     return { isValid: true };
 }
 
+/**
+ * City resolution, most trusted first:
+ *   1. exact / alias  the cleaned city name is an Anchor CITY# item or city alias
+ *   2. zip            the ZIP's Census crosswalk puts most of it inside one place (ZIP# items)
+ *   3. geo            location_lat/location_lon is within MAX_GEO_KM of a place's center (GEO# items)
+ * Fallbacks only return places in the record's own state. Returns { method, slug, name, distanceKm }
+ * where slug/name are set only when a fallback replaced the reported city.
+ */
+async function resolveCity(record) {
+    if (record.city_slug) {
+        const method = await lookupCity(record.city_slug, record.city, record.state);
+        if (method) return { method };
+    }
+
+    const zip = zip5(record.zip);
+    if (zip) {
+        const place = await lookupZip(zip, record.state);
+        if (place) return { method: 'zip', slug: place.slug, name: place.name };
+    }
+
+    const point = parseCoordinates(record.location_lat, record.location_lon);
+    if (point) {
+        const place = await lookupNearestCity(point, record.state);
+        if (place) return { method: 'geo', slug: place.slug, name: place.name, distanceKm: place.distanceKm };
+    }
+
+    return { method: 'none' };
+}
+
+async function lookupZip(zip, state) {
+    const best = (await lookupZipItems(zip))
+        .filter(p => p.SK.startsWith('CITY#') && p.state === state && p.share >= MIN_ZIP_SHARE)
+        .sort((a, b) => b.share - a.share)[0];
+    if (!best) return null;
+    const place = { slug: best.SK.replace(/^CITY#/, ''), name: best.name };
+    console.log(`📮 ZIP Match: ${zip} -> ${place.slug} (${Math.round(best.share * 100)}%)`);
+    return place;
+}
+
+// Crosswalk items under ZIP#{zip}: CITY# and COUNTY# overlaps
+async function lookupZipItems(zip) {
+    if (ZIP_CACHE.has(zip)) return ZIP_CACHE.get(zip);
+    let items = [];
+    try {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: ANCHOR_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({ ':pk': `ZIP#${zip}` })
+        }));
+        items = (res.Items || []).map(i => unmarshall(i));
+        ZIP_CACHE.set(zip, items);
+    } catch (e) {
+        console.warn(`Anchor ZIP Lookup Failed for ${zip}:`, e.message);
+        // Not cached: a throttled read mustn't become a permanent miss
+        throw e;
+    }
+    return items;
+}
+
+/**
+ * County (FIPS) and metro (CBSA), which also cover the unincorporated areas no city matches:
+ *   1. zip   the county holding most of the ZIP's land (ZIP# -> COUNTY# crosswalk items)
+ *   2. city  the resolved city's county_fips (set by Anchor/Cities/build-geo-index.js)
+ * The metro is the county's CBSA, if it has one. Returns { method, fips, name, metroCode, metroName }.
+ */
+async function resolveCounty(record) {
+    let fips = null;
+    let method = 'none';
+
+    const zip = zip5(record.zip);
+    if (zip) {
+        const best = (await lookupZipItems(zip))
+            .filter(p => p.SK.startsWith('COUNTY#') && p.state === record.state)
+            .sort((a, b) => b.share - a.share)[0];
+        if (best) {
+            fips = best.SK.replace(/^COUNTY#/, '');
+            method = 'zip';
+        }
+    }
+    if (!fips && record.city_slug && record.city_resolution !== 'none') {
+        fips = await lookupCityCounty(record.city_slug);
+        if (fips) method = 'city';
+    }
+    if (!fips) return { method: 'none' };
+
+    const county = await lookupCounty(fips);
+    if (!county) return { method: 'none' };
+    return { method, fips, name: county.name, metroCode: county.cbsa_code, metroName: county.cbsa_name };
+}
+
+async function lookupCityCounty(slug) {
+    if (CITY_COUNTY_CACHE.has(slug)) return CITY_COUNTY_CACHE.get(slug);
+    let fips = null;
+    try {
+        const res = await dynamo.send(new GetItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: `CITY#${slug}`, SK: 'METADATA' }),
+            ProjectionExpression: 'county_fips'
+        }));
+        if (res.Item) fips = unmarshall(res.Item).county_fips || null;
+        CITY_COUNTY_CACHE.set(slug, fips);
+    } catch (e) {
+        console.warn(`Anchor City County Lookup Failed for ${slug}:`, e.message);
+        throw e;
+    }
+    return fips;
+}
+
+async function lookupCounty(fips) {
+    if (COUNTY_CACHE.has(fips)) return COUNTY_CACHE.get(fips);
+    let county = null;
+    try {
+        const res = await dynamo.send(new GetItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: `COUNTY#${fips}`, SK: 'METADATA' })
+        }));
+        if (res.Item) county = unmarshall(res.Item);
+        COUNTY_CACHE.set(fips, county);
+    } catch (e) {
+        console.warn(`Anchor County Lookup Failed for ${fips}:`, e.message);
+        throw e;
+    }
+    return county;
+}
+
+/**
+ * The record's site (see lib/sites.js): its store number, else the site already registered at
+ * its address, else a new address site. Registers what it assigns.
+ * Returns { siteId, method } with method store, address or none. Also used by
+ * backfill_companies.js for events moving to another company.
+ */
+export async function resolveSite(record, { register = true } = {}) {
+    const company = record.company_slug;
+    const storeNumber = record.site_id || null;
+    const key = addressKey(record);
+    if (!storeNumber && !key) return { siteId: null, method: 'none' };
+
+    const cacheKey = `${company}|${storeNumber || ''}|${key || ''}`;
+    if (SITE_CACHE.has(cacheKey)) return SITE_CACHE.get(cacheKey);
+
+    let siteId = storeNumber;
+    if (!siteId) siteId = await lookupSiteByAddress(company, key) || addressSiteId(key);
+
+    const site = { siteId, method: storeNumber ? 'store' : 'address' };
+    // Cached only once registered, so a preview doesn't leave it unregistered for the processor
+    if (register) {
+        await registerSite(company, siteId, record, key);
+        SITE_CACHE.set(cacheKey, site);
+    }
+    return site;
+}
+
+async function lookupSiteByAddress(company, key) {
+    try {
+        const res = await dynamo.send(new GetItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: `SITEADDR#${company}#${key}`, SK: 'POINTER' })
+        }));
+        return res.Item ? unmarshall(res.Item).site_id : null;
+    } catch (e) {
+        console.warn(`Anchor Site Lookup Failed for ${company} ${key}:`, e.message);
+        // A miss here would mint (and cache) a second site for an address that has one
+        throw e;
+    }
+}
+
+/**
+ * Creates the SITE# item, or fills in fields it's missing (a store first seen without an
+ * address), then points the address at it. A store number takes an address over from an
+ * address-only site registered before it. Registry failures don't fail the record: the
+ * site id is deterministic, so a later record registers it.
+ */
+async function registerSite(company, siteId, record, key) {
+    const isStore = !siteId.startsWith(ADDRESS_SITE_PREFIX);
+    const fields = {
+        type: 'Site',
+        company_slug: company,
+        site_id: siteId,
+        store_number: isStore ? siteId : undefined,
+        street: record.street || undefined,
+        city: record.city || undefined,
+        state: record.state || undefined,
+        zip: zip5(record.zip) || undefined,
+        address_key: key || undefined,
+        first_seen: new Date().toISOString()
+    };
+    const present = Object.entries(fields).filter(([, v]) => v !== undefined);
+
+    try {
+        await dynamo.send(new UpdateItemCommand({
+            TableName: ANCHOR_TABLE,
+            Key: marshall({ PK: `SITE#${company}#${siteId}`, SK: 'METADATA' }),
+            UpdateExpression: `SET ${present.map((_, i) => `#f${i} = if_not_exists(#f${i}, :v${i})`).join(', ')}`,
+            ExpressionAttributeNames: Object.fromEntries(present.map(([f], i) => [`#f${i}`, f])),
+            ExpressionAttributeValues: marshall(Object.fromEntries(present.map(([, v], i) => [`:v${i}`, v])))
+        }));
+
+        if (key) {
+            await dynamo.send(new PutItemCommand({
+                TableName: ANCHOR_TABLE,
+                Item: marshall({
+                    PK: `SITEADDR#${company}#${key}`,
+                    SK: 'POINTER',
+                    site_id: siteId,
+                    target: `SITE#${company}#${siteId}`
+                }),
+                ConditionExpression: isStore
+                    ? 'attribute_not_exists(PK) OR begins_with(site_id, :addr)'
+                    : 'attribute_not_exists(PK)',
+                ExpressionAttributeValues: isStore ? marshall({ ':addr': ADDRESS_SITE_PREFIX }) : undefined
+            }));
+        }
+    } catch (e) {
+        if (e.name !== 'ConditionalCheckFailedException') {
+            console.warn(`Anchor Site Registration Failed for ${company} ${siteId}:`, e.message);
+        }
+    }
+}
+
+async function lookupNearestCity({ lat, lon }, state) {
+    let nearest = null;
+    for (const cell of neighborCells(lat, lon)) {
+        for (const p of await lookupGeoCell(cell)) {
+            if (p.state !== state) continue;
+            const km = distanceKm(lat, lon, Number(p.lat), Number(p.lon));
+            if (km <= MAX_GEO_KM && (!nearest || km < nearest.distanceKm)) {
+                nearest = { slug: p.SK.replace(/^CITY#/, ''), name: p.name, distanceKm: Math.round(km * 10) / 10 };
+            }
+        }
+    }
+    if (nearest) console.log(`📍 Geo Match: ${lat},${lon} -> ${nearest.slug} (${nearest.distanceKm} km)`);
+    return nearest;
+}
+
+async function lookupGeoCell(cell) {
+    if (GEO_CELL_CACHE.has(cell)) return GEO_CELL_CACHE.get(cell);
+    let places = [];
+    try {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: ANCHOR_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({ ':pk': `GEO#${cell}` })
+        }));
+        places = (res.Items || []).map(i => unmarshall(i));
+        GEO_CELL_CACHE.set(cell, places);
+    } catch (e) {
+        console.warn(`Anchor Geo Lookup Failed for ${cell}:`, e.message);
+        throw e;
+    }
+    return places;
+}
+
+// Returns 'exact', 'alias' or null
 async function lookupCity(slug, city, state) {
     if (CITY_VALIDATION_CACHE.has(slug)) return CITY_VALIDATION_CACHE.get(slug);
 
@@ -286,8 +688,8 @@ async function lookupCity(slug, city, state) {
         }));
 
         if (res.Item) {
-            CITY_VALIDATION_CACHE.set(slug, true);
-            return true;
+            CITY_VALIDATION_CACHE.set(slug, 'exact');
+            return 'exact';
         }
 
         if (city && state) {
@@ -302,59 +704,35 @@ async function lookupCity(slug, city, state) {
 
             if (aliasRes.Items && aliasRes.Items.length > 0) {
                 console.log(`✨ City Alias Match: ${slug} -> ${aliasKey}`);
-                CITY_VALIDATION_CACHE.set(slug, true);
-                return true;
+                CITY_VALIDATION_CACHE.set(slug, 'alias');
+                return 'alias';
             }
         }
-        return false;
+        return null;
     } catch (e) {
+        // A null here would quarantine the row as an unknown city
         console.warn(`Anchor City Lookup Failed for ${slug}:`, e);
-        return false;
+        throw e;
     }
 }
 
 // --- LOGIC ---
 
-async function getSextantMap(source, dataset) {
-    const cacheKey = `${source}/${dataset}`;
-    if (SEXTANT_CACHE.has(cacheKey)) return SEXTANT_CACHE.get(cacheKey);
-    try {
-        // UPDATED KEY: SOURCE# instead of AGENCY#
-        const res = await dynamo.send(new GetItemCommand({
-            TableName: SEXTANT_TABLE,
-            Key: marshall({ PK: `SOURCE#${source}`, SK: `SCHEMA#${dataset}` })
-        }));
-        if (res.Item) {
-            const map = unmarshall(res.Item).header_map;
-            SEXTANT_CACHE.set(cacheKey, map);
-            return map;
-        } else {
-            // Fallback to AGENCY# for backwards compatibility during migration? 
-            // Turning it off to force clean migration.
-        }
-    } catch (e) { console.warn("Sextant Lookup Failed:", e); }
-    return null;
-}
-
-async function normalizeAndMatch(rawRow, map, source, sourceKey) {
+/**
+ * options.registerSites: write newly seen sites to the Anchor (off for author-sextant.js previews).
+ */
+export async function normalizeAndMatch(rawRow, schema, source, sourceKey, { registerSites = true } = {}) {
     const normalized = {};
     const rawData = { ...rawRow };
 
-    if (map) {
-        for (const [coreKey, sourceKeys] of Object.entries(map)) {
-            for (const srcKey of sourceKeys) {
-                if (rawRow[srcKey] !== undefined) {
-                    normalized[coreKey] = rawRow[srcKey];
-                    break;
-                }
-            }
-        }
+    if (schema && schema.header_map) {
+        // Alias lists and transform specs (concat, date, number, lookup, ...) live in the Sextant
+        Object.assign(normalized, applyHeaderMap(rawRow, schema.header_map));
+        normalized.sextant_version = schemaVersionTag(schema); // Lineage: lands in event_details
     } else {
         Object.keys(rawRow).forEach(k => normalized[k.toLowerCase()] = rawRow[k]);
     }
 
-    const rowString = JSON.stringify(rawRow);
-    normalized.event_id = crypto.createHash('sha256').update(SALT + rowString).digest('hex');
     normalized.source = source.toUpperCase(); // Was agency
     normalized.source_url = sourceKey; // Added
     normalized.ingested_at = new Date().toISOString();
@@ -362,13 +740,21 @@ async function normalizeAndMatch(rawRow, map, source, sourceKey) {
 
     let companyNameForLookup = normalized.company_name;
     if (normalized.company_name) {
-        // ... (existing logic)
         const siteMatch = normalized.company_name.match(/[#\-]\s*(\d+)\s*$/);
         if (siteMatch) {
             normalized.site_id = siteMatch[1];
             companyNameForLookup = normalized.company_name.replace(/[#\-]\s*\d+\s*$/, '').trim();
         }
-        normalized.company_slug = await resolveEntitySmart(companyNameForLookup);
+    }
+    // Identifiers are deterministic; names are only as good as the match
+    const idMatch = await resolveIdentifiers(normalized);
+    if (idMatch || normalized.company_name) {
+        const match = idMatch || await resolveEntitySmart(companyNameForLookup);
+        normalized.company_slug = match.slug;
+        // Lineage: lands in event_details, so weak links can be audited and re-resolved
+        normalized.company_match_method = match.method;
+        if (match.score !== null) normalized.company_match_score = match.score;
+        if (match.candidate) normalized.company_match_candidate = match.candidate;
     }
 
     // Default Bedrock Status
@@ -380,12 +766,48 @@ async function normalizeAndMatch(rawRow, map, source, sourceKey) {
         const cityLower = normalized.city.toLowerCase().replace(/ /g, '_');
         normalized.city_slug = `${normalized.state}-${cityLower}`;
     }
+    if (normalized.state) {
+        // Lineage: city_resolution lands in event_details (exact, alias, zip, geo or none)
+        const place = await resolveCity(normalized);
+        normalized.city_resolution = place.method;
+        if (place.slug) {
+            if (normalized.city) normalized.reported_city = normalized.city;
+            normalized.city = place.name;
+            normalized.city_slug = place.slug;
+            if (place.distanceKm !== undefined) normalized.city_distance_km = place.distanceKm;
+        }
+
+        // Lineage: county_resolution lands in event_details (zip, city or none)
+        const county = await resolveCounty(normalized);
+        normalized.county_resolution = county.method;
+        if (county.fips) {
+            normalized.county_fips = county.fips;
+            normalized.county_name = county.name;
+            normalized.metro_code = county.metroCode;
+            normalized.metro_name = county.metroName;
+        }
+    }
+
+    // Sites belong to a company; unresolved records keep the bare store number
+    if (normalized.company_slug) {
+        // Lineage: site_resolution lands in event_details (store, address or none)
+        const site = await resolveSite(normalized, { register: registerSites });
+        normalized.site_resolution = site.method;
+        normalized.site_id = site.siteId;
+    }
 
     normalized.event_title = generateEventTitle(normalized);
     normalized.event_description = normalized.description || null;
 
+    // Identity keys are read once state, city and company are in their Silver form, which is
+    // where the identity migration reads them too. Lineage: event_identity lands in event_details
+    const identity = eventIdentity(rawRow, normalized, schema);
+    normalized.event_id = identity.eventId;
+    normalized.event_identity = identity.method;
+
     const excludeFromDetails = new Set(['event_id', 'source', 'ingested_at', 'raw_data',
         'event_date', 'state', 'city', 'city_slug', 'company_slug', 'site_id',
+        'county_fips', 'county_name', 'metro_code', 'metro_name',
         'event_title', 'event_description', 'source_url']);
 
     const eventDetails = {};
@@ -416,29 +838,118 @@ function generateEventTitle(normalized) {
     return `${violationType} at ${company}`.trim();
 }
 
+/**
+ * Company resolution by name (after resolveIdentifiers), cheapest first:
+ *   1. alias        exact GSI1 alias of the raw name
+ *   2. smart_alias  alias of the name with site/legal noise stripped
+ *   3. fuzzy_*      best candidate pulled through the Anchor match keys (see lib/matchkeys.js),
+ *                   linked only above AUTO_LINK_SCORE and when no other company is close
+ * An alias pointing at NOTCOMPANY stops resolution: method not_company, no slug.
+ * Returns { slug, method, score, candidate } (candidate = best fuzzy guess that wasn't linked).
+ */
 async function resolveEntitySmart(rawName) {
-    if (!rawName) return null;
+    const unresolved = { slug: null, method: 'none', score: null, candidate: null };
+    if (!rawName) return unresolved;
     const cleanName = rawName.trim();
 
     if (ANCHOR_CACHE.has(cleanName)) return ANCHOR_CACHE.get(cleanName);
 
+    let match = unresolved;
     let slug = await lookupAlias(`ALIAS#${cleanName.toLowerCase()}`);
     if (slug) {
-        ANCHOR_CACHE.set(cleanName, slug);
-        return slug;
+        match = { slug, method: 'alias', score: 1, candidate: null };
+    } else {
+        const smartAlias = cleanCompanyForAlias(cleanName);
+        if (smartAlias && smartAlias !== cleanName.toLowerCase()) {
+            slug = await lookupAlias(`ALIAS#${smartAlias}`);
+            if (slug) {
+                console.log(`✨ SmartMatch: "${cleanName}" -> "${smartAlias}" -> ${slug}`);
+                match = { slug, method: 'smart_alias', score: 1, candidate: null };
+            }
+        }
     }
 
-    const smartAlias = cleanCompanyForAlias(cleanName);
-    if (smartAlias && smartAlias !== cleanName.toLowerCase()) {
-        slug = await lookupAlias(`ALIAS#${smartAlias}`);
-        if (slug) {
-            console.log(`✨ SmartMatch: "${cleanName}" -> "${smartAlias}" -> ${slug}`);
-            ANCHOR_CACHE.set(cleanName, slug);
-            return slug;
+    if (match.slug === NOT_COMPANY) match = { slug: null, method: 'not_company', score: 1, candidate: null };
+    else if (!match.slug) match = await resolveFuzzy(cleanName);
+
+    ANCHOR_CACHE.set(cleanName, match);
+    return match;
+}
+
+/**
+ * Company resolution by registry identifier (ein, cik, lei fields; see lib/identifiers.js).
+ * Only an identifier linked to exactly one company resolves. Returns a match or null.
+ */
+async function resolveIdentifiers(normalized) {
+    for (const [field, scheme] of Object.entries(IDENTIFIER_FIELDS)) {
+        const value = normalizeIdentifier(scheme, normalized[field]);
+        if (!value) continue;
+        const slug = await lookupIdentifier(scheme, value);
+        if (slug) return { slug, method: `id_${field}`, score: 1, candidate: null };
+    }
+    return null;
+}
+
+async function lookupIdentifier(scheme, value) {
+    const key = `${scheme}#${value}`;
+    if (IDENTIFIER_CACHE.has(key)) return IDENTIFIER_CACHE.get(key);
+
+    let slug = null;
+    try {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: ANCHOR_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({ ':pk': `ID#${key}` }),
+            Limit: 2
+        }));
+        const targets = (res.Items || []).map(i => unmarshall(i).SK);
+        if (targets.length === 1) slug = targets[0].replace(/^(COMPANY|SLUG)#/i, '');
+        else if (targets.length > 1) console.warn(`⚠️ ${scheme} ${value} is linked to several companies; matching by name`);
+        IDENTIFIER_CACHE.set(key, slug);
+    } catch (e) {
+        console.warn(`Anchor Identifier Lookup Failed for ${key}:`, e.message);
+        throw e;
+    }
+    return slug;
+}
+
+async function resolveFuzzy(name) {
+    const candidates = new Map(); // slug -> { slug, kind, score }
+    for (const { kind, key } of candidateKeys(name)) {
+        for (const hit of await lookupMatchKey(kind, key)) {
+            const slug = hit.SK.replace(/^(COMPANY|SLUG)#/i, '');
+            const score = scoreNames(name, hit.name);
+            const seen = candidates.get(slug);
+            if (!seen || score > seen.score) candidates.set(slug, { slug, kind, score });
         }
     }
 
-    return null;
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = ranked;
+    if (!best) return { slug: null, method: 'none', score: null, candidate: null };
+
+    const ambiguous = runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+    if (best.score >= AUTO_LINK_SCORE && !ambiguous) {
+        console.log(`🧲 FuzzyMatch: "${name}" -> ${best.slug} (${best.kind}, ${best.score})`);
+        return { slug: best.slug, method: `fuzzy_${best.kind}`, score: best.score, candidate: null };
+    }
+    return { slug: null, method: 'none', score: best.score, candidate: best.slug };
+}
+
+async function lookupMatchKey(kind, key) {
+    try {
+        const res = await dynamo.send(new QueryCommand({
+            TableName: ANCHOR_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({ ':pk': `MATCHKEY#${kind}#${key}` }),
+            Limit: 25
+        }));
+        return (res.Items || []).map(i => unmarshall(i));
+    } catch (e) {
+        console.warn(`Anchor MatchKey Lookup Failed for ${kind}#${key}:`, e.message);
+        // Rather than "no candidates", which resolveEntitySmart would cache for the container's life
+        throw e;
+    }
 }
 
 async function lookupAlias(pk) {
@@ -457,6 +968,8 @@ async function lookupAlias(pk) {
             return rawSlug.replace(/^(COMPANY|SLUG|ALIAS)#/i, '');
         }
     } catch (e) {
+        console.warn(`Anchor Alias Lookup Failed for ${pk}:`, e.message);
+        throw e;
     }
     return null;
 }
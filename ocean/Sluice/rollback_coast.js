@@ -0,0 +1,26 @@
+import { fileURLToPath } from 'url';
+import { listRuns, rollbackTo } from './lib/coast.js';
+
+/**
+ * Gold Rollback
+ *
+ * Lists the published coast/run={runId}/ runs, or points coast/current.json back at one of
+ * them so the Lighthouse reloads the Gold items as they were after it (lib/coast.js).
+ *
+ * Usage:
+ *   node rollback_coast.js --list
+ *   node rollback_coast.js 20261019T060000Z
+ */
+
+// Auto-run only if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const runId = process.argv[2];
+    const job = !runId || runId === "--list"
+        ? listRuns().then(runs => runs.forEach(r =>
+            console.log(`   ${r.run_id}  ${r.mode.padEnd(11)} ${r.unloads.map(u => `${u.type}:${u.rows}${u.scope === "scoped" ? "*" : ""}`).join(" ")}`)))
+        : rollbackTo(runId);
+    job.catch(e => {
+        console.error("💀 Rollback failed:", e);
+        process.exit(1);
+    });
+}
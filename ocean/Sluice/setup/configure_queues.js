@@ -1,55 +1,78 @@
-import { SQSClient, GetQueueUrlCommand, SetQueueAttributesCommand, PurgeQueueCommand } from "@aws-sdk/client-sqs";
+import { SQSClient, GetQueueUrlCommand, GetQueueAttributesCommand, SetQueueAttributesCommand, CreateQueueCommand, PurgeQueueCommand } from "@aws-sdk/client-sqs";
 
 const sqs = new SQSClient({ region: "us-east-1" });
 
+// Each working queue redrives to its own dead-letter queue after MAX_RECEIVES failed attempts
 const QUEUES = [
-    "VentureOS-Intake",
-    "VentureOS-Flume"
+    { name: "VentureOS-Intake", dlq: "VentureOS-Intake-DLQ" },
+    { name: "VentureOS-Flume", dlq: "VentureOS-Flume-DLQ" }
 ];
+const MAX_RECEIVES = 5;
+const DLQ_RETENTION_SECONDS = 14 * 24 * 60 * 60; // SQS maximum, so nothing ages out before someone looks
 
-async function configureAndPurge() {
-    console.log("🚨 STARTING EMERGENCY QUEUE FIX 🚨");
+// Purging drops every in-flight message: only when asked for (node configure_queues.js --purge)
+const PURGE = process.argv.includes("--purge");
 
-    for (const qName of QUEUES) {
+async function configureQueues() {
+    console.log(PURGE ? "🚨 CONFIGURING AND PURGING QUEUES 🚨" : "🔧 Configuring queues...");
+
+    for (const { name, dlq } of QUEUES) {
         try {
-            console.log(`\nTARGET: ${qName}`);
+            console.log(`\nTARGET: ${name}`);
 
             // 1. Get URL
-            const urlRes = await sqs.send(new GetQueueUrlCommand({ QueueName: qName }));
+            const urlRes = await sqs.send(new GetQueueUrlCommand({ QueueName: name }));
             const url = urlRes.QueueUrl;
             console.log(`   URL: ${url}`);
 
-            // 2. Update Visibility Timeout to 5 mins (300s)
-            console.log(`   ⏳ Updating VisibilityTimeout to 300s...`);
+            // 2. Ensure the dead-letter queue exists (CreateQueue is idempotent for identical attributes)
+            const dlqRes = await sqs.send(new CreateQueueCommand({
+                QueueName: dlq,
+                Attributes: { MessageRetentionPeriod: String(DLQ_RETENTION_SECONDS) }
+            }));
+            const dlqAttrs = await sqs.send(new GetQueueAttributesCommand({
+                QueueUrl: dlqRes.QueueUrl,
+                AttributeNames: ["QueueArn"]
+            }));
+            const dlqArn = dlqAttrs.Attributes.QueueArn;
+            console.log(`   ☠️ DLQ: ${dlqArn}`);
+
+            // 3. Visibility Timeout to 5 mins (300s) + Redrive to the DLQ
+            console.log(`   ⏳ Updating VisibilityTimeout to 300s and RedrivePolicy (maxReceiveCount ${MAX_RECEIVES})...`);
             try {
                 await sqs.send(new SetQueueAttributesCommand({
                     QueueUrl: url,
-                    Attributes: { VisibilityTimeout: "300" }
+                    Attributes: {
+                        VisibilityTimeout: "300",
+                        RedrivePolicy: JSON.stringify({ deadLetterTargetArn: dlqArn, maxReceiveCount: MAX_RECEIVES })
+                    }
                 }));
-                console.log(`   ✅ Timeout Updated.`);
+                console.log(`   ✅ Attributes Updated.`);
             } catch (e) {
-                console.warn(`   ⚠️ Failed to update timeout: ${e.message}`);
+                console.warn(`   ⚠️ Failed to update attributes: ${e.message}`);
             }
 
-            // 3. Purge Queue
-            console.log(`   🔥 PURGING QUEUE...`);
-            try {
-                await sqs.send(new PurgeQueueCommand({ QueueUrl: url }));
-                console.log(`   ✅ PURGE COMMAND SENT.`);
-            } catch (e) {
-                if (e.name === 'PurgeQueueInProgress') {
-                    console.log(`   ⚠️ Purge already in progress (Wait 60s).`);
-                } else {
-                    throw e;
+            // 4. Purge Queue
+            if (PURGE) {
+                console.log(`   🔥 PURGING QUEUE...`);
+                try {
+                    await sqs.send(new PurgeQueueCommand({ QueueUrl: url }));
+                    console.log(`   ✅ PURGE COMMAND SENT.`);
+                } catch (e) {
+                    if (e.name === 'PurgeQueueInProgress') {
+                        console.log(`   ⚠️ Purge already in progress (Wait 60s).`);
+                    } else {
+                        throw e;
+                    }
                 }
             }
 
         } catch (e) {
-            console.error(`❌ FAILED to process ${qName}:`, e.message);
+            console.error(`❌ FAILED to process ${name}:`, e.message);
         }
     }
 
-    console.log("\n🏁 OPERATION COMPLETE. The loop should stop shortly.");
+    console.log("\n🏁 OPERATION COMPLETE.");
 }
 
-configureAndPurge();
+configureQueues();
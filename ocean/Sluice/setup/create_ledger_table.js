@@ -0,0 +1,50 @@
+import { DynamoDBClient, CreateTableCommand, DescribeTableCommand, waitUntilTableExists } from "@aws-sdk/client-dynamodb";
+
+const dynamo = new DynamoDBClient({ region: "us-east-1" });
+const TABLE_NAME = "VentureOS-Ledger";
+
+async function createLedgerTable() {
+    console.log(`📒 Creating ${TABLE_NAME}...`);
+
+    try {
+        await dynamo.send(new DescribeTableCommand({ TableName: TABLE_NAME }));
+        console.log(`✅ ${TABLE_NAME} already exists.`);
+        return;
+    } catch (e) {
+        if (e.name !== "ResourceNotFoundException") throw e;
+    }
+
+    await dynamo.send(new CreateTableCommand({
+        TableName: TABLE_NAME,
+        BillingMode: "PAY_PER_REQUEST",
+        AttributeDefinitions: [
+            { AttributeName: "PK", AttributeType: "S" },
+            { AttributeName: "SK", AttributeType: "S" },
+            { AttributeName: "GSI1PK", AttributeType: "S" },
+            { AttributeName: "GSI1SK", AttributeType: "S" }
+        ],
+        KeySchema: [
+            { AttributeName: "PK", KeyType: "HASH" },
+            { AttributeName: "SK", KeyType: "RANGE" }
+        ],
+        GlobalSecondaryIndexes: [
+            {
+                IndexName: "GSI1",
+                KeySchema: [
+                    { AttributeName: "GSI1PK", KeyType: "HASH" },
+                    { AttributeName: "GSI1SK", KeyType: "RANGE" }
+                ],
+                Projection: { ProjectionType: "ALL" }
+            }
+        ]
+    }));
+
+    console.log(`⏳ Waiting for ${TABLE_NAME} to become active...`);
+    await waitUntilTableExists({ client: dynamo, maxWaitTime: 120 }, { TableName: TABLE_NAME });
+    console.log(`✅ ${TABLE_NAME} ready.`);
+}
+
+createLedgerTable().catch(e => {
+    console.error("❌ Failed:", e.message);
+    process.exit(1);
+});
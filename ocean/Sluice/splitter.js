@@ -1,14 +1,20 @@
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
-import { SQSClient, SendMessageBatchCommand } from "@aws-sdk/client-sqs";
-import { parse } from "csv-parse";
+import { SQSClient, SendMessageBatchCommand, SendMessageCommand } from "@aws-sdk/client-sqs";
 import { Readable } from "stream";
+import { newCheckpoint, newSourceProgress, loadCheckpoint, saveCheckpoint } from "./lib/checkpoint.js";
+import { sniffCompression, openSources, memberSourceKey } from "./lib/archives.js";
+import { detectFormat, isRangeable, readRecords } from "./lib/readers.js";
+import { resolveSourcePath, getSextantSchema, inferSourcePeriod, detectSchema, compareHeaders, schemaIdentity } from "./lib/sextant.js";
+import { recordDrift } from "./lib/drift.js";
+import { recordSplit } from "./lib/ledger.js";
 
 const s3 = new S3Client({});
 const sqs = new SQSClient({});
 
 const PROCESSING_QUEUE_URL = process.env.PROCESSING_QUEUE_URL;
+const INTAKE_QUEUE_URL = process.env.INTAKE_QUEUE_URL;
 
-export const handler = async (event) => {
+export const handler = async (event, context) => {
     console.log("🌊 Sluice Splitter: Incoming Wave...");
 
     for (const record of event.Records) {
@@ -20,9 +26,16 @@ export const handler = async (event) => {
             continue;
         }
 
+        // Hand-off from a previous invocation that ran low on time
+        if (s3Event.continuation) {
+            const { bucket, key, sequencer } = s3Event.continuation;
+            await processFile(bucket, key, sequencer, context);
+            continue;
+        }
+
         if (s3Event.Records) {
             for (const s3Record of s3Event.Records) {
-                await processFile(s3Record.s3.bucket.name, s3Record.s3.object.key);
+                await processFile(s3Record.s3.bucket.name, s3Record.s3.object.key, s3Record.s3.object.sequencer, context);
             }
         }
     }
@@ -30,47 +43,158 @@ export const handler = async (event) => {
 
 const ROWS_PER_MESSAGE = 100;  // Bundle 100 rows per SQS message
 const MESSAGES_PER_BATCH = 10; // SQS max is 10 messages per batch
+const HANDOFF_THRESHOLD_MS = 60 * 1000; // Hand off to a fresh invocation with 1 min left
+const SEND_ATTEMPTS = 3;       // Tries per SQS batch before the invocation fails
+
+// Pipeline outputs share the bucket with the estuary; never split them back in
+const OUTPUT_PREFIXES = ["reef/", "quarantine/", "failed/", "coast/", "sluice/", "athena-results/", "admin/"];
 
-async function processFile(bucket, key) {
+async function processFile(bucket, key, sequencer, context) {
     // 1. Guard against Recursion (Ignore output files)
-    if (key.startsWith("reef/") || key.endsWith(".parquet") || key.endsWith(".json")) {
+    if (OUTPUT_PREFIXES.some(p => key.startsWith(p)) || key.endsWith(".parquet")) {
         console.log(`Skipping output file: ${key}`);
         return;
     }
 
-    console.log(`Processing Stream: s3://${bucket}/${key}`);
+    // 2. Resume or Start Fresh
+    // Same upload (sequencer) -> continue from the checkpoint. Anything else is a new run.
+    let checkpoint = await loadCheckpoint(bucket, key);
+    if (checkpoint && checkpoint.sequencer === (sequencer || null)) {
+        if (checkpoint.status === "complete") {
+            console.log(`⏭️ Already split (duplicate delivery): ${key}`);
+            return;
+        }
+        if (checkpoint.status === "stalled") {
+            console.error(`🛑 Not resuming ${key}: replaying it no longer fits in one invocation (split it or upload it uncompressed)`);
+            return;
+        }
+        console.log(`♻️ Resuming s3://${bucket}/${key} (${checkpoint.rows_dispatched.toLocaleString()} rows already sent)`);
+    } else {
+        checkpoint = newCheckpoint(bucket, key, sequencer);
+        console.log(`Processing Stream: s3://${bucket}/${key}`);
+    }
+    checkpoint.invocations++;
+
+    // 3. Format hint from the Sextant (falls back to file extensions, then plain CSV)
+    const { source, dataset } = resolveSourcePath(key);
+    const schema = await getSextantSchema(source, dataset, { period: inferSourcePeriod(key, checkpoint.ingested_at) });
+    const formatHint = schema ? schema.format : null;
+    const objectFormat = detectFormat(key, formatHint) || { type: "csv", options: {} };
+
+    // 4. Detect gzip / zip / bzip2 from the magic bytes (an .xlsx is a zip container, not an archive)
+    if (!checkpoint.compression) {
+        checkpoint.compression = objectFormat.type === "xlsx" ? "none" : await sniffCompression(bucket, key);
+        console.log(`🔍 Compression: ${checkpoint.compression}, Format: ${objectFormat.type}`);
+    }
 
-    // Get Stream
+    // Get Stream. Uncompressed CSVs resume with a Ranged GET; everything else must be replayed
+    // from the start (IfMatch guards against the file changing underneath us either way).
     console.log(`📥 Fetching from S3...`);
-    const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-    const stream = response.Body;
+    const rangeable = checkpoint.compression === "none" && isRangeable(objectFormat);
+    const resumeOffset = rangeable ? (checkpoint.sources[key]?.byte_offset || 0) : 0;
+    const response = await s3.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ...(resumeOffset > 0 && { Range: `bytes=${resumeOffset}-` }),
+        ...(checkpoint.etag && { IfMatch: checkpoint.etag })
+    }));
+    if (!checkpoint.etag) checkpoint.etag = response.ETag;
     console.log(`✅ S3 stream acquired`);
 
-    // Parse CSV
-    const parser = stream.pipe(parse({
-        columns: true,
-        skip_empty_lines: true,
-        trim: true,
-        relax_column_count: true
-    }));
+    const ctx = { checkpoint, context, body: response.Body };
+
+    for await (const entry of openSources(response.Body, checkpoint.compression)) {
+        const sourceKey = memberSourceKey(key, entry.name);
+        const format = entry.name ? detectFormat(entry.name, formatHint) : objectFormat;
+        if (!format) {
+            console.log(`🗃️ Skipping unreadable archive member: ${entry.name}`);
+            entry.skip();
+            continue;
+        }
+
+        const progress = checkpoint.sources[sourceKey] ||= newSourceProgress();
+
+        if (progress.status === "complete") {
+            console.log(`⏭️ Already split: ${sourceKey}`);
+            entry.skip();
+            continue;
+        }
+
+        const handedOff = await splitSource(entry.stream, sourceKey, format, progress, ctx);
+        if (handedOff) return;
+    }
+
+    checkpoint.status = "complete";
+    await saveCheckpoint(checkpoint);
+
+    const sourceCount = Object.keys(checkpoint.sources).length;
+    console.log(`✅ Split Complete: ${checkpoint.rows_dispatched.toLocaleString()} rows in ${checkpoint.messages_sent} messages from ${sourceCount} source(s) (${checkpoint.invocations} invocation(s))`);
+}
+
+/**
+ * Streams one logical source (a file, or one member of an archive) onto the Flume.
+ * Returns true if it ran low on time and handed the rest of the object off (or, still
+ * replaying rows an earlier invocation sent, gave up on it as stalled).
+ */
+async function splitSource(stream, sourceKey, format, progress, { checkpoint, context, body }) {
+    const rangeable = checkpoint.compression === "none" && isRangeable(format);
+    const baseOffset = rangeable ? progress.byte_offset : 0;
+    const skipRows = rangeable ? 0 : progress.rows_dispatched;
+    if (skipRows > 0) console.log(`⏩ Replaying ${sourceKey}, skipping ${skipRows.toLocaleString()} rows already sent`);
+
+    // Read records (mid-file CSV resumes have no header row, so replay the captured one)
+    const reader = readRecords(stream, format, baseOffset > 0 ? progress.headers : null);
 
     let rowBuffer = [];      // Accumulate rows for one SQS message
     let sqsBatch = [];       // Accumulate messages for one SQS batch
-    let rowCount = 0;
-    let messageCount = 0;
+    let rowCount = progress.rows_dispatched;
+    let messageCount = progress.messages_sent;
+    let parsedOffset = baseOffset;
+    let skipped = 0;
     const meta = {
-        source_bucket: bucket,
-        source_key: key,
-        ingested_at: new Date().toISOString()
+        source_bucket: checkpoint.source_bucket,
+        source_key: sourceKey,
+        ingested_at: checkpoint.ingested_at,
+        ...(progress.schema && { schema: progress.schema })
+    };
+
+    // Everything parsed so far is on the Flume: advance the checkpoint and the run ledger
+    const commit = async (sentRows, sentMessages) => {
+        checkpoint.rows_dispatched += sentRows - progress.rows_dispatched;
+        checkpoint.messages_sent += sentMessages - progress.messages_sent;
+        progress.byte_offset = parsedOffset;
+        progress.rows_dispatched = sentRows;
+        progress.messages_sent = sentMessages;
+        await saveCheckpoint(checkpoint);
+        await recordSplit(checkpoint, sourceKey, progress);
     };
 
-    for await (const record of parser) {
-        if (rowCount === 0) {
-            console.log(`🔄 First row parsed, streaming...`);
+    for await (const { record, bytes } of reader) {
+        if (!progress.headers) {
+            progress.headers = Object.keys(record);
+            console.log(`🔄 First row parsed, streaming ${sourceKey}...`);
+        }
+        if (progress.schema === undefined) {
+            progress.schema = await identifySchema(progress.headers, sourceKey, checkpoint);
+            if (progress.schema) meta.schema = progress.schema;
+        }
+
+        if (skipped < skipRows) {
+            skipped++;
+            // The next invocation would have to replay just as far, so handing off can't help here
+            if (skipped % 10000 === 0 && context && context.getRemainingTimeInMillis() < HANDOFF_THRESHOLD_MS) {
+                body.destroy();
+                console.error(`🛑 Out of time replaying ${sourceKey} (${skipped.toLocaleString()} of ${skipRows.toLocaleString()} rows skipped); marking the split stalled`);
+                checkpoint.status = "stalled";
+                await saveCheckpoint(checkpoint);
+                return true;
+            }
+            continue;
         }
 
         rowBuffer.push(record);
         rowCount++;
+        if (rangeable) parsedOffset = baseOffset + bytes;
 
         // When we have enough rows, create an SQS message
         if (rowBuffer.length >= ROWS_PER_MESSAGE) {
@@ -85,11 +209,18 @@ async function processFile(bucket, key) {
             if (sqsBatch.length >= MESSAGES_PER_BATCH) {
                 await sendBatch(sqsBatch);
                 sqsBatch = [];
+                await commit(rowCount, messageCount);
 
                 // Progress log every 10k rows
                 if (rowCount % 10000 < ROWS_PER_MESSAGE * MESSAGES_PER_BATCH) {
                     console.log(`📊 Progress: ${rowCount.toLocaleString()} rows processed`);
                 }
+
+                if (context && context.getRemainingTimeInMillis() < HANDOFF_THRESHOLD_MS) {
+                    body.destroy();
+                    await handOff(checkpoint);
+                    return true;
+                }
             }
         }
     }
@@ -108,17 +239,88 @@ async function processFile(bucket, key) {
         await sendBatch(sqsBatch);
     }
 
-    console.log(`✅ Split Complete: ${rowCount.toLocaleString()} rows in ${messageCount} messages`);
+    progress.status = "complete";
+    await commit(rowCount, messageCount);
+    console.log(`✅ Source Complete: ${sourceKey} (${rowCount.toLocaleString()} rows in ${messageCount} messages)`);
+    return false;
 }
 
+/**
+ * Matches a source's header row to a Sextant map (see detectSchema) and reports drift:
+ * file headers the map doesn't read, and canonical keys the file can't fill.
+ * Returns the { source, dataset, version } the processor should use, or null.
+ */
+async function identifySchema(headers, sourceKey, checkpoint) {
+    const { source, dataset } = resolveSourcePath(sourceKey);
+    const match = await detectSchema(headers, { source, dataset, period: inferSourcePeriod(sourceKey, checkpoint.ingested_at) });
+    if (!match) {
+        console.warn(`🧭 No Sextant map fits ${sourceKey} (${headers.length} headers)`);
+        return null;
+    }
+
+    const identity = { ...schemaIdentity(match.schema), detected: match.detected };
+    if (match.detected) {
+        console.log(`🧭 Headers match ${identity.source}/${identity.dataset}#V${identity.version}, not the ${source}/${dataset} folder (score ${match.score.toFixed(2)})`);
+    }
+
+    const comparison = compareHeaders(match.schema, headers);
+    if (comparison.unmapped.length > 0 || comparison.missing.length > 0) {
+        console.warn(`🧭 Drift in ${sourceKey}: ${comparison.unmapped.length} unmapped headers, ${comparison.missing.length} missing keys`);
+        try {
+            await recordDrift(match, headers, comparison, sourceKey);
+        } catch (e) {
+            console.warn("Drift Record Failed:", e.message);
+        }
+    }
+    return identity;
+}
+
+/**
+ * Queues a continuation for this file on the Intake queue so a fresh invocation
+ * (with a full timeout budget) picks up from the saved checkpoint.
+ */
+async function handOff(checkpoint) {
+    console.log(`⏱️ Low on time. Handing off at ${checkpoint.rows_dispatched.toLocaleString()} rows`);
+    await sqs.send(new SendMessageCommand({
+        QueueUrl: INTAKE_QUEUE_URL,
+        MessageBody: JSON.stringify({
+            continuation: {
+                bucket: checkpoint.source_bucket,
+                key: checkpoint.source_key,
+                sequencer: checkpoint.sequencer
+            }
+        })
+    }));
+}
+
+/**
+ * Sends one batch onto the Flume. SendMessageBatch reports rejected entries in Failed rather
+ * than throwing, so those are resent (unless SQS blames the message itself) and anything
+ * still failing throws before the caller checkpoints past it.
+ */
 async function sendBatch(entries) {
-    try {
-        await sqs.send(new SendMessageBatchCommand({
-            QueueUrl: PROCESSING_QUEUE_URL,
-            Entries: entries
-        }));
-    } catch (e) {
-        console.error("SQS Batch Send Failed:", e);
-        throw e;
+    let pending = entries;
+    for (let attempt = 1; pending.length > 0; attempt++) {
+        let res;
+        try {
+            res = await sqs.send(new SendMessageBatchCommand({
+                QueueUrl: PROCESSING_QUEUE_URL,
+                Entries: pending
+            }));
+        } catch (e) {
+            console.error("SQS Batch Send Failed:", e);
+            throw e;
+        }
+
+        const failed = res.Failed || [];
+        if (failed.length === 0) return;
+        failed.forEach(f => console.warn(`⚠️ SQS rejected ${f.Id}: ${f.Code} ${f.Message || ""}`));
+        if (attempt >= SEND_ATTEMPTS || failed.some(f => f.SenderFault)) {
+            throw new Error(`${failed.length} of ${entries.length} SQS messages not sent after ${attempt} attempt(s)`);
+        }
+
+        const failedIds = new Set(failed.map(f => f.Id));
+        pending = pending.filter(e => failedIds.has(e.Id));
+        await new Promise(r => setTimeout(r, 200 * 2 ** attempt));
     }
 }